@@ -7,10 +7,12 @@
  *   sendPasswordReset — Generate branded password-reset email
  *   onUserCreated    — Send welcome email when a new user doc is created
  *   deleteUserData   — Delete all user data + auth account (account deletion)
+ *   serverTime       — Server clock reading for device clock-offset measurement
+ *   syncLiveView     — Keep the public spectator copy of a shared session in step
  */
 
 const { onCall, HttpsError } = require("firebase-functions/v2/https");
-const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onDocumentCreated, onDocumentWritten } = require("firebase-functions/v2/firestore");
 const admin = require("firebase-admin");
 const { Resend } = require("resend");
 
@@ -332,3 +334,74 @@ exports.onUserCreated = onDocumentCreated(
     }
   }
 );
+
+// ───────────────────────────────────────────────
+//  7. serverTime — Server clock for device clock-offset measurement
+// ───────────────────────────────────────────────
+
+exports.serverTime = onCall({ region: "us-central1" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Must be signed in.");
+  }
+  return { now: Date.now() };
+});
+
+// ───────────────────────────────────────────────
+//  8. syncLiveView — Public spectator copy of a shared session
+// ───────────────────────────────────────────────
+//
+// Spectators never read sessions/{id}. While the live view is on, the session's
+// display fields are copied to liveViews/{token}; the token is only the doc id
+// (no uid, crew or token inside). Revoking, re-sharing or deleting the session
+// removes the old copy.
+
+const liveViewOf = (s) => ({
+  sessionTitle: s.sessionTitle || "",
+  planName: s.planName || "",
+  timezone: s.timezone || "UTC",
+  startedAt: s.startedAt || null,
+  endedAt: s.endedAt || null,
+  zupts: ((s.planSnapshot && s.planSnapshot.zupts) || []).map((z) => ({
+    id: z.id || null,
+    name: z.name || "",
+    lat: z.lat ?? null,
+    lon: z.lon ?? null,
+    height: z.height ?? null,
+    radius: z.radius ?? null,
+  })),
+  timestamps: (s.timestamps || []).map((t) => ({
+    id: t.id || null,
+    zuptId: t.zuptId || null,
+    zuptName: t.zuptName || "",
+    time: t.time,
+    kind: t.kind || null,
+    loop: t.loop ?? null,
+    reason: t.reason || null,
+    dwell: t.dwell ? { status: t.dwell.status || null } : null,
+    fix: t.fix || null,
+  })),
+  updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+});
+
+const liveToken = (s) => (s && s.spectator && s.spectator.enabled && s.spectator.token) || null;
+
+exports.syncLiveView = onDocumentWritten(
+  { document: "sessions/{sessionId}", region: "us-central1" },
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    const oldToken = liveToken(before);
+    const newToken = liveToken(after);
+
+    try {
+      if (oldToken && oldToken !== newToken) {
+        await db.collection("liveViews").doc(oldToken).delete();
+      }
+      if (newToken) {
+        await db.collection("liveViews").doc(newToken).set(liveViewOf(after));
+      }
+    } catch (err) {
+      console.error(`[syncLiveView] Failed for session ${event.params.sessionId}:`, err);
+    }
+  }
+);
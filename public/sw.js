@@ -1,5 +1,5 @@
 /* Timestamp Portal SW – minimal “app shell” cache with instant-update */
-const SW_VERSION = 'v1.0.1';
+const SW_VERSION = 'v1.1.0';
 const SHELL_CACHE = `shell-${SW_VERSION}`;
 const RUNTIME_CACHE = `runtime-${SW_VERSION}`;
 
@@ -12,11 +12,89 @@ const SHELL_FILES = [
   '/logo512.png'
 ];
 
-// Support "instant update" from the page
+// Dwell-end alerts scheduled by the runner: id -> { timer, done }
+// Best effort only: browsers stop an idle worker after a while (seconds to a few
+// minutes, waitUntil or not), and its timers go with it. The runner keeps the screen
+// awake during a session (useWakeLock) so its own beep stays the primary alert.
+const dwellAlerts = new Map();
+const dwellTag = (id) => `dwell-${id}`;
+
+const showDwellAlert = async ({ id, title, body, url }) => {
+  // A visible runner beeps on its own; only alert when the app is out of sight
+  const wins = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (wins.some((c) => c.visibilityState === 'visible')) return;
+  await self.registration.showNotification(title, {
+    body,
+    tag: dwellTag(id),
+    renotify: true,
+    requireInteraction: true,
+    vibrate: [300, 100, 300, 100, 600],
+    data: { url },
+  });
+};
+
+const cancelDwellAlert = async (id) => {
+  const pending = dwellAlerts.get(id);
+  if (pending) {
+    clearTimeout(pending.timer);
+    pending.done();
+    dwellAlerts.delete(id);
+  }
+  // also drops one already showing
+  const shown = await self.registration.getNotifications({ tag: dwellTag(id) });
+  shown.forEach((n) => n.close());
+};
+
+const cancelAllDwellAlerts = async () => {
+  await Promise.all([...dwellAlerts.keys()].map(cancelDwellAlert));
+  const shown = await self.registration.getNotifications();
+  shown.filter((n) => n.tag.startsWith('dwell-')).forEach((n) => n.close());
+};
+
+const scheduleDwellAlert = async (alert) => {
+  await cancelDwellAlert(alert.id);
+  const wait = Math.max(0, alert.at - Date.now());
+
+  // Ask to stay alive until the deadline (or a cancel); see the note on dwellAlerts
+  await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      dwellAlerts.delete(alert.id);
+      showDwellAlert(alert).finally(resolve);
+    }, wait);
+    dwellAlerts.set(alert.id, { timer, done: resolve });
+  });
+};
+
+// Support "instant update" from the page, and dwell-end alerts from the runner
 self.addEventListener('message', (event) => {
-  if (event?.data?.type === 'SKIP_WAITING') {
+  const data = event?.data || {};
+  if (data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+  if (data.type === 'DWELL_SCHEDULE') {
+    event.waitUntil(scheduleDwellAlert(data.alert));
+  }
+  if (data.type === 'DWELL_CANCEL') {
+    event.waitUntil(data.id ? cancelDwellAlert(data.id) : cancelAllDwellAlerts());
+  }
+});
+
+// Tapping an alert brings the runner back (or opens it)
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/runner';
+  event.waitUntil(
+    (async () => {
+      const wins = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const win = wins.find((c) => new URL(c.url).origin === self.location.origin);
+      if (win) {
+        await win.focus();
+        win.postMessage({ type: 'OPEN_RUNNER', url });
+        return;
+      }
+      await self.clients.openWindow(url);
+    })()
+  );
 });
 
 self.addEventListener('install', (event) => {
@@ -0,0 +1,40 @@
+import { offsetAt, correctTime, samplesFor, mergeSamples, fmtOffset } from './services/clockSkew';
+import { T0, at } from './testFixtures';
+
+const sample = (s, offsetMs) => ({ at: T0 + s * 1000, offsetMs, rttMs: 40 });
+const samples = [sample(100, 500), sample(0, 200), sample(200, 300)];
+
+test('offsetAt interpolates between the surrounding samples', () => {
+  expect(offsetAt(samples, T0 + 50_000)).toBe(350);
+  expect(offsetAt(samples, T0 + 150_000)).toBe(400);
+  expect(offsetAt(samples, T0 + 100_000)).toBe(500);
+});
+
+test('offsetAt holds the nearest sample outside the readings', () => {
+  expect(offsetAt(samples, T0 - 60_000)).toBe(200);
+  expect(offsetAt(samples, T0 + 900_000)).toBe(300);
+  expect(offsetAt([sample(0, -80)], T0 + 5000)).toBe(-80);
+  expect(offsetAt([], T0)).toBeNull();
+});
+
+test('correctTime shifts by the offset, or leaves the time alone without samples', () => {
+  expect(correctTime(at(50), samples)).toEqual(new Date(T0 + 50_350));
+  const t = at(50);
+  expect(correctTime(t, [])).toBe(t);
+});
+
+test('samplesFor keeps the session readings and one either side', () => {
+  const all = [sample(-300, 1), sample(-100, 2), sample(10, 3), sample(20, 4), sample(400, 5), sample(600, 6)];
+  expect(samplesFor(all, T0, T0 + 300_000).map(s => s.offsetMs)).toEqual([2, 3, 4, 5]);
+});
+
+test('mergeSamples de-duplicates by time and drops junk', () => {
+  expect(mergeSamples([sample(10, 1)], [sample(10, 2), null, { at: NaN }], [sample(5, 0)]))
+    .toEqual([sample(5, 0), sample(10, 2)]);
+});
+
+test('fmtOffset', () => {
+  expect(fmtOffset(1234)).toBe('+1.23 s');
+  expect(fmtOffset(-50)).toBe('−0.05 s');
+  expect(fmtOffset(null)).toBe('');
+});
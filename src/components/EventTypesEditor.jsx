@@ -0,0 +1,201 @@
+// src/components/EventTypesEditor.jsx
+// Event catalogue editor (Settings page): colour, name and fields per event type,
+// which types the runner's event picker offers, and the user's own types.
+import React, { useEffect, useState } from "react";
+import {
+  Box, Stack, Typography, TextField, MenuItem, Button, IconButton, Switch,
+  Alert, Tooltip, CircularProgress, Collapse
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/DeleteOutline";
+import RestartAltIcon from "@mui/icons-material/RestartAlt";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+
+import {
+  BUILTIN_EVENT_TYPES, FIELD_TYPES, newEventType, newEventField, canDeleteType,
+  loadEventTypes, fetchEventTypes, saveEventTypes,
+} from "../services/eventTypes";
+
+function EventTypesEditor({ uid }) {
+  const [types, setTypes] = useState(() => loadEventTypes(uid));
+  const [open, setOpen] = useState(null); // id of the type whose fields are showing
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchEventTypes(uid).then(t => { if (!cancelled) setTypes(t); });
+    return () => { cancelled = true; };
+  }, [uid]);
+
+  const update = (next) => { setTypes(next); setDirty(true); setMsg(""); };
+  const patchType = (id, patch) => update(types.map(t => (t.id === id ? { ...t, ...patch } : t)));
+  const patchField = (t, key, patch) =>
+    patchType(t.id, { fields: t.fields.map(f => (f.key === key ? { ...f, ...patch } : f)) });
+
+  const addType = () => {
+    const t = newEventType();
+    update([...types, t]);
+    setOpen(t.id);
+  };
+
+  const removeType = (t) => {
+    if (!window.confirm(`Delete event type "${t.label}"? Stamps already logged keep their details.`)) return;
+    update(types.filter(x => x.id !== t.id));
+  };
+
+  const valid = types.every(t => t.label.trim() && t.fields.every(f => f.label.trim()));
+
+  const save = async () => {
+    setSaving(true);
+    setMsg("");
+    try {
+      setTypes(await saveEventTypes(uid, types));
+      setDirty(false);
+      setMsg("Event types saved.");
+    } catch (err) {
+      console.error(err);
+      setMsg(err.message || "Failed to save event types.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Box>
+        {types.map((t) => {
+          const builtin = BUILTIN_EVENT_TYPES.find(b => b.id === t.id);
+          const isOpen = open === t.id;
+          return (
+            <Box key={t.id} sx={{ py: 0.75, borderBottom: "1px solid", borderColor: "divider" }}>
+              <Stack direction="row" alignItems="center" spacing={1}>
+                <Box
+                  component="input"
+                  type="color"
+                  value={t.color}
+                  onChange={(e) => patchType(t.id, { color: e.target.value })}
+                  sx={{ width: 28, height: 28, p: 0, border: "none", bgcolor: "transparent", cursor: "pointer" }}
+                />
+                <TextField
+                  size="small"
+                  variant="standard"
+                  value={t.label}
+                  onChange={(e) => patchType(t.id, { label: e.target.value })}
+                  error={!t.label.trim()}
+                  sx={{ flex: 1 }}
+                />
+                <Tooltip title={t.hidden ? "Hidden from the event picker" : "Shown in the event picker"}>
+                  <Switch size="small" checked={!t.hidden} onChange={(e) => patchType(t.id, { hidden: !e.target.checked })} />
+                </Tooltip>
+                <Tooltip title="Fields">
+                  <IconButton size="small" onClick={() => setOpen(isOpen ? null : t.id)}>
+                    <ExpandMoreIcon fontSize="small" sx={{ transform: isOpen ? "rotate(180deg)" : "none", transition: "transform .2s" }} />
+                  </IconButton>
+                </Tooltip>
+                {builtin ? (
+                  <Tooltip title="Reset to defaults">
+                    <IconButton size="small" onClick={() => patchType(t.id, { ...builtin, hidden: false })}>
+                      <RestartAltIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                ) : canDeleteType(t.id) && (
+                  <Tooltip title="Delete event type">
+                    <IconButton size="small" color="error" onClick={() => removeType(t)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Stack>
+
+              <Collapse in={isOpen} unmountOnExit>
+                <Stack spacing={1} sx={{ pl: 4.5, pt: 1 }}>
+                  {t.fields.map((f) => (
+                    <Stack key={f.key} direction="row" spacing={1} alignItems="center">
+                      <TextField
+                        size="small"
+                        label="Field"
+                        value={f.label}
+                        onChange={(e) => patchField(t, f.key, { label: e.target.value })}
+                        error={!f.label.trim()}
+                        sx={{ flex: 1 }}
+                      />
+                      <TextField
+                        select
+                        size="small"
+                        label="Type"
+                        value={f.type}
+                        onChange={(e) => patchField(t, f.key, { type: e.target.value })}
+                        sx={{ width: 110 }}
+                      >
+                        {FIELD_TYPES.map(ft => <MenuItem key={ft} value={ft}>{ft}</MenuItem>)}
+                      </TextField>
+                      {f.type === "select" && (
+                        <TextField
+                          size="small"
+                          label="Options"
+                          placeholder="comma separated"
+                          value={(f.options || []).join(", ")}
+                          onChange={(e) => patchField(t, f.key, { options: e.target.value.split(",").map(o => o.trim()).filter(Boolean) })}
+                          sx={{ flex: 1.5 }}
+                        />
+                      )}
+                      <IconButton
+                        size="small"
+                        onClick={() => patchType(t.id, { fields: t.fields.filter(x => x.key !== f.key) })}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Stack>
+                  ))}
+                  <Box>
+                    <Button
+                      size="small"
+                      startIcon={<AddIcon />}
+                      onClick={() => patchType(t.id, { fields: [...t.fields, newEventField()] })}
+                      sx={{ textTransform: "none" }}
+                    >
+                      Add field
+                    </Button>
+                  </Box>
+                </Stack>
+              </Collapse>
+            </Box>
+          );
+        })}
+      </Box>
+
+      <Box>
+        <Button size="small" startIcon={<AddIcon />} onClick={addType} sx={{ textTransform: "none", fontWeight: 600 }}>
+          New event type
+        </Button>
+      </Box>
+
+      <Typography variant="caption" color="text.secondary">
+        Logged events keep the name, colour and details they were recorded with, so exports of
+        past sessions don't change when the catalogue does.
+      </Typography>
+
+      {msg && (
+        <Alert severity={msg.includes("saved") ? "success" : "error"} sx={{ borderRadius: 2 }}>
+          {msg}
+        </Alert>
+      )}
+
+      <Box>
+        <Button
+          variant="contained"
+          size="small"
+          disabled={!dirty || saving || !valid}
+          onClick={save}
+          sx={{ textTransform: "none", fontWeight: 700 }}
+        >
+          {saving ? <CircularProgress size={18} color="inherit" /> : "Save Event Types"}
+        </Button>
+      </Box>
+    </Stack>
+  );
+}
+
+export default React.memo(EventTypesEditor);
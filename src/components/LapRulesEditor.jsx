@@ -0,0 +1,85 @@
+// src/components/LapRulesEditor.jsx
+// Lap target for a plan — how many laps, what finishing short does, and an optional
+// ZUPT subset per lap. Shared by PlanBuilder and the PlansPage edit dialog.
+import React from "react";
+import {
+  Box, Stack, TextField, MenuItem, Typography, Select, Checkbox, ListItemText
+} from "@mui/material";
+
+import { LAP_ENFORCE } from "../services/lapRules";
+
+const MAX_LAPS = 20;
+
+function LapRulesEditor({ value, onChange, zupts = [] }) {
+  const target = value?.target ?? "";
+  const laps = Math.min(MAX_LAPS, Math.max(0, Math.floor(+target) || 0));
+  const subsets = value?.zupts || {};
+
+  const set = (patch) => onChange({ enforce: "warn", zupts: {}, ...value, ...patch });
+
+  return (
+    <Box>
+      <Stack direction={{ xs: "column", sm: "row" }} spacing={2} sx={{ mb: laps ? 1.5 : 0 }}>
+        <TextField
+          size="small"
+          type="number"
+          label="Target laps"
+          value={target}
+          onChange={(e) => (e.target.value === "" ? onChange(null) : set({ target: e.target.value }))}
+          helperText="Leave empty for no target"
+          slotProps={{ htmlInput: { min: 1, max: MAX_LAPS } }}
+          sx={{ width: { xs: "100%", sm: 150 } }}
+        />
+        {laps > 0 && (
+          <TextField
+            select
+            size="small"
+            label="When finishing short"
+            value={value.enforce || "warn"}
+            onChange={(e) => set({ enforce: e.target.value })}
+            sx={{ width: { xs: "100%", sm: 220 } }}
+          >
+            {LAP_ENFORCE.map(o => <MenuItem key={o.id} value={o.id}>{o.label}</MenuItem>)}
+          </TextField>
+        )}
+      </Stack>
+
+      {laps > 0 && zupts.length > 0 && (
+        <Stack spacing={1}>
+          <Typography variant="caption" color="text.secondary">
+            ZUPTs each lap must include — leave a lap on "All ZUPTs" to require the whole plan.
+          </Typography>
+          {Array.from({ length: laps }, (_, i) => {
+            const n = String(i + 1);
+            const picked = subsets[n] || [];
+            return (
+              <Stack key={n} direction="row" spacing={1.5} alignItems="center">
+                <Typography variant="body2" sx={{ width: 28, fontWeight: 700 }}>L{n}</Typography>
+                <Select
+                  size="small"
+                  multiple
+                  displayEmpty
+                  value={picked}
+                  onChange={(e) => set({ zupts: { ...subsets, [n]: e.target.value } })}
+                  renderValue={(ids) => (ids.length
+                    ? zupts.filter(z => ids.includes(z.id)).map(z => z.name).join(", ")
+                    : "All ZUPTs")}
+                  sx={{ flex: 1, fontSize: 13 }}
+                >
+                  {zupts.map(z => (
+                    <MenuItem key={z.id} value={z.id} dense>
+                      <Checkbox size="small" checked={picked.includes(z.id)} sx={{ p: 0.5, mr: 1 }} />
+                      <ListItemText primary={z.name || "(unnamed)"} />
+                    </MenuItem>
+                  ))}
+                </Select>
+              </Stack>
+            );
+          })}
+        </Stack>
+      )}
+    </Box>
+  );
+}
+
+export default React.memo(LapRulesEditor);
@@ -0,0 +1,202 @@
+// src/components/LiveSessionView.jsx
+// Read-only spectator view of a running session (/live/:token).
+// Streams the public copy at liveViews/{token}; nothing on this page writes to Firestore.
+import React, { useCallback, useEffect, useMemo, useState, Suspense, lazy } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import {
+  Box, Paper, Stack, Typography, Chip, LinearProgress, Alert, Skeleton,
+  Table, TableBody, TableRow, TableCell, useTheme, keyframes
+} from "@mui/material";
+import CheckIcon from "@mui/icons-material/CheckCircle";
+import SkipNextIcon from "@mui/icons-material/SkipNext";
+import TimerIcon from "@mui/icons-material/Timer";
+import VisibilityIcon from "@mui/icons-material/Visibility";
+
+import { watchLiveView } from "../services/liveSession";
+import { toDateSafe, deriveLoopState, nextUpZupt } from "../services/runnerHelpers";
+import { ianaOf, zoneLabel } from "../services/timeZones";
+import { fixOffset } from "../services/geoHelpers";
+
+const SessionMapView = lazy(() => import("./SessionMapView"));
+
+const LATEST = 8;
+
+const blink = keyframes`
+  0%, 100% { opacity: 1; }
+  50%      { opacity: 0.35; }
+`;
+
+const Stat = ({ label, value, color }) => (
+  <Box sx={{ flex: 1, p: 1, borderRadius: 1.5, bgcolor: "action.hover", minWidth: 0 }}>
+    <Typography variant="caption" color="text.secondary" sx={{ display: "block", lineHeight: 1.2 }}>
+      {label}
+    </Typography>
+    <Typography variant="subtitle1" sx={{ fontWeight: 700, color }}>{value}</Typography>
+  </Box>
+);
+
+export default function LiveSessionView() {
+  // links from before /live/:token carried it as ?token=
+  const { token: pathToken } = useParams();
+  const [params] = useSearchParams();
+  const token = params.get("token") || pathToken;
+  const theme = useTheme();
+
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState(token ? "" : "invalid");
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!token) return;
+    return watchLiveView(token, (view) => {
+      setSession(view);
+      setError(view ? "" : "invalid");
+    }, () => setError("invalid"));
+  }, [token]);
+
+  const ended = !!session?.endedAt;
+  useEffect(() => {
+    if (!session || ended) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [session, ended]);
+
+  const zupts = useMemo(() => session?.zupts || [], [session]);
+  const stamps = useMemo(() => session?.timestamps || [], [session]);
+  const { loopIdx, loopOn, captured, skipped } = useMemo(() => deriveLoopState(stamps), [stamps]);
+  const next = nextUpZupt(zupts, false, captured, skipped);
+  const iana = ianaOf(session?.timezone);
+  const fmt = useCallback(
+    (d) => toDateSafe(d).toLocaleTimeString("en-US", { timeZone: iana, hour12: false }),
+    [iana]
+  );
+
+  // Map rows in the shape SessionMapView expects — captured ZUPT stamps only
+  const rows = useMemo(() => stamps
+    .filter(t => t.kind === "zupt" && t.dwell?.status !== "aborted")
+    .flatMap((t) => {
+      const z = zupts.find(x => x.id === t.zuptId || x.name === t.zuptName);
+      if (!z) return [];
+      const geo = fixOffset(t.fix, z);
+      return [{
+        name: z.name, time: fmt(t.time), lat: z.lat ?? "", lon: z.lon ?? "", h: z.height ?? "",
+        fix: t.fix ?? null, dH: geo?.dH ?? null, dV: geo?.dV ?? null, far: !!geo?.far,
+      }];
+    }), [stamps, zupts, fmt]);
+
+  if (error) {
+    return (
+      <Box sx={{ maxWidth: 520, mx: "auto", p: 3 }}>
+        <Alert severity="error" sx={{ borderRadius: 2 }}>
+          This live view link is not valid or has been turned off.
+        </Alert>
+      </Box>
+    );
+  }
+
+  if (!session) {
+    return (
+      <Stack spacing={2} sx={{ maxWidth: 860, mx: "auto", p: 2 }}>
+        <Skeleton variant="rounded" height={80} />
+        <Skeleton variant="rounded" height={56} />
+        <Skeleton variant="rounded" height={380} />
+      </Stack>
+    );
+  }
+
+  const started = toDateSafe(session.startedAt).getTime();
+  const elapsed = Math.max(0, Math.floor(((ended ? toDateSafe(session.endedAt).getTime() : now) - started) / 1000));
+  const done = captured.size;
+  const total = zupts.length;
+  const latest = stamps.slice(-LATEST).reverse();
+
+  return (
+    <Box sx={{ minHeight: "100vh", bgcolor: "background.default" }}>
+      <Box sx={{ maxWidth: 860, mx: "auto", px: 2, py: 2.5 }}>
+        <Paper elevation={0} sx={{ p: { xs: 2, sm: 3 }, borderRadius: 3, border: "1px solid", borderColor: "divider" }}>
+          {/* Title row */}
+          <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 2, flexWrap: "wrap" }}>
+            <Typography variant="h6" sx={{ fontWeight: 700 }}>
+              {session.sessionTitle || session.planName || "(untitled)"}
+            </Typography>
+            {session.planName && (
+              <Typography variant="caption" color="text.secondary">{session.planName}</Typography>
+            )}
+            <Chip
+              size="small"
+              label={ended ? "Finished" : "LIVE"}
+              color={ended ? "default" : "error"}
+              sx={{ ml: "auto !important", fontWeight: 700, ...(!ended && { animation: `${blink} 1.6s ease-in-out infinite` }) }}
+            />
+            <Chip size="small" variant="outlined" icon={<VisibilityIcon />} label="Read-only" />
+          </Stack>
+
+          {/* Stats */}
+          <Stack direction="row" spacing={1} sx={{ mb: 1.5 }}>
+            <Stat label="Lap" value={`L${loopIdx} · ${loopOn ? "recording" : "stopped"}`} color={loopOn ? "error.main" : undefined} />
+            <Stat label="Captured" value={`${done} / ${total}`} color="primary.main" />
+            <Stat label="Remaining" value={Math.max(0, total - done - skipped.size)} />
+            <Stat label="Elapsed" value={`${Math.floor(elapsed / 60)}m ${elapsed % 60}s`} />
+          </Stack>
+          <LinearProgress
+            variant="determinate"
+            value={total ? (done / total) * 100 : 0}
+            sx={{ mb: 2, height: 4, borderRadius: 2 }}
+          />
+
+          {/* ZUPTs */}
+          <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>
+            ZUPTs{next && !ended ? ` — next up: ${next.name}` : ""}
+          </Typography>
+          <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap sx={{ mb: 2.5 }}>
+            {zupts.map((z) => {
+              const isDone = captured.has(z.name);
+              const isSkipped = !isDone && skipped.has(z.name);
+              return (
+                <Chip
+                  key={z.id || z.name}
+                  size="small"
+                  label={z.name}
+                  icon={isDone ? <CheckIcon /> : isSkipped ? <SkipNextIcon /> : <TimerIcon />}
+                  color={isDone ? "success" : z === next ? "primary" : "default"}
+                  variant={isDone || z === next ? "filled" : "outlined"}
+                  sx={isSkipped ? { opacity: 0.6, "& .MuiChip-label": { textDecoration: "line-through" } } : undefined}
+                />
+              );
+            })}
+          </Stack>
+
+          {/* Latest stamps */}
+          <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 0.5 }}>Latest stamps</Typography>
+          {latest.length ? (
+            <Table size="small" sx={{ mb: 2.5 }}>
+              <TableBody>
+                {latest.map((t) => (
+                  <TableRow key={t.id || `${t.zuptName}@${toDateSafe(t.time).getTime()}`}>
+                    <TableCell sx={{ width: 90, fontFamily: "monospace" }}>{fmt(t.time)}</TableCell>
+                    <TableCell sx={{ color: t.kind === "skip" ? "warning.main" : undefined }}>
+                      {t.zuptName}
+                      {t.kind === "skip" && ` — skipped${t.reason ? `: ${t.reason}` : ""}`}
+                      {t.dwell?.status === "aborted" && " — aborted"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          ) : (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2.5 }}>No stamps yet.</Typography>
+          )}
+
+          {/* Map */}
+          <Suspense fallback={<Skeleton variant="rounded" height={380} />}>
+            <SessionMapView rows={rows} isDark={theme.palette.mode === "dark"} />
+          </Suspense>
+
+          <Typography variant="caption" color="text.secondary" sx={{ display: "block", mt: 1.5 }}>
+            Times in {zoneLabel(iana)}. Updates as the crew stamps.
+          </Typography>
+        </Paper>
+      </Box>
+    </Box>
+  );
+}
@@ -66,6 +66,9 @@ const PrivacyPolicyPage  = lazy(() => import("./PrivacyPolicyPage"));
 const TermsOfServicePage = lazy(() => import("./TermsOfServicePage"));
 const SettingsPage       = lazy(() => import("./SettingsPage"));
 
+/* Lazy-loaded read-only spectator view (reachable signed in or not) */
+const LiveSessionView    = lazy(() => import("./LiveSessionView"));
+
 /* ---------- helpers ---------- */
 const viewFromPath = (pathname = "/") => {
   const slug = pathname.split("/")[1] || "";
@@ -211,6 +214,16 @@ export default function NavigationTabs() {
     if (next !== activeView) setActiveView(next);
   }, [location.pathname]);
 
+  // a tapped dwell-end notification (public/sw.js) brings the runner forward
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+    const onMessage = (e) => {
+      if (e.data?.type === "OPEN_RUNNER") navigate(e.data.url || "/runner", { replace: true });
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, [navigate]);
+
   const jump = (view) => {
     setActiveView(view);
     navigate(pathFromView(view), { replace: true });
@@ -233,6 +246,7 @@ export default function NavigationTabs() {
   // choose body — settings page renders inside the layout, legal pages render full-screen
   const isSettingsPage = location.pathname === "/settings";
   const isFullScreenPage = ["/privacy", "/terms"].includes(location.pathname);
+  const isLivePage = location.pathname.startsWith("/live/");
   const body = isSettingsPage
     ? <SettingsPage />
     : {
@@ -282,6 +296,7 @@ export default function NavigationTabs() {
             <Route path="/reset-password" element={<ResetPasswordPage />} />
             <Route path="/privacy" element={<PrivacyPolicyPage />} />
             <Route path="/terms" element={<TermsOfServicePage />} />
+            <Route path="/live/:token" element={<LiveSessionView />} />
             <Route path="*" element={<Navigate to="/login" replace />} />
           </Routes>
         </Suspense>
@@ -315,6 +330,17 @@ export default function NavigationTabs() {
     );
   }
 
+  // RENDER — spectator view (no app chrome, no controls)
+  if (isLivePage) {
+    return (
+      <Suspense fallback={<AuthFallback />}>
+        <Routes>
+          <Route path="/live/:token" element={<LiveSessionView />} />
+        </Routes>
+      </Suspense>
+    );
+  }
+
   // RENDER — logged in
   return (
     <Box sx={{ minHeight: "100vh", bgcolor: "background.default", pb: sessionActive ? 0 : "80px", transition: "padding-bottom 0.3s ease" }}>
@@ -0,0 +1,49 @@
+// src/components/PhotoThumbs.jsx
+// Thumbnail strip for a stamp's photos. Uploaded photos show their Storage
+// thumbnail and open full size; ones still waiting in the offline queue are
+// dimmed with a cloud badge (a camera icon on devices that don't hold them).
+import React from "react";
+import { Box, Tooltip } from "@mui/material";
+import CloudUploadIcon from "@mui/icons-material/CloudUpload";
+import PhotoCameraIcon from "@mui/icons-material/PhotoCamera";
+
+import { isPendingPhoto } from "../services/photoAttachments";
+
+function PhotoThumbs({ photos = [], size = 28 }) {
+  if (!photos.length) return null;
+  return (
+    <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", mt: 0.5 }}>
+      {photos.map((p) => {
+        const pending = isPendingPhoto(p);
+        const src = p.thumbUrl || p.thumb || p.url;
+        const frame = {
+          width: size, height: size, borderRadius: 1, display: "block",
+          border: "1px solid", borderColor: "divider", opacity: pending ? 0.6 : 1,
+        };
+        const img = src ? (
+          <Box component="img" src={src} alt="" loading="lazy" sx={{ ...frame, objectFit: "cover" }} />
+        ) : (
+          <Box sx={{ ...frame, display: "grid", placeItems: "center", color: "text.disabled" }}>
+            <PhotoCameraIcon sx={{ fontSize: size * 0.6 }} />
+          </Box>
+        );
+        return (
+          <Tooltip key={p.id} title={pending ? "Waiting to upload" : "Open photo"}>
+            <Box sx={{ position: "relative", lineHeight: 0 }}>
+              {pending ? img : (
+                <a href={p.url} target="_blank" rel="noopener noreferrer">{img}</a>
+              )}
+              {pending && (
+                <CloudUploadIcon
+                  sx={{ position: "absolute", right: -4, bottom: -4, fontSize: 14, color: "warning.main" }}
+                />
+              )}
+            </Box>
+          </Tooltip>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default React.memo(PhotoThumbs);
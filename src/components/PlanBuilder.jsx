@@ -3,10 +3,11 @@
 // no spaces in names, 6dp lat/lon, 3-row ZUPT layout, unique names,
 // snackbar + save tooltip + KML import.
 
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import {
   Box, TextField, Typography, Button, Stack, Divider, Paper, Grid,
-  useTheme, useMediaQuery, Tooltip, Snackbar, Alert, IconButton
+  useTheme, useMediaQuery, Tooltip, Snackbar, Alert, IconButton,
+  FormControlLabel, Switch
 } from "@mui/material";
 import AddIcon from "@mui/icons-material/AddCircleOutline";
 import SaveIcon from "@mui/icons-material/Save";
@@ -20,6 +21,12 @@ import { db } from "../firebase";
 import { collection, addDoc, Timestamp } from "firebase/firestore";
 import { getAuth } from "firebase/auth";
 
+import { GEOFENCE_RADIUS_M } from "../services/geoHelpers";
+import { cleanLapRules } from "../services/lapRules";
+import { cleanTitleTemplate, fetchIsAdmin, operatorName } from "../services/titleTemplates";
+import LapRulesEditor from "./LapRulesEditor";
+import TitleTemplateEditor from "./TitleTemplateEditor";
+
 /* ---------- DND Kit ---------- */
 import {
   DndContext,
@@ -41,7 +48,7 @@ import { CSS } from "@dnd-kit/utilities";
 /* ---------- helpers ---------- */
 const newZupt = () => ({
   id: crypto.randomUUID?.() ?? `${Date.now()}-${Math.random()}`,
-  name: "", lat: "", lon: "", height: "", wait: ""
+  name: "", lat: "", lon: "", height: "", wait: "", radius: ""
 });
 const isNum   = v => v !== "" && Number.isFinite(+v);
 const inRange = (v, lo, hi) => isNum(v) && +v >= lo && +v <= hi;
@@ -70,8 +77,14 @@ export default function PlanBuilder() {
   const isMobile = useMediaQuery(theme.breakpoints.down("sm"));
 
   const [planName, setPlanName] = useState("");
+  const [strictOrder, setStrictOrder] = useState(false);
   const [anchors,  setAnchors]  = useState({ A1: "0.1", A2: "0.1", A3: "0.1", B1: "0", B2: "0", B3: "0" });
   const [zupts,    setZupts]    = useState([]);
+  const [loops,    setLoops]    = useState(null);
+  const [titleTemplate, setTitleTemplate] = useState(null);
+  const [isAdmin,  setIsAdmin]  = useState(false);
+
+  useEffect(() => { fetchIsAdmin(getAuth().currentUser).then(setIsAdmin); }, []);
 
   // touch / submit gating
   const [submitAttempted, setSubmitAttempted] = useState(false);
@@ -146,7 +159,8 @@ export default function PlanBuilder() {
           lat: sixDP(lat),
           lon: sixDP(lon),
           height: height ? +height : 0,
-          wait: 0
+          wait: 0,
+          radius: ""
         };
       });
 
@@ -179,7 +193,7 @@ export default function PlanBuilder() {
   }, [zupts]);
 
   const rawZuptErr = z => {
-    const errs = { name:"", lat:"", lon:"", height:"", wait:"" };
+    const errs = { name:"", lat:"", lon:"", height:"", wait:"", radius:"" };
     if (z.name === "") errs.name = "Required";
     else if (!noSpace(z.name)) errs.name = "No spaces";
     else if ((nameCounts.get(z.name.trim().toLowerCase()) || 0) > 1) errs.name = "Duplicate";
@@ -191,6 +205,7 @@ export default function PlanBuilder() {
     else if (!isNum(z.height)) errs.height = "Number";
     if (z.wait === "") errs.wait = "Required";
     else if (!isNum(z.wait) || +z.wait < 0) errs.wait = "≥ 0";
+    if (z.radius !== "" && z.radius != null && (!isNum(z.radius) || +z.radius <= 0)) errs.radius = "> 0";
     return errs;
   };
 
@@ -275,12 +290,16 @@ export default function PlanBuilder() {
       uid: user.uid,
       planUid: crypto.randomUUID?.() ?? `${Date.now()}-${Math.random()}`,
       name: planName,
+      strictOrder,
       anchors: Object.fromEntries(Object.entries(anchors).map(([k, v]) => [k, +v])),
       zupts: zupts.map(z => ({
         id: z.id, name: z.name,
         lat: sixDP(z.lat), lon: sixDP(z.lon),
-        height: +z.height, wait: +z.wait
+        height: +z.height, wait: +z.wait,
+        ...(isNum(z.radius) ? { radius: +z.radius } : {})
       })),
+      ...(cleanLapRules(loops, zupts) ? { loops: cleanLapRules(loops, zupts) } : {}),
+      ...(cleanTitleTemplate(titleTemplate) ? { titleTemplate: cleanTitleTemplate(titleTemplate) } : {}),
       createdAt: Timestamp.now()
     };
 
@@ -290,8 +309,11 @@ export default function PlanBuilder() {
       setSubmitAttempted(false);
       setPlanTouched(false);
       setPlanName("");
+      setStrictOrder(false);
       setAnchors({ A1: "0.1", A2: "0.1", A3: "0.1", B1: "0", B2: "0", B3: "0" });
       setZupts([]);
+      setLoops(null);
+      setTitleTemplate(null);
       setZuptTouched([]);
       setAnchorTouched({ A1:false, A2:false, A3:false, B1:false, B2:false, B3:false });
     } catch (e) {
@@ -316,7 +338,7 @@ export default function PlanBuilder() {
       <TextField
         label="Plan Name"
         fullWidth
-        sx={{ mb: 3 }}
+        sx={{ mb: 1 }}
         value={planName}
         error={!!planNameErr}
         helperText={planNameErr || " "}
@@ -324,6 +346,30 @@ export default function PlanBuilder() {
         onBlur={() => setPlanTouched(true)}
         onKeyDown={(e) => { if (e.key === " ") e.preventDefault(); }}
       />
+      <FormControlLabel
+        sx={{ mb: 2 }}
+        control={<Switch checked={strictOrder} onChange={e => setStrictOrder(e.target.checked)} />}
+        label={
+          <Typography variant="body2">
+            Strict ZUPT order <Typography component="span" variant="caption" color="text.secondary">
+              (runner only allows the next ZUPT; skips need a reason)
+            </Typography>
+          </Typography>
+        }
+      />
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="subtitle2" gutterBottom>
+          Session titles <Typography component="span" variant="caption" color="text.secondary">(optional)</Typography>
+        </Typography>
+        <TitleTemplateEditor
+          value={titleTemplate}
+          onChange={setTitleTemplate}
+          planName={planName}
+          operator={operatorName(getAuth().currentUser)}
+          canRequire={isAdmin}
+        />
+      </Box>
 
       {/* ─── Step 2: Anchor Points ─── */}
       <Stack direction="row" spacing={1} alignItems="center" mb={1.5} flexWrap="wrap">
@@ -388,6 +434,24 @@ export default function PlanBuilder() {
         </SortableContext>
       </DndContext>
 
+      {/* ─── Step 4: Laps ─── */}
+      {zupts.length > 0 && (
+        <>
+          <Divider sx={{ my: 2 }} />
+          <Stack direction="row" spacing={1} alignItems="center" mb={1.5}>
+            <Box sx={{
+              width: 24, height: 24, borderRadius: "50%",
+              bgcolor: "primary.main", color: "white",
+              display: "flex", alignItems: "center", justifyContent: "center",
+              fontSize: 13, fontWeight: 700,
+            }}>4</Box>
+            <Typography variant="subtitle1" fontWeight={600}>Laps</Typography>
+            <Typography variant="caption" color="text.secondary">(optional)</Typography>
+          </Stack>
+          <LapRulesEditor value={loops} onChange={setLoops} zupts={zupts} />
+        </>
+      )}
+
       {/* Actions */}
       <Stack direction={isMobile ? "column" : "row"} spacing={2} sx={{ mt: 2 }}>
         <Button variant="outlined" startIcon={<AddIcon />} fullWidth={isMobile} onClick={addZuptEnd}>
@@ -552,8 +616,8 @@ function SortableZuptCard({
           />
         </Grid>
 
-        {/* Row 3: Wait / Height */}
-        <Grid size={{ xs: 12, sm: 6 }}>
+        {/* Row 3: Wait / Height / Geofence radius */}
+        <Grid size={{ xs: 12, sm: 4 }}>
           <TextField
             fullWidth
             label="Wait (s)"
@@ -565,7 +629,7 @@ function SortableZuptCard({
             onBlur={() => markZuptTouched(index, "wait")}
           />
         </Grid>
-        <Grid size={{ xs: 12, sm: 6 }}>
+        <Grid size={{ xs: 12, sm: 4 }}>
           <TextField
             fullWidth
             label="Height (m)"
@@ -577,6 +641,18 @@ function SortableZuptCard({
             onBlur={() => markZuptTouched(index, "height")}
           />
         </Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>
+          <TextField
+            fullWidth
+            label="Radius (m)"
+            type="number"
+            placeholder={String(GEOFENCE_RADIUS_M)}
+            value={z.radius ?? ""}
+            error={!!showZErr(index, "radius")}
+            helperText={showZErr(index, "radius") || "Geofence (optional)"}
+            onChange={e => updateZupt(index, "radius", e.target.value)}
+          />
+        </Grid>
       </Grid>
     </Paper>
   );
@@ -2,10 +2,10 @@
 // Offline-first PlanRunner — orchestrator
 // Composes sub-components from runner/ and helpers from services/runnerHelpers.js
 
-import React, { useEffect, useState, useMemo, useCallback } from "react";
+import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
 import {
   Box, Typography, Stack, Chip, Divider,
-  Snackbar, Alert, IconButton,
+  Snackbar, Alert, IconButton, Tooltip,
   Dialog, DialogTitle, DialogContent, DialogActions, Button,
   useTheme, useMediaQuery
 } from "@mui/material";
@@ -15,10 +15,11 @@ import UndoIcon from "@mui/icons-material/Undo";
 import CheckCircleOutlineIcon from "@mui/icons-material/CheckCircleOutline";
 import CloudDoneIcon from "@mui/icons-material/CloudDone";
 import CloudUploadIcon from "@mui/icons-material/CloudUpload";
+import LightModeIcon from "@mui/icons-material/LightMode";
 
 import { db, auth } from "../firebase";
 import {
-  collection, getDocs, query, where, addDoc, updateDoc,
+  collection, getDocs, getDoc, query, where, addDoc, updateDoc,
   doc, Timestamp, enableNetwork, disableNetwork
 } from "firebase/firestore";
 import { onAuthStateChanged } from "firebase/auth";
@@ -27,28 +28,75 @@ import { onAuthStateChanged } from "firebase/auth";
 import SessionHeader from "./runner/SessionHeader";
 import SessionSetupForm from "./runner/SessionSetupForm";
 import CountdownRing from "./runner/CountdownRing";
+import CountdownControls from "./runner/CountdownControls";
 import ZUPTGrid from "./runner/ZUPTGrid";
+import ZuptQuickPicker from "./runner/ZuptQuickPicker";
+import EventPicker from "./runner/EventPicker";
+import CrewPanel from "./runner/CrewPanel";
 import StampsTable from "./runner/StampsTable";
 import ActionBar from "./runner/ActionBar";
 import StatusDialogs from "./runner/StatusDialogs";
+import ProximityPanel from "./runner/ProximityPanel";
+import LapCoverage from "./runner/LapCoverage";
+import LapStatsPanel from "./runner/LapStatsPanel";
+import TabMirror from "./runner/TabMirror";
+import FieldMode from "./runner/FieldMode";
 
 /* ── helpers ── */
 import {
-  TZ_IANA, clockStr,
-  PLANS_CACHE_KEY,
+  PLANS_CACHE_KEY, PROXIMITY_MODE_KEY,
   loadOutbox, saveOutbox,
   loadIndex, saveIndex,
   loadStamps, saveStamps,
+  loadStampEdits, saveStampEdits,
   loadProcessed, saveProcessed,
-  pushReplace, pushCreateOnce,
+  pushReplace, pushCreateOnce, pushPhotoOnce,
   groupAndCoalesce,
-  toDateSafe, toMillis, toTimestamp,
+  toDateSafe, toMillis,
   rehydrateTimestampsInPayload,
-  deriveLoopState,
+  deriveLoopState, nextUpZupt,
+  dwellOffset, dwellRemain, closeDwell, DWELL_MISSED_MS,
+  loadRunnerSnapshot, saveRunnerSnapshot, clearRunnerSnapshot,
 } from "../services/runnerHelpers";
 
+import { stampFix, fixOffset } from "../services/geoHelpers";
+import { STAMP_SCHEMA, loopMarkerName } from "../services/stampSchema";
+import { editorOf, insertStamp, editStamp, deleteStamp } from "../services/stampEdits";
+import { lapRulesOf, lapZupts, lapCoverage, finishShortfalls } from "../services/lapRules";
+import { lapStats, fmtDuration } from "../services/lapStats";
+import {
+  ianaOf, timeIn, loadDefaultZone, fetchDefaultZone, CLOCK_MODE_KEY,
+} from "../services/timeZones";
+import { fetchLeapSeconds } from "../services/timeScales";
+import {
+  titleTemplateOf, renderTitle, usesSeq, operatorName, fetchNextSeq, nextSeq, claimSeq
+} from "../services/titleTemplates";
+import { askAlertPermission, scheduleDwellAlert, cancelDwellAlert } from "../services/dwellAlerts";
+import { deviceId, loadClockSamples, samplesFor, mergeSamples } from "../services/clockSkew";
+import { announce, hushVoice, COUNTDOWN_MILESTONES } from "../services/voiceGuidance";
+import {
+  newStampId, stampKey, diffStamps, addPending, clearPending, NO_PENDING, mergeStamps, mergeEdits,
+  queuedPending, resumeStamps,
+  commitStamps, watchSession, joinSession, openSession, setMemberRole, leaveSession,
+  roleOf, roleCan, roleLabel, shareLiveView, revokeLiveView, spectatorUrl,
+} from "../services/liveSession";
+import {
+  preparePhoto, newPhotoId, queuePhotoBlob, dropPhotoBlob, flushPhoto, patchPhoto, withoutThumbs, MAX_PHOTOS_PER_STAMP,
+} from "../services/photoAttachments";
+
 /* ── keyboard shortcuts ── */
 import useKeyboardShortcuts from "../hooks/useKeyboardShortcuts";
+import { loadShortcuts, fetchShortcuts, activeBindings } from "../services/shortcutProfiles";
+import {
+  loadEventTypes, fetchEventTypes, visibleTypes, eventStamp, eventTypesIn,
+} from "../services/eventTypes";
+import useGeolocation from "../hooks/useGeolocation";
+import useGeofence from "../hooks/useGeofence";
+import useClockSkew from "../hooks/useClockSkew";
+import useWakeLock from "../hooks/useWakeLock";
+import useTabLeader from "../hooks/useTabLeader";
+import useFullscreen from "../hooks/useFullscreen";
+import useLatestCallback from "../hooks/useLatestCallback";
 
 /* ───────── component ───────── */
 export default function PlanRunner({ onSessionActive }) {
@@ -69,16 +117,30 @@ export default function PlanRunner({ onSessionActive }) {
     try { online ? enableNetwork(db) : disableNetwork(db); } catch {}
   }, [online]);
 
+  /* newer leap-second table, if one has been published (header GPS clock) */
+  useEffect(() => {
+    if (online) fetchLeapSeconds();
+  }, [online]);
+
   /* auth + clock */
   const [user, setUser] = useState(undefined);
   useEffect(() => onAuthStateChanged(auth, u => setUser(u ?? null)), []);
 
-  const [tz, setTz] = useState("UTC");
-  const [clock, setClock] = useState(clockStr("UTC"));
+  // the session's zone (IANA); null until the user's default is known
+  const [tz, setTz] = useState(null);
+  const [now, setNow] = useState(() => new Date());
   useEffect(() => {
-    const id = setInterval(() => setClock(clockStr(tz)), 1000);
+    const id = setInterval(() => setNow(new Date()), 1000);
     return () => clearInterval(id);
-  }, [tz]);
+  }, []);
+
+  /* header clock: zone | dual | gps (stored per device) */
+  const [clockMode, setClockMode] = useState(() => {
+    try { return localStorage.getItem(CLOCK_MODE_KEY) || "local"; } catch { return "local"; }
+  });
+  useEffect(() => {
+    try { localStorage.setItem(CLOCK_MODE_KEY, clockMode); } catch {}
+  }, [clockMode]);
 
   /* plans + unfinished (cloud) */
   const [plans, setPlans] = useState(() => {
@@ -91,6 +153,13 @@ export default function PlanRunner({ onSessionActive }) {
   const [planId, setPlanId] = useState("");
   const plan = useMemo(() => plans.find(p => p.id === planId), [plans, planId]);
 
+  /* strict plan order — defaults from the plan, can be overridden per session */
+  const [strictOrder, setStrictOrder] = useState(false);
+  const choosePlan = useCallback((id) => {
+    setPlanId(id);
+    setStrictOrder(!!plans.find(p => p.id === id)?.strictOrder);
+  }, [plans]);
+
   const [unfinishedFirebase, setUnfinishedFirebase] = useState([]);
   useEffect(() => {
     if (!user) return;
@@ -115,18 +184,88 @@ export default function PlanRunner({ onSessionActive }) {
     })();
   }, [user]);
 
+  /* active shortcut profile — cached copy first, then the user's saved settings */
+  const [keymap, setKeymap] = useState(null);
+  useEffect(() => {
+    if (!user) return;
+    setKeymap(activeBindings(loadShortcuts(user.uid)));
+    fetchShortcuts(user.uid).then(s => setKeymap(activeBindings(s)));
+  }, [user]);
+
+  /* default zone for new sessions — never replaces the zone of a session already open */
+  useEffect(() => {
+    if (!user) return;
+    const cached = loadDefaultZone(user.uid);
+    setTz(cur => cur ?? cached);
+    fetchDefaultZone(user.uid).then(z => setTz(cur => (cur === cached ? z : cur)));
+  }, [user]);
+
+  /* event catalogue for the event picker — cached copy first, then the saved one */
+  const [eventTypes, setEventTypes] = useState([]);
+  useEffect(() => {
+    if (!user) return;
+    setEventTypes(visibleTypes(loadEventTypes(user.uid)));
+    fetchEventTypes(user.uid).then(t => setEventTypes(visibleTypes(t)));
+  }, [user]);
+
   /* session state */
   const [sessionId, setSessionId] = useState(null);
   const [title, setTitle] = useState("");
   const [startedAt, setStartedAt] = useState(null);
   const [elapsed, setElapsed] = useState(0);
   const [stamps, setStamps] = useState([]);
+  // audit log of after-the-fact corrections; a ref so every store() carries the latest log
+  const stampEditsRef = useRef([]);
+  // device-vs-server clock readings bracketing this session (see services/clockSkew.js)
+  const clockOffsetsRef = useRef([]);
+  // only the device that started the session records its clock offsets onto it
+  const ownsClockRef = useRef(true);
+  // this device's stamp changes not yet merged into the server copy (see services/liveSession.js)
+  const pendingRef = useRef(NO_PENDING);
+  const finishingRef = useRef(false);
+  // photos converted and queued, waiting to be put on their stamp: [{ key, photo }]
+  const [readyPhotos, setReadyPhotos] = useState([]);
+
+  /* title from the selected plan's template — {seq} counted over the plan's sessions */
+  const titleTmpl = titleTemplateOf(plan);
+  const titleLocked = !!titleTmpl?.required;
+  const [seqFloor, setSeqFloor] = useState(1);
+  useEffect(() => {
+    setSeqFloor(1);
+    if (!user || !planId || sessionId || !usesSeq(titleTmpl?.pattern)) return;
+    let alive = true;
+    fetchNextSeq(user.uid, planId).then(n => { if (alive) setSeqFloor(n); });
+    return () => { alive = false; };
+  }, [user, planId, titleTmpl?.pattern, sessionId, online]);
+
+  const titlePreview = useMemo(() => (
+    titleTmpl && user
+      ? renderTitle(titleTmpl.pattern, {
+        plan: plan.name, operator: operatorName(user), seq: nextSeq(user.uid, planId, seqFloor), tz,
+      })
+      : ""
+  ), [titleTmpl, plan, user, planId, seqFloor, tz]);
+
+  // the last title filled in from the template; a title the operator typed is left alone
+  const autoTitleRef = useRef("");
+  useEffect(() => {
+    if (sessionId) return;
+    setTitle(cur => (titleLocked || !cur.trim() || cur === autoTitleRef.current ? titlePreview : cur));
+    autoTitleRef.current = titlePreview;
+  }, [titlePreview, titleLocked, sessionId]);
+
+  /* crew — { uid, members, shared, spectator } from the live session doc */
+  const [live, setLive] = useState(null);
+  const myRole = roleOf(live, user?.uid) || "lead";
+  const can = (action) => !live?.shared || roleCan(myRole, action);
 
   const [sessionPlan, setSessionPlan] = useState(null);
   const activePlan = plan || sessionPlan;
 
   const [{ loopIdx, loopOn }, setLoopMeta] = useState({ loopIdx: 1, loopOn: false });
   const [captured, setCaptured] = useState(new Set());
+  const [skipped, setSkipped] = useState(new Set());
+  const handled = useMemo(() => new Set([...captured, ...skipped]), [captured, skipped]);
 
   /* compact status dialogs */
   const [openPanel, setOpenPanel] = useState(null);
@@ -145,48 +284,136 @@ export default function PlanRunner({ onSessionActive }) {
     onSessionActive?.(!!startedAt);
   }, [startedAt, onSessionActive]);
 
+  /* device position — watched only while a session is live */
+  const { fix, fixRef, error: geoError } = useGeolocation(!!startedAt);
+
+  /* device clock offset — measured while online, recorded onto the live session */
+  const clockSample = useClockSkew(online && !!user);
+  useEffect(() => {
+    if (!clockSample || !startedAt || !ownsClockRef.current) return;
+    clockOffsetsRef.current = mergeSamples(clockOffsetsRef.current, [clockSample]);
+  }, [clockSample, startedAt]);
+
+  /* geofence proximity mode: off | highlight | arm | auto */
+  const [proximityMode, setProximityMode] = useState(() => {
+    try { return localStorage.getItem(PROXIMITY_MODE_KEY) || "off"; } catch { return "off"; }
+  });
+  useEffect(() => {
+    try { localStorage.setItem(PROXIMITY_MODE_KEY, proximityMode); } catch {}
+  }, [proximityMode]);
+
+  /* keep the screen on while a session is live */
+  const wakeLocked = useWakeLock(!!startedAt);
+
+  /* field mode — full screen, large targets, swipe gestures (see runner/FieldMode.jsx) */
+  const [fieldMode, setFieldMode] = useState(false);
+  useFullscreen(fieldMode && !!startedAt);
+
+  // Elapsed is derived from startedAt, so a throttled interval only delays the
+  // display; refresh as soon as the page is visible again.
   useEffect(() => {
     if (!startedAt) return;
-    const id = setInterval(() => setElapsed(Math.floor((Date.now() - startedAt) / 1000)), 1000);
-    return () => clearInterval(id);
+    const tick = () => setElapsed(Math.floor((Date.now() - startedAt) / 1000));
+    tick();
+    const id = setInterval(tick, 1000);
+    document.addEventListener("visibilitychange", tick);
+    return () => { clearInterval(id); document.removeEventListener("visibilitychange", tick); };
   }, [startedAt]);
 
   useEffect(() => {
-    const { loopIdx, loopOn, captured } = deriveLoopState(stamps);
+    const { loopIdx, loopOn, captured, skipped } = deriveLoopState(stamps);
     setLoopMeta({ loopIdx, loopOn });
     setCaptured(captured);
+    setSkipped(skipped);
   }, [stamps]);
 
-  /* countdown */
+  /* lap targets from the plan — the ZUPTs this lap must include, and coverage so far */
+  const lapRules = lapRulesOf(activePlan);
+  const lapPlanZupts = useMemo(() => lapZupts(activePlan, loopIdx), [activePlan, loopIdx]);
+  const coverage = useMemo(() => lapCoverage(activePlan, stamps), [activePlan, stamps]);
+  const shortfalls = finishShortfalls(activePlan, coverage);
+
+  /* countdown + the dwell it measures (pauses/extensions recorded onto the stamp) */
   const [active, setActive] = useState(null);
   const [remain, setRemain] = useState(null);
+  const [dwell, setDwell] = useState(null);
   const timerRunning = remain !== null;
+  const paused = !!dwell?.pausedAt;
+  // set when a dwell end passed while the page was suspended: { zuptName, lateS }
+  const [missedDwell, setMissedDwell] = useState(null);
+
+  const { near, stationary } = useGeofence({
+    enabled: !!startedAt && proximityMode !== "off",
+    fix,
+    zupts: activePlan?.zupts,
+    captured: handled,
+  });
+
+  /* countdown reached zero — beep, then record the dwell against the current stamps */
+  const endDwell = useLatestCallback(() => {
+    // Haptic vibration (mobile)
+    try { if (navigator.vibrate) navigator.vibrate([200, 100, 200]); } catch {}
+    // Audio double-beep via Web Audio API
+    try {
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const beep = (freq, delay, dur) => {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.connect(gain); gain.connect(ctx.destination);
+        osc.frequency.value = freq;
+        gain.gain.value = 0.3;
+        osc.start(ctx.currentTime + delay);
+        osc.stop(ctx.currentTime + delay + dur);
+      };
+      beep(880, 0, 0.15);
+      beep(1100, 0.25, 0.2);
+    } catch {}
+    announce("countdown", "Go");
+    if (dwell) {
+      const lateMs = Date.now() - dwell.deadlineMs;
+      const missed = lateMs > DWELL_MISSED_MS;
+      if (missed) setMissedDwell({ zuptName: dwell.zuptName, lateS: Math.round(lateMs / 1000) });
+      // A missed end is recorded at its deadline, with how late the alert fired
+      const upd = missed
+        ? closeDwell(stamps, { ...dwell, lateMs }, "complete", "", dwell.deadlineMs)
+        : closeDwell(stamps, dwell, "complete");
+      setStamps(upd);
+      void store(upd, `${dwell.zuptName} dwell recorded`);
+    }
+    setActive(null); setRemain(null); setDwell(null);
+  });
   useEffect(() => {
-    if (remain === null) return;
-    if (remain === 0) {
-      // Haptic vibration (mobile)
-      try { if (navigator.vibrate) navigator.vibrate([200, 100, 200]); } catch {}
-      // Audio double-beep via Web Audio API
-      try {
-        const ctx = new (window.AudioContext || window.webkitAudioContext)();
-        const beep = (freq, delay, dur) => {
-          const osc = ctx.createOscillator();
-          const gain = ctx.createGain();
-          osc.connect(gain); gain.connect(ctx.destination);
-          osc.frequency.value = freq;
-          gain.gain.value = 0.3;
-          osc.start(ctx.currentTime + delay);
-          osc.stop(ctx.currentTime + delay + dur);
-        };
-        beep(880, 0, 0.15);
-        beep(1100, 0.25, 0.2);
-      } catch {}
-      setActive(null); setRemain(null);
-      return;
+    if (remain === 0 && !paused) endDwell();
+  }, [remain, paused, endDwell]);
+
+  /* background dwell-end alert — follows the deadline through pauses and extensions.
+     Not cancelled on completion: the alert is what reaches an operator who switched apps. */
+  useEffect(() => {
+    if (!dwell) return;
+    if (dwell.pausedAt) cancelDwellAlert();
+    else scheduleDwellAlert(dwell);
+  }, [dwell]);
+
+  /* spoken countdown milestones — not at the very start of a short dwell */
+  const sayCountdown = useLatestCallback((left) => {
+    if (paused || !dwell) return;
+    if (COUNTDOWN_MILESTONES.includes(left) && left < dwell.planned + dwell.extended) {
+      announce("countdown", String(left));
     }
-    const id = setTimeout(() => setRemain(r => r - 1), 1000);
-    return () => clearTimeout(id);
-  }, [remain]);
+  });
+  useEffect(() => {
+    if (remain !== null) sayCountdown(remain);
+  }, [remain, sayCountdown]);
+
+  /* countdown ticks against the dwell's absolute deadline (background throttling safe) */
+  useEffect(() => {
+    if (!dwell || paused) return;
+    const tick = () => setRemain(dwellRemain(dwell, Date.now()));
+    tick();
+    const id = setInterval(tick, 250);
+    document.addEventListener("visibilitychange", tick);
+    return () => { clearInterval(id); document.removeEventListener("visibilitychange", tick); };
+  }, [dwell, paused]);
 
   /* guard unload */
   useEffect(() => {
@@ -198,11 +425,36 @@ export default function PlanRunner({ onSessionActive }) {
   /* misc */
   const [snack, setSnack] = useState("");
   const [reverse, setReverse] = useState(false);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [eventOpen, setEventOpen] = useState(false);
   const [startedOffline, setStartedOffline] = useState(false);
 
-  const fmt = d => d.toLocaleTimeString("en-US", { timeZone: TZ_IANA[tz], hour12: false });
+  /* runner snapshot — the live state a reload would otherwise lose (restored below) */
+  useEffect(() => {
+    if (!user || !sessionId || !startedAt || finishingRef.current) return;
+    saveRunnerSnapshot({
+      uid: user.uid, sessionId, startedAt: startedAt.toISOString(),
+      reverse, active, dwell, savedAt: Date.now(),
+    });
+  }, [user, sessionId, startedAt, reverse, active, dwell]);
+
+  /* tabs — one leads (session + outbox flush), the others mirror it read-only */
+  const mirrorState = useMemo(() => (sessionId && startedAt ? {
+    sessionId, title, planName: activePlan?.name || "", tz, startedAt: startedAt.getTime(),
+    loopIdx, loopOn, captured: captured.size, total: lapPlanZupts.length,
+    dwell, stamps, zupts: activePlan?.zupts || [],
+  } : null), [sessionId, title, activePlan, tz, startedAt, loopIdx, loopOn, captured, lapPlanZupts, dwell, stamps]);
+  const { isLeader, takeOver, mirror } = useTabLeader(mirrorState);
+
+  const fmt = d => timeIn(d, tz);
   const lap = `${Math.floor(elapsed / 60)}m ${elapsed % 60}s`;
 
+  /* lap timing — recomputed on every elapsed tick */
+  const stats = lapStats(stamps, {
+    remaining: loopOn ? lapPlanZupts.filter(z => !handled.has(z.name)) : [],
+    dwellLeftMs: timerRunning ? remain * 1000 : 0,
+  });
+
   /* local/outbox persistence */
   const persistStampsLocal = (sid, list) => { if (!sid) return; saveStamps(sid, list); };
 
@@ -212,13 +464,27 @@ export default function PlanRunner({ onSessionActive }) {
     saveOutbox(ops);
   };
 
+  /**
+   * Persist `list`, which the caller derived from the current `stamps`. Only what
+   * changed between the two is sent, merged into the server copy, so stamps
+   * from other crew devices are never overwritten.
+   */
   const store = async (list, msg) => {
     if (!sessionId) return;
     persistStampsLocal(sessionId, list);
+    pendingRef.current = addPending(pendingRef.current, diffStamps(stamps, list));
+    const sent = pendingRef.current;
 
+    const edits = {
+      ...(stampEditsRef.current.length ? { stampEdits: stampEditsRef.current } : {}),
+      ...(ownsClockRef.current && clockOffsetsRef.current.length ? { clockOffsets: clockOffsetsRef.current } : {}),
+    };
+    // Queued updates replace each other, so each carries the full list plus every unsynced change
+    const queue = () => pushReplace(sessionId, "update", {
+      timestamps: withoutThumbs(list).map(t => ({ ...t, time: toMillis(t.time) })), stampSync: sent, ...edits,
+    });
     if (!online) {
-      const payload = { timestamps: list.map(t => ({ ...t, time: toMillis(t.time) })) };
-      pushReplace(sessionId, "update", payload);
+      queue();
       localQueueTouch();
       bump();
       setSnack(msg);
@@ -226,20 +492,18 @@ export default function PlanRunner({ onSessionActive }) {
     }
 
     try {
-      await updateDoc(doc(db, "sessions", sessionId), {
-        timestamps: list.map(t => ({ ...t, time: toTimestamp(t.time) }))
-      });
+      await commitStamps(sessionId, list, sent, edits);
+      pendingRef.current = clearPending(pendingRef.current, sent);
     } catch {
-      const payload = { timestamps: list.map(t => ({ ...t, time: toMillis(t.time) })) };
-      pushReplace(sessionId, "update", payload);
+      queue();
       bump();
     }
     setSnack(msg);
   };
 
-  /* Flush outbox when back online (IDEMPOTENT + opId) */
+  /* Flush outbox when back online (IDEMPOTENT + opId) — leading tab only */
   useEffect(() => {
-    if (!online || !user) return;
+    if (!online || !user || !isLeader) return;
 
     const flush = async () => {
       const ops = loadOutbox();
@@ -271,6 +535,8 @@ export default function PlanRunner({ onSessionActive }) {
             }
             const oldStamps = loadStamps(localId);
             if (oldStamps.length) saveStamps(targetId, oldStamps);
+            const oldEdits = loadStampEdits(localId);
+            if (oldEdits.length) saveStampEdits(targetId, oldEdits);
 
             remember(item.create);
           } else {
@@ -278,8 +544,14 @@ export default function PlanRunner({ onSessionActive }) {
           }
 
           if (item.update && !processed.has(item.update.opId)) {
-            const payload = rehydrateTimestampsInPayload(item.update.payload);
-            await updateDoc(doc(db, "sessions", targetId), payload);
+            const { timestamps, stampSync, ...rest } = rehydrateTimestampsInPayload(item.update.payload);
+            if (stampSync) {
+              await commitStamps(targetId, timestamps, stampSync, rest);
+              pendingRef.current = clearPending(pendingRef.current, stampSync);
+            } else {
+              // queued before stamp merging existed — whole-list write as it was then
+              await updateDoc(doc(db, "sessions", targetId), { timestamps: withoutThumbs(timestamps), ...rest });
+            }
             remember(item.update);
           }
 
@@ -288,6 +560,16 @@ export default function PlanRunner({ onSessionActive }) {
             await updateDoc(doc(db, "sessions", targetId), payload);
             remember(item.finish);
           }
+
+          for (const op of item.photos) {
+            if (processed.has(op.opId)) continue;
+            const uploaded = await flushPhoto(user.uid, targetId, op.payload.photoId);
+            if (uploaded) {
+              saveStamps(targetId, patchPhoto(loadStamps(targetId), op.payload.photoId, uploaded));
+              setStamps(prev => patchPhoto(prev, op.payload.photoId, uploaded));
+            }
+            remember(op);
+          }
         } catch {
           for (const o of ops) {
             if (o.type === "touch") continue;
@@ -316,35 +598,95 @@ export default function PlanRunner({ onSessionActive }) {
     };
 
     flush();
-  }, [online, user]);
+  }, [online, user, isLeader]);
+
+  /* Live session doc — crew changes and other devices' stamps stream in here */
+  const onLiveSession = useLatestCallback((data) => {
+    setLive({ uid: data.uid, members: data.members || {}, shared: !!data.shared, spectator: data.spectator || null });
+    if (data.endedAt) {
+      if (finishingRef.current) return;
+      const idx = loadIndex();
+      if (idx[sessionId]) { delete idx[sessionId]; saveIndex(idx); }
+      clearRunnerSnapshot();
+      clearLive();
+      setSnack("The lead finished this session");
+      return;
+    }
+    if (data.timezone) setTz(ianaOf(data.timezone));
+    stampEditsRef.current = mergeEdits(stampEditsRef.current, data.stampEdits || []);
+    setStamps(prev => {
+      // keep this device's unsynced changes on top of the server copy
+      const merged = mergeStamps(data.timestamps, prev, pendingRef.current);
+      const d = diffStamps(prev, merged);
+      if (!d.touched.length && !d.removed.length) return prev;
+      persistStampsLocal(sessionId, merged);
+      return merged;
+    });
+  });
+  useEffect(() => {
+    if (!sessionId || sessionId.startsWith("local:") || !online) return;
+    return watchSession(sessionId, onLiveSession, () => {});
+  }, [sessionId, online, onLiveSession]);
 
   /* ───────── Actions ───────── */
-  const addStamp = async (id, name, dur = 0) => {
+  /**
+   * Append a stamp to `base` (default: current stamps). Stamps are ZUPT captures in the
+   * running lap unless `extra` says otherwise (kind/loop/reason…).
+   * Returns the new stamp, or null if debounced.
+   */
+  const addStamp = (id, name, dur = 0, { base = stamps, extra = {} } = {}) => {
     const now = new Date();
-    const lastForLoc = [...stamps].reverse().find(s => s.zuptName === name);
-    if (lastForLoc && now - lastForLoc.time < 2000) return;
-
-    const upd = [...stamps, { ...(id ? { zuptId: id } : {}), zuptName: name, time: now, duration: dur }];
+    const lastForLoc = [...base].reverse().find(s => s.zuptName === name);
+    if (lastForLoc && now - lastForLoc.time < 2000) return null;
+
+    const fix = stampFix(fixRef.current, now.getTime());
+    const lap = deriveLoopState(base);
+    const stamp = {
+      id: newStampId(), kind: "zupt", loop: lap.loopOn ? lap.loopIdx : 0,
+      ...(id ? { zuptId: id } : {}), zuptName: name, time: now, duration: dur,
+      ...(fix ? { fix } : {}), ...(live?.shared ? { by: user.uid } : {}), ...extra,
+    };
+    const upd = [...base, stamp];
     setStamps(upd);
     persistStampsLocal(sessionId, upd);
-    void store(upd, "Stamp saved");
+
+    const off = stamp.kind === "zupt" ? fixOffset(fix, activePlan?.zupts?.find(z => z.id === id)) : null;
+    void store(upd,
+      extra.kind === "skip" ? `${name} skipped`
+        : extra.kind === "event" ? `${name} logged`
+        : off?.far ? `Stamp saved — ${Math.round(off.dH)} m from plan` : "Stamp saved");
+    return stamp;
   };
 
   const undoLast = useCallback(async () => {
-    if (!stamps.length) return;
+    // In a crew session only your own latest stamp can be undone
+    const at = live?.shared ? stamps.findLastIndex(s => s.by === user?.uid) : stamps.length - 1;
+    if (at < 0) return;
     if (!window.confirm("Undo last stamp?")) return;
-    const rest = stamps.slice(0, -1);
+    const rest = stamps.filter((_, i) => i !== at);
     setStamps(rest);
-    setActive(null); setRemain(null);
-    setCaptured(prev => { const s = new Set(prev); s.delete(stamps.at(-1).zuptName); return s; });
+    setActive(null); setRemain(null); setDwell(null); cancelDwellAlert();
+    setCaptured(prev => { const s = new Set(prev); s.delete(stamps[at].zuptName); return s; });
     persistStampsLocal(sessionId, rest);
     void store(rest, "Last stamp removed");
-  }, [stamps, sessionId]);
+  }, [stamps, sessionId, live, user]);
 
   const start = async () => {
     if (!activePlan || !title.trim() || !user) return;
+    void askAlertPermission();
     const ts = new Date();
-    const snapshot = { id: activePlan.id, name: activePlan.name, zupts: activePlan.zupts || [] };
+    const zone = ianaOf(tz);
+    // re-rendered at start so {date} and {seq} are current; a typed-over title is kept
+    const tmpl = titleTemplateOf(activePlan);
+    const templated = !!tmpl && (tmpl.required || title === autoTitleRef.current);
+    const seq = templated && usesSeq(tmpl.pattern) ? nextSeq(user.uid, activePlan.id, seqFloor) : null;
+    const sessionTitle = templated
+      ? renderTitle(tmpl.pattern, { plan: activePlan.name, operator: operatorName(user), seq: seq ?? 1, tz: zone, at: ts })
+      : title.trim();
+    if (seq) claimSeq(user.uid, activePlan.id, seq);
+    const snapshot = { id: activePlan.id, name: activePlan.name, zupts: activePlan.zupts || [], loops: activePlan.loops || null };
+    const strict = !!strictOrder;
+    const clock = { deviceId: deviceId(), clockOffsets: samplesFor(loadClockSamples(), ts.getTime()) };
 
     let newId = null;
     let offlineStart = !online;
@@ -353,8 +695,8 @@ export default function PlanRunner({ onSessionActive }) {
       newId = `local:${Date.now()}`;
       const payload = {
         uid: user.uid, planId: snapshot.id, planName: snapshot.name,
-        planSnapshot: snapshot, sessionTitle: title.trim(), timezone: tz,
-        startedAt: ts.getTime(), timestamps: [], endedAt: null,
+        planSnapshot: snapshot, sessionTitle, titleSeq: seq, timezone: zone, strictOrder: strict, ...clock,
+        startedAt: ts.getTime(), timestamps: [], stampSchema: STAMP_SCHEMA, endedAt: null,
         startedOffline: true, createdAt: Date.now()
       };
       pushCreateOnce(newId, payload);
@@ -364,8 +706,8 @@ export default function PlanRunner({ onSessionActive }) {
       try {
         const ref = await addDoc(collection(db, "sessions"), {
           uid: user.uid, planId: snapshot.id, planName: snapshot.name,
-          planSnapshot: snapshot, sessionTitle: title.trim(), timezone: tz,
-          startedAt: Timestamp.fromDate(ts), timestamps: [], endedAt: null,
+          planSnapshot: snapshot, sessionTitle, titleSeq: seq, timezone: zone, strictOrder: strict, ...clock,
+          startedAt: Timestamp.fromDate(ts), timestamps: [], stampSchema: STAMP_SCHEMA, endedAt: null,
           startedOffline: false, createdAt: Timestamp.fromDate(new Date())
         });
         newId = ref.id;
@@ -374,8 +716,8 @@ export default function PlanRunner({ onSessionActive }) {
         offlineStart = true;
         const payload = {
           uid: user.uid, planId: snapshot.id, planName: snapshot.name,
-          planSnapshot: snapshot, sessionTitle: title.trim(), timezone: tz,
-          startedAt: ts.getTime(), timestamps: [], endedAt: null,
+          planSnapshot: snapshot, sessionTitle, titleSeq: seq, timezone: zone, strictOrder: strict, ...clock,
+          startedAt: ts.getTime(), timestamps: [], stampSchema: STAMP_SCHEMA, endedAt: null,
           startedOffline: true, createdAt: Date.now()
         };
         pushCreateOnce(newId, payload);
@@ -385,14 +727,21 @@ export default function PlanRunner({ onSessionActive }) {
 
     const idx = loadIndex();
     idx[newId] = {
-      id: newId, uid: user.uid, title: title.trim(),
-      planId: snapshot.id, planName: snapshot.name,
+      id: newId, uid: user.uid, title: sessionTitle, titleSeq: seq,
+      planId: snapshot.id, planName: snapshot.name, strictOrder: strict, timezone: zone,
       startedAt: ts.toISOString(), startedOffline: offlineStart, status: "active"
     };
     saveIndex(idx);
     saveStamps(newId, []);
+    stampEditsRef.current = [];
+    clockOffsetsRef.current = clock.clockOffsets;
+    ownsClockRef.current = true;
+    pendingRef.current = NO_PENDING;
+    finishingRef.current = false;
+    setLive(null);
     bump();
 
+    setTitle(sessionTitle);
     setSessionId(newId);
     setStartedAt(ts);
     setLoopMeta({ loopIdx: 1, loopOn: false });
@@ -402,40 +751,57 @@ export default function PlanRunner({ onSessionActive }) {
     setStartedOffline(offlineStart);
     setSnack(offlineStart ? "Session started (offline)" : "Session started");
 
-    try { sessionStorage.setItem("activeSessionId", newId); } catch {}
     if (offlineStart) setOpenPanel("queued");
   };
 
   const resume = (s) => {
     const isLocal = !!s.local;
+    void askAlertPermission();
     const sid = s.id;
 
-    try { sessionStorage.setItem("activeSessionId", sid); } catch {}
-
     setSessionId(sid);
     setTitle(s.sessionTitle || s.title || "");
-    setTz(s.timezone || "UTC");
+    setTz(ianaOf(s.timezone));
     setPlanId(s.planId || "");
+    setStrictOrder(!!s.strictOrder);
+    finishingRef.current = false;
+    // unsynced changes still waiting in the outbox stay pending
+    pendingRef.current = queuedPending(sid);
+    setLive(isLocal ? null : { uid: s.uid, members: s.members || {}, shared: !!s.shared, spectator: s.spectator || null });
 
     if (isLocal) {
       const tsList = loadStamps(sid);
       const idx = loadIndex();
       const meta = idx[sid];
       if (meta) {
+        const p = plans.find(x => x.id === meta.planId);
         setSessionPlan({
           id: meta.planId, name: meta.planName,
-          zupts: (plans.find(p => p.id === meta.planId)?.zupts) || (s.planSnapshot?.zupts) || []
+          zupts: p?.zupts || s.planSnapshot?.zupts || [],
+          loops: p?.loops || s.planSnapshot?.loops || null,
         });
         setStartedOffline(!!meta.startedOffline);
         setStartedAt(toDateSafe(meta.startedAt));
       }
+      stampEditsRef.current = loadStampEdits(sid);
+      clockOffsetsRef.current = meta ? samplesFor(loadClockSamples(), toMillis(meta.startedAt)) : [];
+      ownsClockRef.current = true;
       setStamps(tsList);
     } else {
-      const tsList = (s.timestamps || []).map(t => ({ ...t, time: toDateSafe(t.time) }));
+      const tsList = resumeStamps(s.timestamps, loadStamps(sid), pendingRef.current);
+      persistStampsLocal(sid, tsList);
+      stampEditsRef.current = s.stampEdits || [];
+      ownsClockRef.current = !s.deviceId || s.deviceId === deviceId();
+      clockOffsetsRef.current = s.deviceId === deviceId()
+        ? samplesFor(mergeSamples(s.clockOffsets || [], loadClockSamples()), toMillis(s.startedAt))
+        : s.clockOffsets || [];
       setStamps(tsList);
       setStartedAt(toDateSafe(s.startedAt));
       if (s.planSnapshot) {
-        setSessionPlan({ id: s.planSnapshot.id, name: s.planSnapshot.name, zupts: s.planSnapshot.zupts || [] });
+        setSessionPlan({
+          id: s.planSnapshot.id, name: s.planSnapshot.name,
+          zupts: s.planSnapshot.zupts || [], loops: s.planSnapshot.loops || null,
+        });
       }
       setStartedOffline(!!s.startedOffline);
     }
@@ -444,31 +810,251 @@ export default function PlanRunner({ onSessionActive }) {
   };
 
   const toggleLoop = useCallback(async () => {
+    if (!can("laps")) { setSnack("Lap control is with another crew member"); return; }
     if (!loopOn) {
-      await addStamp(null, `L${loopIdx} Start`);
+      const extra = { kind: "loop-start", loop: loopIdx };
+      if (addStamp(null, loopMarkerName("loop-start", loopIdx), 0, { extra })) announce("loop", `Lap ${loopIdx} started`);
     } else {
-      await addStamp(null, `L${loopIdx} Stop`);
-      setActive(null); setRemain(null);
+      const short = lapRules && coverage.find(c => c.loop === loopIdx)?.missing;
+      if (short?.length && !window.confirm(`Lap ${loopIdx} is missing ${short.join(", ")}. Stop the lap anyway?`)) return;
+      // A running dwell is cut short by the lap stop — record it as such
+      const extra = { kind: "loop-stop", loop: loopIdx };
+      if (addStamp(null, loopMarkerName("loop-stop", loopIdx), 0, { base: closeDwell(stamps, dwell, "stopped"), extra })) {
+        announce("loop", `Lap ${loopIdx} stopped`);
+      }
+      setActive(null); setRemain(null); setDwell(null); cancelDwellAlert();
     }
-  }, [loopOn, loopIdx, stamps, sessionId]);
+  }, [loopOn, loopIdx, stamps, sessionId, dwell, live, myRole, lapRules, coverage]);
 
   const clickZ = useCallback(async (z) => {
     if (captured.has(z.name) || timerRunning) return;
+    if (!can("zupts")) { setSnack("ZUPT capture is with another crew member"); return; }
     if (!loopOn) { setSnack("Needs to Record Lap"); return; }
+    if (strictOrder) {
+      const next = nextUpZupt(lapPlanZupts, reverse, captured, skipped);
+      if (next && next.name !== z.name) { setSnack(`Strict order — next is ${next.name}`); return; }
+    }
+    const st = addStamp(z.id, z.name, z.wait || 0);
+    if (!st) return;
+    announce("stamp", `${z.name} stamped`);
     setCaptured(prev => new Set(prev).add(z.name));
     setActive(z);
     setRemain(z.wait || 0);
-    void addStamp(z.id, z.name, z.wait || 0);
-  }, [captured, timerRunning, loopOn, stamps, sessionId]);
+    setDwell({
+      zuptName: z.name, startMs: st.time.getTime(), planned: z.wait || 0,
+      deadlineMs: st.time.getTime() + (z.wait || 0) * 1000,
+      extended: 0, pauses: [], pausedAt: null,
+    });
+  }, [captured, skipped, timerRunning, loopOn, strictOrder, reverse, lapPlanZupts, stamps, sessionId, live, myRole]);
+
+  /* Strict order: the next-up ZUPT can only be passed over with a recorded reason */
+  const skipZupt = useCallback((z, reason) => {
+    if (!loopOn) { setSnack("Needs to Record Lap"); return; }
+    if (!can("zupts")) { setSnack("ZUPT capture is with another crew member"); return; }
+    if (timerRunning || !reason) return;
+    if (addStamp(z.id, z.name, 0, { extra: { kind: "skip", reason } })) announce("stamp", `${z.name} skipped`);
+  }, [loopOn, timerRunning, stamps, sessionId, live, myRole]);
+
+  /* after-the-fact corrections — every change is appended to the audit log */
+  const applyCorrection = useLatestCallback((res, msg) => {
+    stampEditsRef.current = res.edits;
+    saveStampEdits(sessionId, res.edits);
+    setStamps(res.stamps);
+    persistStampsLocal(sessionId, res.stamps);
+    void store(res.stamps, msg);
+  });
 
-  const manual = useCallback(async () => {
-    const note = prompt("Note for manual timestamp:");
-    if (note) void addStamp(null, `MANUAL: ${note}`);
-  }, [stamps, sessionId]);
+  const insertMissed = useCallback((patch) => {
+    const z = activePlan?.zupts?.find(x => x.id === patch.zuptId);
+    const res = insertStamp(stamps, stampEditsRef.current, { ...patch, duration: z?.wait || 0 }, editorOf(user));
+    applyCorrection(res, `${patch.zuptName} inserted`);
+  }, [stamps, activePlan, user, applyCorrection]);
+
+  const editByKey = useCallback((key, patch) => {
+    applyCorrection(editStamp(stamps, stampEditsRef.current, key, patch, editorOf(user)), "Stamp updated");
+  }, [stamps, user, applyCorrection]);
+
+  const deleteByKey = useCallback((key) => {
+    applyCorrection(deleteStamp(stamps, stampEditsRef.current, key, editorOf(user)), "Stamp deleted");
+  }, [stamps, user, applyCorrection]);
+
+  /* photo evidence — converted on the device, then added to its stamp once ready */
+  const attachPhoto = useCallback(async (key, file) => {
+    const s = stamps.find(x => stampKey(x) === key);
+    if (!s || (s.photos?.length || 0) >= MAX_PHOTOS_PER_STAMP) return;
+    try {
+      const { blob, thumb, w, h } = await preparePhoto(file);
+      const id = newPhotoId();
+      await queuePhotoBlob(id, blob);
+      setReadyPhotos(q => [...q, { key, photo: { id, thumb, w, h, at: Date.now() } }]);
+    } catch {
+      setSnack("Could not read that photo");
+    }
+  }, [stamps]);
+
+  // applied here, not in attachPhoto, so stamps recorded during the conversion are kept
+  const placePhotos = useLatestCallback((ready) => {
+    // each stamp takes photos up to the cap; the rest (and photos of removed stamps) are dropped
+    const room = new Map(stamps.map(s => [stampKey(s), MAX_PHOTOS_PER_STAMP - (s.photos?.length || 0)]));
+    const placed = ready.filter(r => {
+      const left = room.get(r.key) || 0;
+      if (left <= 0) return false;
+      room.set(r.key, left - 1);
+      return true;
+    });
+    ready.filter(r => !placed.includes(r)).forEach(r => dropPhotoBlob(r.photo.id).catch(() => {}));
+    if (placed.length < ready.length) setSnack(`Up to ${MAX_PHOTOS_PER_STAMP} photos per stamp`);
+    if (!placed.length) return;
+
+    const upd = stamps.map(s => {
+      const add = placed.filter(r => r.key === stampKey(s)).map(r => r.photo);
+      return add.length ? { ...s, photos: [...(s.photos || []), ...add] } : s;
+    });
+    setStamps(upd);
+    persistStampsLocal(sessionId, upd);
+
+    const sid = sessionId;
+    (async () => {
+      await store(upd, placed.length > 1 ? `${placed.length} photos attached` : "Photo attached");
+      for (const { photo } of placed) {
+        try {
+          if (!online || sid.startsWith("local:")) throw new Error("offline");
+          const uploaded = await flushPhoto(user.uid, sid, photo.id);
+          if (!uploaded) continue;
+          setStamps(prev => {
+            const next = patchPhoto(prev, photo.id, uploaded);
+            persistStampsLocal(sid, next);
+            return next;
+          });
+        } catch {
+          pushPhotoOnce(sid, photo.id);
+          bump();
+        }
+      }
+    })();
+  });
+  useEffect(() => {
+    if (!readyPhotos.length) return;
+    setReadyPhotos([]);
+    placePhotos(readyPhotos);
+  }, [readyPhotos, placePhotos]);
+
+  /* spoken "next ZUPT" whenever the next-up target changes during a lap */
+  const nextName = nextUpZupt(lapPlanZupts, reverse, captured, skipped)?.name || null;
+  useEffect(() => {
+    if (!startedAt || !loopOn || timerRunning || !nextName) return;
+    announce("nextZupt", `Next ZUPT, ${nextName}`);
+  }, [nextName, loopOn, timerRunning, startedAt]);
+
+  /* countdown controls */
+  const togglePause = useCallback(() => {
+    const now = Date.now();
+    setDwell(d => {
+      if (!d) return d;
+      if (!d.pausedAt) return { ...d, pausedAt: now };
+      return {
+        ...d, pausedAt: null, deadlineMs: d.deadlineMs + (now - d.pausedAt),
+        pauses: [...d.pauses, { from: dwellOffset(d, d.pausedAt), to: dwellOffset(d, now) }],
+      };
+    });
+  }, []);
+
+  const extendDwell = useCallback((sec) => {
+    setRemain(r => (r === null ? r : r + sec));
+    setDwell(d => (d ? { ...d, extended: d.extended + sec, deadlineMs: d.deadlineMs + sec * 1000 } : d));
+  }, []);
+
+  const abortDwell = useCallback((reason) => {
+    if (!dwell) return;
+    const upd = closeDwell(stamps, dwell, "aborted", reason);
+    setActive(null); setRemain(null); setDwell(null); cancelDwellAlert();
+    setStamps(upd);
+    persistStampsLocal(sessionId, upd);
+    void store(upd, `${dwell.zuptName} aborted`);
+  }, [dwell, stamps, sessionId]);
+
+  /* Geofence auto stamp — once per ZUPT entry, after the vehicle has stopped inside the radius */
+  const autoFiredRef = useRef(null);
+  useEffect(() => {
+    if (!near) { autoFiredRef.current = null; return; }
+    if (proximityMode !== "auto" || !stationary || !loopOn || timerRunning) return;
+    if (autoFiredRef.current === near.zupt.name) return;
+    autoFiredRef.current = near.zupt.name;
+    clickZ(near.zupt);
+  }, [near, stationary, proximityMode, loopOn, timerRunning, clickZ]);
+
+  const manual = useCallback(() => setEventOpen(true), []);
+
+  /* `at` is when the picker opened — the event happened then, not when the form was saved */
+  const logEvent = useCallback((type, values, at) => {
+    const extra = { ...eventStamp(type, values), ...(at ? { time: at } : {}) };
+    if (addStamp(null, type.label, 0, { extra })) announce("stamp", `${type.label} logged`);
+  }, [stamps, sessionId, live]);
+
+  /* back to the setup form — shared by finish, leaving a crew session, a remote finish
+     and handing the session to another tab (which keeps its dwell alert) */
+  const clearLive = ({ keepAlert = false } = {}) => {
+    setFinishConfirmOpen(false);
+    setSessionId(null);
+    setStartedAt(null);
+    setLoopMeta({ loopIdx: 1, loopOn: false });
+    setCaptured(new Set());
+    setActive(null); setRemain(null); setDwell(null);
+    if (!keepAlert) cancelDwellAlert();
+    setStamps([]);
+    stampEditsRef.current = [];
+    clockOffsetsRef.current = [];
+    pendingRef.current = NO_PENDING;
+    setLive(null);
+    setMissedDwell(null);
+    setFieldMode(false);
+    hushVoice();
+    setSessionPlan(null);
+    setStartedOffline(false);
+
+    setTitle("");
+    setPlanId("");
+    setStrictOrder(false);
+    if (user) setTz(loadDefaultZone(user.uid));
+    setFormKey(k => k + 1);
+  };
+
+  /* another tab took over — let go of the session here without ending it */
+  const standDown = useLatestCallback(() => {
+    if (!sessionId) return;
+    clearLive({ keepAlert: true });
+    setSnack("Session moved to another tab");
+  });
+  useEffect(() => {
+    if (!isLeader) standDown();
+  }, [isLeader, standDown]);
+
+  /* zone changes during a session are stored on it, so every view of the session follows */
+  const changeTz = (z) => {
+    setTz(z);
+    if (!sessionId) return;
+    const idx = loadIndex();
+    if (idx[sessionId]) { idx[sessionId].timezone = z; saveIndex(idx); }
+    if (sessionId.startsWith("local:")) {
+      saveOutbox(loadOutbox().map(o =>
+        o.sessionId === sessionId && o.type === "create" ? { ...o, payload: { ...o.payload, timezone: z } } : o));
+    } else {
+      // queued by Firestore's offline cache when there is no connection
+      updateDoc(doc(db, "sessions", sessionId), { timezone: z }).catch(() => {});
+    }
+  };
 
   const finish = useCallback(async () => {
     if (!sessionId) return;
-    const payloadOffline = { endedAt: Date.now() };
+    finishingRef.current = true;
+    // a dwell still counting down is recorded as stopped, and that list is what gets summarised
+    const final = dwell ? closeDwell(stamps, dwell, "stopped") : stamps;
+    if (dwell) await store(final, "Dwell recorded");
+    const clock = ownsClockRef.current && clockOffsetsRef.current.length ? { clockOffsets: clockOffsetsRef.current } : {};
+    // lap timing is kept on the session so the summary figures outlive this screen
+    const { laps: lapTimes, avgLapMs, avgGapMs } = lapStats(final);
+    const timing = { laps: lapTimes, avgLapMs, avgGapMs };
+    const payloadOffline = { endedAt: Date.now(), ...clock, lapStats: timing };
     let queued = !online;
 
     if (!online) {
@@ -477,7 +1063,7 @@ export default function PlanRunner({ onSessionActive }) {
       bump();
     } else {
       try {
-        await updateDoc(doc(db, "sessions", sessionId), { endedAt: Timestamp.fromDate(new Date()) });
+        await updateDoc(doc(db, "sessions", sessionId), { endedAt: Timestamp.fromDate(new Date()), ...clock, lapStats: timing });
       } catch {
         queued = true;
         pushReplace(sessionId, "finish", payloadOffline);
@@ -494,69 +1080,149 @@ export default function PlanRunner({ onSessionActive }) {
     }
     bump();
 
-    try { sessionStorage.removeItem("activeSessionId"); } catch {}
+    clearRunnerSnapshot();
 
     // Capture summary before resetting state
+    const skips = final.filter(s => s.kind === "skip");
     setSessionSummary({
       title,
       planName: activePlan?.name || "",
-      stampCount: stamps.length,
+      stampCount: final.length,
       zuptsCaptured: captured.size,
       zuptsTotal: activePlan?.zupts?.length || 0,
+      skips: skips.map(s => ({ name: s.zuptName, reason: s.reason || "" })),
+      events: eventTypesIn(final),
+      laps: lapRules ? lapCoverage(activePlan, final) : [],
+      lapTarget: lapRules?.target || 0,
+      lapStats: timing,
       elapsed: lap,
       startedAt,
       endedAt: new Date(),
       queued,
     });
 
-    setFinishConfirmOpen(false);
-    setSessionId(null);
-    setStartedAt(null);
-    setLoopMeta({ loopIdx: 1, loopOn: false });
-    setCaptured(new Set());
-    setActive(null); setRemain(null);
-    setStamps([]);
-    setSessionPlan(null);
-    setStartedOffline(false);
+    clearLive();
+    if (queued) setOpenPanel("finished");
+  }, [sessionId, online, title, activePlan, stamps, captured, lap, startedAt, dwell, lapRules]);
 
-    setTitle("");
-    setPlanId("");
-    setFormKey(k => k + 1);
+  /* ── crew ── */
+  const inviteCrew = async () => {
+    try {
+      await openSession(sessionId, user);
+      setSnack("Crew invite open — share the session code");
+    } catch {
+      setSnack("Could not open the session to a crew");
+    }
+  };
 
-    if (queued) setOpenPanel("finished");
-  }, [sessionId, online, title, activePlan, stamps, captured, lap, startedAt]);
+  const joinLive = async (code, role) => {
+    const s = await joinSession(code, user, role);
+    resume(s);
+    setSnack(`Joined as ${roleLabel(role)}`);
+  };
+
+  const shareView = async () => {
+    try {
+      const token = await shareLiveView(sessionId);
+      try { await navigator.clipboard.writeText(spectatorUrl(token)); } catch {}
+      setSnack("Live view link copied");
+    } catch {
+      setSnack("Could not create a live view link");
+    }
+  };
+
+  const revokeView = () => {
+    revokeLiveView(sessionId)
+      .then(() => setSnack("Live view link turned off"))
+      .catch(() => setSnack("Could not turn off the live view link"));
+  };
+
+  const changeRole = (uid, role) => {
+    setMemberRole(sessionId, uid, role).catch(() => setSnack("Could not change the role"));
+  };
+
+  /* crew members other than the lead leave; the session stays open for the others */
+  const leave = async () => {
+    if (!window.confirm("Leave this crew session? It stays open for the rest of the crew.")) return;
+    try { await leaveSession(sessionId, user.uid); } catch {}
+    const idx = loadIndex();
+    if (idx[sessionId]) { delete idx[sessionId]; saveIndex(idx); }
+    clearRunnerSnapshot();
+    clearLive();
+    setSnack("Left the session");
+  };
+  const requestFinish = () => (can("finish") ? setFinishConfirmOpen(true) : leave());
 
   /* Keyboard shortcut: click ZUPT by visible index (respects reverse order) */
   const clickZuptByIndex = useCallback((idx) => {
-    if (!activePlan?.zupts?.length) return;
-    const ordered = reverse ? [...activePlan.zupts].reverse() : activePlan.zupts;
+    if (!lapPlanZupts.length) return;
+    const ordered = reverse ? [...lapPlanZupts].reverse() : lapPlanZupts;
     if (idx >= 0 && idx < ordered.length) {
       clickZ(ordered[idx]);
     }
-  }, [activePlan, reverse, clickZ]);
+  }, [lapPlanZupts, reverse, clickZ]);
 
-  /* ── keyboard shortcuts ── */
+  /* ── keyboard / pedal shortcuts ── */
   useKeyboardShortcuts({
     enabled: !!startedAt,
-    onToggleLap: toggleLoop,
-    onClickZuptByIndex: clickZuptByIndex,
-    onUndoLast: undoLast,
-    onManual: manual,
-    onFinish: () => setFinishConfirmOpen(true),
+    bindings: keymap,
+    handlers: {
+      toggleLap: toggleLoop,
+      stampNext: () => {
+        const next = nextUpZupt(lapPlanZupts, reverse, captured, skipped);
+        if (next) clickZ(next); else setSnack("All ZUPTs handled");
+      },
+      quickPick: () => { if (!timerRunning) setPickerOpen(true); },
+      ...Object.fromEntries(Array.from({ length: 9 }, (_, i) => [`zupt${i + 1}`, () => clickZuptByIndex(i)])),
+      undo: undoLast,
+      abortCountdown: () => abortDwell("Aborted from shortcut"),
+      manual,
+      finish: requestFinish,
+    },
   });
 
-  /* Auto-resume session from hint — OFFLINE ONLY */
-  useEffect(() => {
-    if (!user || startedAt || online) return;
-    try {
-      const hint = sessionStorage.getItem("activeSessionId");
-      if (!hint) return;
+  /* Restore the runner after a reload or crash, or when this tab takes over from the
+     leader, online or offline. The session comes back through resume(), stamps still
+     queued in the outbox included; the snapshot adds the direction, active ZUPT and countdown. */
+  const restoringRef = useRef(false);
+  const restoreRunner = useLatestCallback(() => {
+    const snap = loadRunnerSnapshot(user.uid);
+    if (!snap) return;
+    restoringRef.current = true;
+
+    const restore = (s) => {
+      resume(s);
+      setReverse(!!snap.reverse);
+      if (snap.dwell) {
+        // measured against the deadline — a dwell that ran out meanwhile closes as missed
+        setActive(snap.active);
+        setDwell(snap.dwell);
+        setRemain(dwellRemain(snap.dwell));
+      }
+    };
+
+    (async () => {
+      // a local session synced since the snapshot is found again by its start time
       const idx = loadIndex();
-      const entry = idx[hint];
-      if (!entry || entry.status !== "active" || entry.uid !== user.uid) return;
-      resume({ ...entry, local: true, id: hint });
-    } catch {}
-  }, [user, startedAt, online]);
+      const sid = idx[snap.sessionId] ? snap.sessionId
+        : Object.values(idx).find(e => e.uid === user.uid && e.startedAt === snap.startedAt)?.id || snap.sessionId;
+      if (!sid.startsWith("local:")) {
+        try {
+          const d = await getDoc(doc(db, "sessions", sid));
+          if (d.exists() && !d.data().endedAt) restore({ id: sid, ...d.data() });
+          else clearRunnerSnapshot();
+          return;
+        } catch {}
+      }
+      const entry = idx[sid];
+      if (entry?.status === "active" && entry.uid === user.uid) restore({ ...entry, local: true, id: sid });
+      else clearRunnerSnapshot();
+    })().finally(() => { restoringRef.current = false; });
+  });
+  useEffect(() => {
+    if (!user || !isLeader || startedAt || restoringRef.current) return;
+    restoreRunner();
+  }, [user, isLeader, startedAt, restoreRunner]);
 
   /* derived UI lists/counters */
   const outbox = !online ? loadOutbox() : [];
@@ -583,9 +1249,11 @@ export default function PlanRunner({ onSessionActive }) {
 
       {/* Header / Clock / Offline Status */}
       <SessionHeader
-        clock={clock}
+        now={now}
         tz={tz}
-        setTz={setTz}
+        setTz={changeTz}
+        clockMode={clockMode}
+        setClockMode={setClockMode}
         startedAt={startedAt}
         startedOffline={startedOffline}
         isMobile={isMobile}
@@ -593,6 +1261,7 @@ export default function PlanRunner({ onSessionActive }) {
         queuedCount={queuedCount}
         finishedCount={finishedCount}
         onOpenPanel={setOpenPanel}
+        clockSample={clockSample}
       />
 
       <Typography variant="subtitle1" gutterBottom sx={{ fontWeight: 700, letterSpacing: 0.2, color: "text.secondary" }}>
@@ -600,19 +1269,27 @@ export default function PlanRunner({ onSessionActive }) {
       </Typography>
 
       {/* Pre-start form (when nothing running) */}
-      {!startedAt && (
+      {!isLeader && <TabMirror mirror={mirror} onTakeOver={takeOver} />}
+
+      {!startedAt && isLeader && (
         <SessionSetupForm
           plans={plans}
           planId={planId}
-          setPlanId={setPlanId}
+          setPlanId={choosePlan}
+          strictOrder={strictOrder}
+          setStrictOrder={setStrictOrder}
           title={title}
           setTitle={setTitle}
+          titleTemplate={titleTmpl?.pattern || ""}
+          titleLocked={titleLocked}
           isMobile={isMobile}
           onStart={start}
           unfinished={unfinished}
           onResume={resume}
           formKey={formKey}
           isLoading={plansLoading && !plans.length}
+          onJoin={joinLive}
+          canJoin={online && !!user}
         />
       )}
 
@@ -663,7 +1340,12 @@ export default function PlanRunner({ onSessionActive }) {
                   {activePlan.name}
                 </Typography>
               )}
-              <Typography variant="caption" sx={{ color: "text.secondary", ml: "auto" }}>
+              {wakeLocked && (
+                <Tooltip title="Screen kept awake during the session">
+                  <LightModeIcon sx={{ fontSize: 14, color: "warning.main", ml: "auto" }} />
+                </Tooltip>
+              )}
+              <Typography variant="caption" sx={{ color: "text.secondary", ml: wakeLocked ? 0 : "auto" }}>
                 {toDateSafe(startedAt).toLocaleTimeString(undefined, {
                   hour: "2-digit",
                   minute: "2-digit",
@@ -734,6 +1416,14 @@ export default function PlanRunner({ onSessionActive }) {
             </Stack>
           </Box>
 
+          {/* ── Dwell end passed while the app was suspended ── */}
+          {missedDwell && (
+            <Alert severity="warning" onClose={() => setMissedDwell(null)} sx={{ mb: 1.5, borderRadius: 2 }}>
+              The app was in the background when the {missedDwell.zuptName} dwell ended — the alert
+              came {missedDwell.lateS}s late. Check that the vehicle actually stayed for the full wait.
+            </Alert>
+          )}
+
           {/* ── Active ZUPT countdown ── */}
           {active && (
             <Box
@@ -755,9 +1445,10 @@ export default function PlanRunner({ onSessionActive }) {
             >
               <CountdownRing
                 secondsLeft={remain}
-                total={active.wait || 0}
+                total={(active.wait || 0) + (dwell?.extended || 0)}
                 size={isMobile ? 100 : 130}
                 stroke={isMobile ? 7 : 9}
+                paused={paused}
               />
               <Typography
                 variant="subtitle2"
@@ -774,6 +1465,13 @@ export default function PlanRunner({ onSessionActive }) {
                 <LocationIcon sx={{ fontSize: 16 }} />
                 {active.name}
               </Typography>
+              <CountdownControls
+                zuptName={active.name}
+                paused={paused}
+                onTogglePause={togglePause}
+                onExtend={extendDwell}
+                onAbort={abortDwell}
+              />
               <Button
                 onClick={undoLast}
                 size="small"
@@ -800,18 +1498,82 @@ export default function PlanRunner({ onSessionActive }) {
 
           <Divider sx={{ my: 2 }} />
 
+          {/* Geofence proximity prompting */}
+          <ProximityPanel
+            mode={proximityMode}
+            setMode={setProximityMode}
+            fix={fix}
+            geoError={geoError}
+            near={near}
+            stationary={stationary}
+            canStamp={loopOn && !timerRunning}
+            onStamp={clickZ}
+          />
+
+          {/* Crew */}
+          <CrewPanel
+            sessionId={sessionId}
+            canShare={online && !!sessionId && !sessionId.startsWith("local:")}
+            live={live}
+            myUid={user?.uid}
+            myRole={myRole}
+            onOpen={inviteCrew}
+            onSetRole={changeRole}
+            onSnack={setSnack}
+            onShareView={shareView}
+            onRevokeView={revokeView}
+          />
+
+          {/* Lap timing */}
+          {stamps.some(s => s.kind === "loop-start") && <LapStatsPanel stats={stats} fmtTime={fmt} />}
+
+          {/* Lap targets */}
+          {lapRules && (
+            <LapCoverage coverage={coverage} target={lapRules.target} currentLoop={loopIdx} loopOn={loopOn} />
+          )}
+
           {/* ZUPT chips */}
           <ZUPTGrid
-            zupts={activePlan.zupts || []}
+            zupts={lapPlanZupts}
             captured={captured}
             timerRunning={timerRunning}
             reverse={reverse}
             setReverse={setReverse}
             onClickZupt={clickZ}
+            nearby={proximityMode !== "off" ? near?.zupt.name ?? null : null}
+            strict={strictOrder}
+            skipped={skipped}
+            onSkip={skipZupt}
+            onOpenPicker={() => setPickerOpen(true)}
+          />
+          <ZuptQuickPicker
+            open={pickerOpen}
+            onClose={() => setPickerOpen(false)}
+            zupts={lapPlanZupts}
+            reverse={reverse}
+            captured={captured}
+            skipped={skipped}
+            strict={strictOrder}
+            onPick={clickZ}
+          />
+          <EventPicker
+            open={eventOpen}
+            types={eventTypes}
+            onClose={() => setEventOpen(false)}
+            onSave={logEvent}
           />
 
           {/* Stamps table */}
-          <StampsTable stamps={stamps} tz={tz} />
+          <StampsTable
+            stamps={stamps}
+            tz={tz}
+            zupts={activePlan.zupts || []}
+            editable={!timerRunning && can("edit")}
+            onInsert={insertMissed}
+            onEdit={editByKey}
+            onDelete={deleteByKey}
+            onAttachPhoto={can("notes") ? attachPhoto : undefined}
+          />
         </>
       )}
 
@@ -824,7 +1586,30 @@ export default function PlanRunner({ onSessionActive }) {
           timerRunning={timerRunning}
           onToggleLoop={toggleLoop}
           onManual={manual}
-          onFinish={() => setFinishConfirmOpen(true)}
+          onFinish={requestFinish}
+          onFieldMode={() => setFieldMode(true)}
+          bindings={keymap}
+        />
+      )}
+
+      {startedAt && activePlan && fieldMode && (
+        <FieldMode
+          title={title}
+          lap={lap}
+          loopOn={loopOn}
+          loopIdx={loopIdx}
+          zupts={lapPlanZupts}
+          reverse={reverse}
+          captured={captured}
+          skipped={skipped}
+          timerRunning={timerRunning}
+          remain={remain}
+          paused={paused}
+          activeName={active?.name || dwell?.zuptName || ""}
+          onToggleLoop={toggleLoop}
+          onStamp={clickZ}
+          onEvent={manual}
+          onExit={() => setFieldMode(false)}
         />
       )}
 
@@ -844,7 +1629,18 @@ export default function PlanRunner({ onSessionActive }) {
             <Typography variant="body2">
               <strong>ZUPTs captured:</strong> {captured.size} / {activePlan?.zupts?.length || 0}
             </Typography>
+            {stamps.some(s => s.kind === "skip") && (
+              <Typography variant="body2">
+                <strong>ZUPTs skipped:</strong> {stamps.filter(s => s.kind === "skip").length}
+              </Typography>
+            )}
             <Typography variant="body2"><strong>Elapsed:</strong> {lap}</Typography>
+            {shortfalls.length > 0 && (
+              <Alert severity={lapRules.enforce === "block" ? "error" : "warning"} sx={{ borderRadius: 2 }}>
+                {shortfalls.map((m) => <div key={m}>{m}</div>)}
+                {lapRules.enforce === "block" && <div>This plan requires its lap targets before finishing.</div>}
+              </Alert>
+            )}
           </Stack>
         </DialogContent>
         <DialogActions sx={{ px: 3, py: 2 }}>
@@ -854,6 +1650,7 @@ export default function PlanRunner({ onSessionActive }) {
           <Button
             variant="contained" color="success"
             onClick={finish}
+            disabled={shortfalls.length > 0 && lapRules.enforce === "block"}
             sx={{ textTransform: "none", fontWeight: 700 }}
           >
             Finish Session
@@ -918,6 +1715,68 @@ export default function PlanRunner({ onSessionActive }) {
                 </Box>
               </Stack>
 
+              {sessionSummary.events.length > 0 && (
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 0.5 }}>Events</Typography>
+                  <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap>
+                    {sessionSummary.events.map((e) => (
+                      <Chip
+                        key={e.type}
+                        size="small"
+                        label={`${e.label} × ${e.count}`}
+                        sx={{ bgcolor: e.color, color: "#fff", fontWeight: 600 }}
+                      />
+                    ))}
+                  </Stack>
+                </Box>
+              )}
+
+              {sessionSummary.lapStats.laps.length > 0 && (
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 0.5 }}>Lap times</Typography>
+                  <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap>
+                    {sessionSummary.lapStats.laps.map((l) => (
+                      <Chip key={`${l.loop}-${l.ms}`} size="small" variant="outlined" label={`L${l.loop} ${fmtDuration(l.ms)}`} />
+                    ))}
+                  </Stack>
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+                    Average lap {fmtDuration(sessionSummary.lapStats.avgLapMs)}
+                    {sessionSummary.lapStats.avgGapMs !== null && ` · average ZUPT gap ${fmtDuration(sessionSummary.lapStats.avgGapMs)}`}
+                  </Typography>
+                </Box>
+              )}
+
+              {sessionSummary.laps.length > 0 && (
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 0.5 }}>
+                    Laps ({sessionSummary.laps.filter(c => c.complete).length}/{sessionSummary.lapTarget} complete)
+                  </Typography>
+                  {sessionSummary.laps.map((c) => (
+                    <Typography
+                      key={c.loop}
+                      variant="body2"
+                      sx={{ color: c.complete ? "success.main" : c.started ? "warning.main" : "text.secondary" }}
+                    >
+                      L{c.loop}: {c.started ? `${c.captured}/${c.required} ZUPTs` : "not run"}
+                      {c.started && c.missing.length > 0 && ` — missing ${c.missing.join(", ")}`}
+                    </Typography>
+                  ))}
+                </Box>
+              )}
+
+              {sessionSummary.skips.length > 0 && (
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 700, color: "warning.main", mb: 0.5 }}>
+                    Skipped ({sessionSummary.skips.length})
+                  </Typography>
+                  {sessionSummary.skips.map((k, i) => (
+                    <Typography key={i} variant="body2" color="text.secondary">
+                      {k.name} — {k.reason}
+                    </Typography>
+                  ))}
+                </Box>
+              )}
+
               <Stack direction="row" alignItems="center" spacing={1} sx={{ py: 1 }}>
                 {sessionSummary.queued ? (
                   <>
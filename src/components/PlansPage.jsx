@@ -4,7 +4,7 @@ import {
   Box, Typography, List, ListItem, ListItemText, IconButton, Button,
   Dialog, DialogTitle, DialogContent, TextField, Stack, Divider,
   CircularProgress, Snackbar, Alert, Paper, ListItemSecondaryAction,
-  useTheme, useMediaQuery, Tooltip, Grid, Skeleton
+  useTheme, useMediaQuery, Tooltip, Grid, Skeleton, FormControlLabel, Switch
 } from "@mui/material";
 import EditIcon          from "@mui/icons-material/Edit";
 import DownloadIcon      from "@mui/icons-material/Download";
@@ -23,6 +23,12 @@ import {
 } from "firebase/firestore";
 import { getAuth } from "firebase/auth";
 
+import { GEOFENCE_RADIUS_M } from "../services/geoHelpers";
+import { cleanLapRules, remapLapRules } from "../services/lapRules";
+import { cleanTitleTemplate, fetchIsAdmin, operatorName } from "../services/titleTemplates";
+import LapRulesEditor from "./LapRulesEditor";
+import TitleTemplateEditor from "./TitleTemplateEditor";
+
 /* DnD Kit */
 import {
   DndContext,
@@ -48,7 +54,7 @@ const inRange  = (v, lo, hi) => isNum(v) && +v >= lo && +v <= hi;
 const noSpace  = (s = "") => !/\s/.test(s);
 const sixDP    = v => Number(Number(v).toFixed(6));
 const uuid     = () => crypto.randomUUID?.() ?? `${Date.now()}-${Math.random()}`;
-const blankZup = () => ({ id: uuid(), name:"", lat:"", lon:"", height:"", wait:"" });
+const blankZup = () => ({ id: uuid(), name:"", lat:"", lon:"", height:"", wait:"", radius:"" });
 
 export default function PlansPage() {
   const theme    = useTheme();
@@ -60,8 +66,12 @@ export default function PlansPage() {
   // Edit dialog state
   const [editing,setEditing]      = useState(null);
   const [name,   setName]         = useState("");
+  const [strict, setStrict]       = useState(false);
   const [anchors,setAnchors]      = useState(ANCHOR_KEYS.reduce((o,k)=>({...o,[k]:""}),{}));
   const [zupts,  setZupts]        = useState([]);
+  const [loops,  setLoops]        = useState(null);
+  const [titleTemplate, setTitleTemplate] = useState(null);
+  const [isAdmin, setIsAdmin]     = useState(false);
 
   // Touched & submit gating (no upfront errors)
   const [submitAttempted, setSubmitAttempted] = useState(false);
@@ -81,6 +91,7 @@ export default function PlansPage() {
     setPlans(snap.docs.map(d => ({ id: d.id, ...d.data() })));
   };
   useEffect(() => { fetchPlans(); /* eslint-disable-next-line */ }, [user]);
+  useEffect(() => { fetchIsAdmin(user).then(setIsAdmin); }, [user]);
 
   /* delete plan */
   const deletePlan = async p => {
@@ -104,15 +115,19 @@ export default function PlansPage() {
   /* clone / duplicate */
   const clonePlan = async (p) => {
     try {
+      const idMap = new Map((p.zupts || []).map(z => [z.id, uuid()]));
       const cloned = {
         uid: user.uid,
         planUid: uuid(),
         name: `${p.name}_copy`,
         anchors: p.anchors ? { ...p.anchors } : null,
+        strictOrder: !!p.strictOrder,
         zupts: (p.zupts || []).map(z => ({
           ...z,
-          id: uuid(),
+          id: idMap.get(z.id),
         })),
+        ...(p.loops ? { loops: remapLapRules(p.loops, idMap) } : {}),
+        ...(p.titleTemplate ? { titleTemplate: { ...p.titleTemplate } } : {}),
         createdAt: Timestamp.now(),
       };
       await addDoc(collection(db, "plans"), cloned);
@@ -133,6 +148,16 @@ export default function PlansPage() {
       if (!imported.name || !Array.isArray(imported.zupts)) {
         alert("Invalid plan file"); return;
       }
+      const ids = imported.zupts.map(() => uuid());
+      const idMap = new Map(imported.zupts.map((z, i) => [z.id, ids[i]]).filter(([old]) => old));
+      const zuptsIn = imported.zupts.map((z, i) => ({
+        id: ids[i], name:String(z.name||"").replace(/\s+/g,""),
+        lat: sixDP(z.lat), lon: sixDP(z.lon),
+        height: +z.height, wait: +z.wait,
+        ...(isNum(z.radius) ? { radius: +z.radius } : {})
+      }));
+      const loopsIn = cleanLapRules(remapLapRules(imported.loops, idMap), zuptsIn);
+      const titleIn = cleanTitleTemplate(imported.titleTemplate);
       const planDoc = {
         uid: user.uid,
         planUid: uuid(),
@@ -140,11 +165,10 @@ export default function PlansPage() {
         anchors: Object.fromEntries(
           ANCHOR_KEYS.map(k => [k, +imported.anchors?.[k] || 0])
         ),
-        zupts: imported.zupts.map(z => ({
-          id: uuid(), name:String(z.name||"").replace(/\s+/g,""),
-          lat: sixDP(z.lat), lon: sixDP(z.lon),
-          height: +z.height, wait: +z.wait
-        })),
+        strictOrder: !!imported.strictOrder,
+        zupts: zuptsIn,
+        ...(loopsIn ? { loops: loopsIn } : {}),
+        ...(titleIn ? { titleTemplate: titleIn } : {}),
         createdAt: Timestamp.now()
       };
       await addDoc(collection(db,"plans"), planDoc);
@@ -160,8 +184,11 @@ export default function PlansPage() {
   const startEdit = p => {
     setEditing(p);
     setName(p.name);
+    setStrict(!!p.strictOrder);
     setAnchors({ ...p.anchors });
     setZupts(p.zupts || []);
+    setLoops(p.loops || null);
+    setTitleTemplate(p.titleTemplate || null);
     setSubmitAttempted(false);
     setPlanTouched(false);
     setAnchorTouched(ANCHOR_KEYS.reduce((o,k)=>({...o,[k]:false}),{}));
@@ -222,7 +249,8 @@ export default function PlansPage() {
     lat   : z.lat===""  ? "Required" : (!inRange(z.lat,-90,90)   ? "-90…90" : ""),
     lon   : z.lon===""  ? "Required" : (!inRange(z.lon,-180,180) ? "-180…180" : ""),
     height: z.height===""? "Required" : (!isNum(z.height) ? "Number" : ""),
-    wait  : z.wait===""  ? "Required" : (!isNum(z.wait) || +z.wait<0 ? "≥ 0" : "")
+    wait  : z.wait===""  ? "Required" : (!isNum(z.wait) || +z.wait<0 ? "≥ 0" : ""),
+    radius: z.radius==="" || z.radius==null ? "" : (!isNum(z.radius) || +z.radius<=0 ? "> 0" : "")
   });
 
   const anchorErrors = useMemo(()=>Object.fromEntries(
@@ -275,10 +303,12 @@ export default function PlansPage() {
     const cleanZ = zupts.map(z => ({
       id:z.id, name:z.name,
       lat:sixDP(z.lat), lon:sixDP(z.lon),
-      height:+z.height, wait:+z.wait
+      height:+z.height, wait:+z.wait,
+      ...(isNum(z.radius) ? { radius:+z.radius } : {})
     }));
     await updateDoc(doc(db,"plans",editing.id),{
-      name:name, anchors:cleanAnch, zupts:cleanZ
+      name:name, strictOrder:strict, anchors:cleanAnch, zupts:cleanZ,
+      loops:cleanLapRules(loops,cleanZ), titleTemplate:cleanTitleTemplate(titleTemplate)
     });
     fetchPlans();
     setSnack("Plan updated ✅");
@@ -435,7 +465,7 @@ export default function PlansPage() {
         <DialogTitle>Edit Plan</DialogTitle>
         <DialogContent dividers>
           <TextField
-            fullWidth label="Plan Name" sx={{ mb:3 }}
+            fullWidth label="Plan Name" sx={{ mb:1 }}
             value={name}
             error={!!planNameErr}
             helperText={planNameErr || " "}
@@ -443,6 +473,22 @@ export default function PlansPage() {
             onBlur={() => setPlanTouched(true)}
             onKeyDown={(e) => { if (e.key === " ") e.preventDefault(); }}
           />
+          <FormControlLabel
+            sx={{ mb:2 }}
+            control={<Switch checked={strict} onChange={e => setStrict(e.target.checked)} />}
+            label={<Typography variant="body2">Strict ZUPT order (skips need a reason)</Typography>}
+          />
+
+          <Typography variant="subtitle2" gutterBottom>Session titles</Typography>
+          <Box sx={{ mb:3 }}>
+            <TitleTemplateEditor
+              value={titleTemplate}
+              onChange={setTitleTemplate}
+              planName={name}
+              operator={operatorName(user)}
+              canRequire={isAdmin}
+            />
+          </Box>
 
           <Typography variant="subtitle2" gutterBottom>Anchor Points</Typography>
           <Stack direction={{ xs:"column", sm:"row" }} spacing={2} sx={{ mb:3 }}>
@@ -485,6 +531,14 @@ export default function PlansPage() {
             </SortableContext>
           </DndContext>
 
+          {zupts.length > 0 && (
+            <>
+              <Divider sx={{ my:2 }} />
+              <Typography variant="subtitle2" gutterBottom>Laps</Typography>
+              <LapRulesEditor value={loops} onChange={setLoops} zupts={zupts} />
+            </>
+          )}
+
           <Stack direction="row" spacing={2} mt={2}>
             <Button variant="outlined" onClick={addZupt}>➕ Add ZUPT</Button>
             <Tooltip
@@ -611,8 +665,8 @@ function SortableZuptRow({
           />
         </Grid>
 
-        {/* Row 3: Wait / Height */}
-        <Grid size={{ xs: 12, sm: 6 }}>
+        {/* Row 3: Wait / Height / Geofence radius */}
+        <Grid size={{ xs: 12, sm: 4 }}>
           <TextField
             fullWidth
             label="Wait (s)"
@@ -624,7 +678,7 @@ function SortableZuptRow({
             onBlur={() => markZuptTouched(index, "wait")}
           />
         </Grid>
-        <Grid size={{ xs: 12, sm: 6 }}>
+        <Grid size={{ xs: 12, sm: 4 }}>
           <TextField
             fullWidth
             label="Height (m)"
@@ -636,6 +690,18 @@ function SortableZuptRow({
             onBlur={() => markZuptTouched(index, "height")}
           />
         </Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>
+          <TextField
+            fullWidth
+            label="Radius (m)"
+            type="number"
+            placeholder={String(GEOFENCE_RADIUS_M)}
+            value={z.radius ?? ""}
+            error={!!showZErr(index,"radius")}
+            helperText={showZErr(index,"radius") || "Geofence (optional)"}
+            onChange={e => updZupt(index, "radius", e.target.value)}
+          />
+        </Grid>
       </Grid>
     </Paper>
   );
@@ -1,9 +1,11 @@
 // src/components/SessionMapView.jsx
 import React, { useEffect, useMemo } from "react";
 import { Box, Typography } from "@mui/material";
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Popup, Polyline, CircleMarker, useMap } from "react-leaflet";
 import L from "leaflet";
 
+import { fmtMetres } from "../services/geoHelpers";
+
 // Fix Leaflet default marker icon paths (broken by CRA/Webpack bundling)
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
 import markerIcon from "leaflet/dist/images/marker-icon.png";
@@ -80,6 +82,17 @@ function createStackedIcon(visits) {
   });
 }
 
+/* ── device-fix colors ── */
+const FIX_COLOR = "#6B7280";
+const FIX_FAR_COLOR = "#F59E0B";
+
+/* ── offset text for popups ── */
+function offsetText(p) {
+  if (p.dH === null || p.dH === undefined) return "";
+  const v = p.dV !== null && p.dV !== undefined ? ` · ΔV ${fmtMetres(p.dV)} m` : "";
+  return `ΔH ${fmtMetres(p.dH)} m${v}`;
+}
+
 /* ── ordinal helper ── */
 function ordinal(n) {
   const v = n + 1;
@@ -109,6 +122,7 @@ export default function SessionMapView({ rows, isDark }) {
     () =>
       rows.filter(
         (r) =>
+          !r.skipped &&
           r.lat !== "" && r.lon !== "" && !isNaN(Number(r.lat)) && !isNaN(Number(r.lon))
       ),
     [rows]
@@ -138,6 +152,13 @@ export default function SessionMapView({ rows, isDark }) {
     [points]
   );
 
+  // Device fixes recorded with stamps — drawn next to their planned ZUPT
+  const fixes = useMemo(() => allEnriched.filter((p) => p.fix), [allEnriched]);
+  const fitTo = useMemo(
+    () => [...bounds, ...fixes.map((p) => [p.fix.lat, p.fix.lon])],
+    [bounds, fixes]
+  );
+
   const tileUrl = isDark
     ? "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
     : "https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png";
@@ -173,7 +194,7 @@ export default function SessionMapView({ rows, isDark }) {
     <Box>
       <MapContainer
         key={isDark ? "dark" : "light"}
-        bounds={bounds}
+        bounds={fitTo}
         boundsOptions={{ padding: [30, 30], maxZoom: 16 }}
         scrollWheelZoom
         style={{ height: 380, width: "100%", borderRadius: 8 }}
@@ -235,6 +256,14 @@ export default function SessionMapView({ rows, isDark }) {
                         </span>
                         <br />
                         <span style={{ color: "#666" }}>Time: {v.time}</span>
+                        {offsetText(v) && (
+                          <>
+                            <br />
+                            <span style={{ color: v.far ? FIX_FAR_COLOR : "#666", fontWeight: v.far ? 700 : 400 }}>
+                              {offsetText(v)}
+                            </span>
+                          </>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -244,11 +273,42 @@ export default function SessionMapView({ rows, isDark }) {
           );
         })}
 
-        <FitBounds bounds={bounds} />
+        {/* Device fix per stamp, tied to its planned ZUPT with a dashed line */}
+        {fixes.map((p) => {
+          const color = p.far ? FIX_FAR_COLOR : FIX_COLOR;
+          return (
+            <React.Fragment key={`fix-${p.orderIdx}`}>
+              <Polyline
+                positions={[[Number(p.lat), Number(p.lon)], [p.fix.lat, p.fix.lon]]}
+                pathOptions={{ color, weight: 1.5, dashArray: "4 4", opacity: 0.8 }}
+              />
+              <CircleMarker
+                center={[p.fix.lat, p.fix.lon]}
+                radius={5}
+                pathOptions={{ color: "#fff", weight: 1.5, fillColor: color, fillOpacity: 0.9 }}
+              >
+                <Popup maxWidth={240}>
+                  <div style={{ fontSize: 12, lineHeight: 1.4 }}>
+                    <strong>{p.name}</strong> — device fix
+                    <br />
+                    {p.fix.lat.toFixed(6)}, {p.fix.lon.toFixed(6)}
+                    {p.fix.hAcc !== null && p.fix.hAcc !== undefined ? ` (±${Math.round(p.fix.hAcc)} m)` : ""}
+                    <br />
+                    <span style={{ color: p.far ? FIX_FAR_COLOR : "#666", fontWeight: p.far ? 700 : 400 }}>
+                      {offsetText(p)}
+                    </span>
+                  </div>
+                </Popup>
+              </CircleMarker>
+            </React.Fragment>
+          );
+        })}
+
+        <FitBounds bounds={fitTo} />
       </MapContainer>
 
-      {/* Legend — only shown when duplicate coordinates exist */}
-      {hasDuplicates && (
+      {/* Legend — only shown when duplicate coordinates or device fixes exist */}
+      {(hasDuplicates || fixes.length > 0) && (
         <Box
           sx={{
             display: "flex",
@@ -259,7 +319,7 @@ export default function SessionMapView({ rows, isDark }) {
             alignItems: "center",
           }}
         >
-          {VISIT_COLORS.slice(0, maxVisit + 1).map((color, i) => (
+          {hasDuplicates && VISIT_COLORS.slice(0, maxVisit + 1).map((color, i) => (
             <Box key={i} sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
               <Box
                 sx={{
@@ -272,6 +332,14 @@ export default function SessionMapView({ rows, isDark }) {
               </Typography>
             </Box>
           ))}
+          {fixes.length > 0 && [[FIX_COLOR, "Device fix"], [FIX_FAR_COLOR, "Far from plan"]].map(([color, label]) => (
+            <Box key={label} sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+              <Box sx={{ width: 10, height: 10, borderRadius: "50%", bgcolor: color }} />
+              <Typography variant="caption" color="text.secondary" fontWeight={600}>
+                {label}
+              </Typography>
+            </Box>
+          ))}
         </Box>
       )}
     </Box>
@@ -12,7 +12,7 @@ import {
   ToggleButtonGroup, ToggleButton, TableContainer,
   Table, TableHead, TableRow, TableCell, TableBody, ListItemIcon,
   useTheme, useMediaQuery, AppBar, Toolbar, TextField, Backdrop,
-  Skeleton
+  Skeleton, FormControlLabel
 } from "@mui/material";
 import VisibilityIcon        from "@mui/icons-material/Visibility";
 import DownloadIcon          from "@mui/icons-material/Download";
@@ -29,6 +29,10 @@ import AccessTimeIcon        from "@mui/icons-material/AccessTime";
 import CalendarTodayIcon     from "@mui/icons-material/CalendarToday";
 import MapIcon               from "@mui/icons-material/Map";
 import TableChartIcon        from "@mui/icons-material/TableChart";
+import WarningAmberIcon      from "@mui/icons-material/WarningAmber";
+import AddIcon               from "@mui/icons-material/Add";
+import UpdateIcon            from "@mui/icons-material/Update";
+import FilterAltIcon         from "@mui/icons-material/FilterAlt";
 
 import { db } from "../firebase";
 import {
@@ -37,6 +41,24 @@ import {
 } from "firebase/firestore";
 import { getAuth } from "firebase/auth";
 
+import { fixOffset, fmtMetres, OFFSET_FLAG_M } from "../services/geoHelpers";
+import { dwellNote } from "../services/runnerHelpers";
+import { editorOf, insertStamp, editStamp, deleteStamp } from "../services/stampEdits";
+import { stampKey, commitStamps, diffStamps, mergeEdits } from "../services/liveSession";
+import { withoutThumbs } from "../services/photoAttachments";
+import {
+  deviceId, loadClockSamples, samplesFor, mergeSamples, correctTime, offsetAt, fmtOffset
+} from "../services/clockSkew";
+import { eventOf, eventSummary, eventTypesIn, passesEventFilter } from "../services/eventTypes";
+import { STAMP_SCHEMA, migrateStamps, isZuptStamp, isLoopMarker } from "../services/stampSchema";
+import { ianaOf, dateTimeIn } from "../services/timeZones";
+import { titleKey } from "../services/titleTemplates";
+import {
+  TIME_SCALES, TIME_DECIMALS, scaleOf, scaleTime, scaleColumn, precisionLabel, weekSow, fetchLeapSeconds
+} from "../services/timeScales";
+import StampEditDialog from "./StampEditDialog";
+import PhotoThumbs from "./PhotoThumbs";
+
 const SessionMapView = lazy(() => import("./SessionMapView"));
 
 /* ───────── safe date helpers ───────── */
@@ -49,43 +71,64 @@ const toDateSafe = (v) => {
 const toMillisSafe = (v) => toDateSafe(v).getTime();
 
 /* ───────── helpers ───────── */
-const UTC_TO_GPS_OFFSET = 18;
-const GPS_EPOCH = Date.UTC(1980, 0, 6);
-const SEC_WEEK  = 604_800;
+const DECIMALS_KEY = "exportDecimals_v1";
 const addSec = (d,s) => new Date(d.getTime()+s*1000);
-const hhmmss = d =>
-  `${d.getUTCHours().toString().padStart(2,"0")}` +
-  `${d.getUTCMinutes().toString().padStart(2,"0")}` +
-  `${d.getUTCSeconds().toString().padStart(2,"0")}`;
-const utcToGps = utc=>{
-  const g = addSec(utc,UTC_TO_GPS_OFFSET);
-  const s = Math.floor((g-GPS_EPOCH)/1000);
-  return { wn: Math.floor(s/SEC_WEEK), sow: s%SEC_WEEK };
-};
 const norm = s => (s ?? "").replace(/^\s*\d+\s*[:.\-]\s*/,"").replace(/[\s._-]+/g,"").toLowerCase();
-const shortDate = ts =>
+/* dates shown in the session's own zone */
+const shortDate = (ts,tz) =>
   toDateSafe(ts).toLocaleString("en-US",{
-    year:"2-digit",month:"numeric",day:"numeric",
-    hour:"numeric",minute:"2-digit",hour12:true
+    timeZone:ianaOf(tz),year:"2-digit",month:"numeric",day:"numeric",
+    hour:"numeric",minute:"2-digit",hour12:true,timeZoneName:"short"
   }).replace(" AM","am").replace(" PM","pm");
 
-const buildSessionText = s=>{
-  const title = `**${s.sessionTitle||s.planName} – ${shortDate(s.startedAt)}**`;
+// edit history keeps full precision — a correction may move a stamp by less than a second
+const editSnap = (v,basis="UTC") => {
+  if(!v) return "—";
+  const {time,wn}=scaleTime(new Date(v.time),basis,3);
+  return `${v.zuptName} ${time}${wn!=null?` (wk ${wn})`:""}`;
+};
+const editLine = (e,basis) => [new Date(e.at).toISOString(),e.by?.name||e.by?.uid||"",e.op,editSnap(e.before,basis),editSnap(e.after,basis)];
+
+const stampTime = (s,t,clockFix)=>clockFix?correctTime(toDateSafe(t.time),s.clockOffsets||[]):toDateSafe(t.time);
+
+/* photo links for exports; ones still in a device's upload queue are marked */
+const photoLinks = (photos=[])=>photos.map(p=>p.url||"(pending upload)");
+
+/* events grouped by type (eventFilter: type ids to keep, null = all); times on the `basis` scale, as in the export */
+const buildSessionText = (s,{withHistory=false,clockFix=false,eventFilter=null,decimals=0,basis="UTC"}={})=>{
   const ts=[...(s.timestamps||[])]
     .sort((a,b)=>toMillisSafe(a.time)-toMillisSafe(b.time));
-  const loops={}, manuals=[];
+  const loops={}, skips=[], events=new Map(), photos=[];
+  let week=null;
+  const when=t=>{
+    const {time,wn}=scaleTime(stampTime(s,t,clockFix),basis,decimals);
+    if(week===null) week=wn;
+    return wn!==week?`${time} (wk ${wn})`:`${time}`;
+  };
   ts.forEach(t=>{
-    const n=t.zuptName||""; const stamp=hhmmss(toDateSafe(t.time));
-    const mS=n.match(/^L(\d+)\s*Start$/i); const mE=n.match(/^L(\d+)\s*Stop$/i);
-    if(mS){ const i=mS[1]; loops[i]={...(loops[i]||{}),start:stamp};}
-    else if(mE){ const i=mE[1]; loops[i]={...(loops[i]||{}),stop:stamp};}
-    else if(n.startsWith("MANUAL:")) manuals.push(`• ${stamp} – ${n.replace(/^MANUAL:\s*/i,"")}`);
+    const n=t.zuptName||""; const stamp=when(t); const ev=eventOf(t);
+    if(ev&&!passesEventFilter(t,eventFilter)) return;
+    photoLinks(t.photos).forEach(u=>photos.push(`📷 ${stamp} ${ev?ev.label:n}: ${u}`));
+    if(t.kind==="skip") skips.push(`• ${stamp} – SKIPPED ${n}${t.reason?`: ${t.reason}`:""}`);
+    else if(ev){
+      const g=events.get(ev.type)||{label:ev.label,list:[]}; const sum=eventSummary(ev);
+      g.list.push(`• ${stamp}${sum?` – ${sum}`:""}`); events.set(ev.type,g);
+    }
+    else if(t.kind==="loop-start") loops[t.loop]={...(loops[t.loop]||{}),start:stamp};
+    else if(t.kind==="loop-stop") loops[t.loop]={...(loops[t.loop]||{}),stop:stamp};
   });
+  const scale=`${scaleColumn(basis,decimals)}${week!==null?` wk ${week}`:""}`;
+  const title = `**${s.sessionTitle||s.planName} – ${shortDate(s.startedAt,s.timezone)}** (${scale})`;
   const lines=[];
   Object.keys(loops).sort((a,b)=>+a-+b).forEach(k=>{
     const {start="—",stop="—"}=loops[k]; lines.push(`L${k} ${start} ${stop}`);
   });
-  if(manuals.length) lines.push(...manuals);
+  if(skips.length) lines.push(...skips);
+  events.forEach(({label,list})=>lines.push(`${label} (${list.length}):`,...list));
+  if(photos.length) lines.push("Photos:",...photos);
+  if(withHistory&&s.stampEdits?.length){
+    lines.push("Edits:",...s.stampEdits.map(e=>{const [at,by,op,b,a]=editLine(e,basis);return `✎ ${at} ${by} ${op}: ${b} → ${a}`;}));
+  }
   return [title,...lines].join("\n");
 };
 
@@ -107,6 +150,15 @@ export default function SessionsPage() {
   const [displayMode,setDisplayMode] = useState("table");
   const [snack,setSnack]     = useState("");
   const [selected,setSelected]= useState(new Set());
+  const [withHistory,setWithHistory]=useState(false);
+  const [clockFix,setClockFix]=useState(false);
+  const [eventFilter,setEventFilter]=useState(null); // event type ids to include, null = all
+  // digits of the second in every output (table, TXT, copy, e-mail); kept per device
+  const [decimals,setDecimals]=useState(()=>{try{return +localStorage.getItem(DECIMALS_KEY)||0;}catch{return 0;}});
+  useEffect(()=>{try{localStorage.setItem(DECIMALS_KEY,String(decimals));}catch{}},[decimals]);
+
+  /* stamp correction dialog: null = closed, {key:null} = insert, else {key} = stampKey of the stamp */
+  const [stampEdit,setStampEdit]=useState(null);
 
   /* rename dialog */
   const [editId,setEditId]     = useState(null);
@@ -124,9 +176,8 @@ export default function SessionsPage() {
     ));
     let sessionList=ss.docs.map(d=>({id:d.id,...d.data()}));
 
-    // Build duplicate buckets by (name, startedAt, endedAt)
-    const nameOf = s => (s.sessionTitle || s.planName || "").trim().toLowerCase();
-    const dupKey = (s) => `${nameOf(s)}||${toMillisSafe(s.startedAt)}||${toMillisSafe(s.endedAt||0)}`;
+    // Build duplicate buckets by (title, startedAt, endedAt) — see titleKey for how titles compare
+    const dupKey = (s) => `${titleKey(s)}||${toMillisSafe(s.startedAt)}||${toMillisSafe(s.endedAt||0)}`;
 
     // Decide keeper: prefer non-local id, has endedAt, more stamps
     const score = (s) => {
@@ -164,6 +215,27 @@ export default function SessionsPage() {
     sessionList = Array.from(keptByKey.values())
       .sort((a,b)=>toMillisSafe(b.startedAt)-toMillisSafe(a.startedAt));
 
+    // Backfill clock readings this device took after a session (e.g. once back online)
+    const me=deviceId(), localClock=loadClockSamples();
+    await Promise.allSettled(sessionList.filter(s=>s.deviceId===me&&s.endedAt).map(async s=>{
+      const have=s.clockOffsets||[];
+      const next=samplesFor(mergeSamples(have,localClock),toMillisSafe(s.startedAt),toMillisSafe(s.endedAt));
+      if(next.every(x=>have.some(h=>h.at===x.at)))return;
+      await updateDoc(doc(db,"sessions",s.id),{clockOffsets:next});
+      s.clockOffsets=next;
+    }));
+
+    // Upgrade stamps recorded before the typed schema; finished sessions are rewritten once
+    await Promise.allSettled(sessionList.filter(s=>(s.stampSchema||1)<STAMP_SCHEMA).map(async s=>{
+      const typed=migrateStamps((s.timestamps||[]).map(t=>({...t,time:toDateSafe(t.time)})));
+      s.timestamps=typed;
+      if(!s.endedAt)return; // a running session upgrades on its next stamp sync
+      await updateDoc(doc(db,"sessions",s.id),{
+        timestamps:withoutThumbs(typed).map(t=>({...t,time:Timestamp.fromDate(t.time)})),stampSchema:STAMP_SCHEMA
+      });
+      s.stampSchema=STAMP_SCHEMA;
+    }));
+
     // Plan map (orphan detection)
     const planMap={};
     await Promise.all(
@@ -182,6 +254,7 @@ export default function SessionsPage() {
   },[user]);
 
   useEffect(()=>{fetchAll();},[fetchAll]);
+  useEffect(()=>{fetchLeapSeconds();},[]);
 
   /* helpers */
   const zInfo=(plan,key)=>plan?.zupts?.find(z=>z.id===key||norm(z.name)===norm(key));
@@ -233,7 +306,11 @@ export default function SessionsPage() {
       timezone:selArr[0].timezone,
       startedAt:earliest,
       endedAt:mergedEnd,
-      timestamps:mergedT,
+      timestamps:withoutThumbs(mergedT),stampSchema:STAMP_SCHEMA,
+      ...(selArr.some(s=>s.stampEdits?.length)?{stampEdits:selArr.flatMap(s=>s.stampEdits||[])}:{}),
+      ...(selArr.every(s=>s.deviceId&&s.deviceId===selArr[0].deviceId)
+        ?{deviceId:selArr[0].deviceId,clockOffsets:mergeSamples(...selArr.map(s=>s.clockOffsets||[]))}
+        :{}),
       createdAt:Timestamp.now()
     });
     await Promise.all(selArr.map(s=>deleteDoc(doc(db,"sessions",s.id))));
@@ -248,33 +325,59 @@ export default function SessionsPage() {
     const counts={};
 
     return (s.timestamps||[]).flatMap(t=>{
-      const zi=zInfo(plan,t.zuptId||t.zuptName);
-      if(view==="ZUPT"&&!zi)return [];
+      const ev=eventOf(t);
+      const zi=isZuptStamp(t)?zInfo(plan,t.zuptId||t.zuptName):null;
+      const aborted=t.dwell?.status==="aborted", skipped=t.kind==="skip";
+      if(view==="ZUPT"&&(!zi||aborted||skipped))return [];
+      if(!passesEventFilter(t,eventFilter))return [];
 
       const off=step===0?0:Math.min(step,t.duration??0);
-      const utc=addSec(toDateSafe(t.time),off);
-      const cell=basis==="UTC"?hhmmss(utc):utcToGps(utc).sow;
+      const utc=addSec(stampTime(s,t,clockFix),off);
+      const {time:cell,wn}=scaleTime(utc,basis,decimals); // week per row — a session can cross a week boundary
 
-      const base=zi?zi.name:t.zuptName;
-      const idx=counts[base]??0; counts[base]=idx+1;
-      const name=idx===0?base:`${base}_${idx}`;
+      const base=zi?zi.name:ev?ev.label:t.zuptName;
+      let name=ev?base:`${base} (${skipped?"skipped":"aborted"})`;
+      if(!aborted&&!skipped&&!ev){
+        const idx=counts[base]??0; counts[base]=idx+1;
+        name=idx===0?base:`${base}_${idx}`;
+      }
 
-      return {name,time:cell,lat:zi?.lat??"",lon:zi?.lon??"",h:zi?.height??"",anchors:anc};
+      const geo=skipped?null:fixOffset(t.fix,zi);
+      return {
+        name,time:cell,wn,lat:zi?.lat??"",lon:zi?.lon??"",h:zi?.height??"",anchors:anc,
+        fix:t.fix??null,dH:geo?.dH??null,dV:geo?.dV??null,far:!!geo?.far,
+        dwell:skipped||ev?"":t.duration??"",note:skipped?`skipped: ${t.reason||""}`:ev?eventSummary(ev):dwellNote(t.dwell),aborted,skipped,
+        skey:stampKey(t),edited:!!t.edited,photos:t.photos||[],event:ev,kind:t.kind
+      };
     });
   };
 
   const exportTxt=s=>{
     const rows=buildRows(s);
-    const {wn}=utcToGps(toDateSafe(s.startedAt));
-    const header=`${view==="ZUPT"?"ZUPT":"STAMP"}\t`+
-                 `${basis==="UTC"?"UTC_hhmmss":`GPS_SOW (WN ${wn})`}`+
-                 "\tlat\tlon\theight\tA1\tA2\tA3\tB1\tB2\tB3";
+    const sc=scaleOf(basis), wk=sc.weekly?[`${sc.id}_week`]:[];
+    const skips=(s.timestamps||[]).filter(t=>t.kind==="skip");
+    const evs=(s.timestamps||[]).filter(t=>eventOf(t)&&passesEventFilter(t,eventFilter))
+      .sort((a,b)=>eventOf(a).label.localeCompare(eventOf(b).label)||toMillisSafe(a.time)-toMillisSafe(b.time));
+    const when=t=>{const {time,wn}=scaleTime(stampTime(s,t,clockFix),basis,decimals);return sc.weekly?[time,wn]:[time];};
+    const header=[view==="ZUPT"?"ZUPT":"STAMP",scaleColumn(basis,decimals),...wk].join("\t")+
+                 "\tlat\tlon\theight\tA1\tA2\tA3\tB1\tB2\tB3\tdwell_s\tinterruptions\tphotos";
     const txt=[
       s.sessionTitle||s.planName,
       `Plan: ${plans[s.planId]?plans[s.planId].name:"(deleted)"}`,
+      ...(s.clockOffsets?.length
+        ?[`Device clock offset: ${fmtOffset(offsetAt(s.clockOffsets,toMillisSafe(s.startedAt)))} (${clockFix?"corrected":"not corrected"})`]
+        :[]),
+      ...(skips.length?[`Skipped: ${skips.map(t=>`${t.zuptName} (${t.reason||"no reason"})`).join(", ")}`]:[]),
       "",
       header,
-      ...rows.map(r=>[r.name,r.time,r.lat,r.lon,r.h,...r.anchors].join("\t"))
+      ...rows.map(r=>[r.name,r.time,...(sc.weekly?[r.wn]:[]),r.lat,r.lon,r.h,...r.anchors,r.dwell,r.note,photoLinks(r.photos).join(" ")].join("\t")),
+      ...(evs.length
+        ?["","EVENTS",["type",scaleColumn(basis,decimals),...wk,"details"].join("\t"),
+          ...evs.map(t=>[eventOf(t).label,...when(t),eventSummary(eventOf(t))].join("\t"))]
+        :[]),
+      ...(withHistory&&s.stampEdits?.length
+        ?["","EDIT HISTORY","when_utc\tby\taction\tbefore\tafter",...s.stampEdits.map(e=>editLine(e,basis).join("\t"))]
+        :[])
     ].join("\n");
 
     const url=URL.createObjectURL(new Blob([txt],{type:"text/plain"}));
@@ -286,6 +389,35 @@ export default function SessionsPage() {
     setSnack("TXT exported");
   };
 
+  /* ---------- after-the-fact stamp corrections ---------- */
+  // merged into the server copy like the runner's stores, so a crew still stamping isn't overwritten
+  const applyCorrection=async(s,res,msg)=>{
+    let merged;
+    try{
+      merged=await commitStamps(s.id,res.stamps,diffStamps(s.timestamps||[],res.stamps),{stampEdits:res.edits});
+    }catch(e){ console.error(e); setSnack("Save failed"); return; }
+    const timestamps=merged.map(t=>({...t,time:Timestamp.fromDate(toDateSafe(t.time))}));
+    const upd={...s,timestamps,stampEdits:mergeEdits(s.stampEdits||[],res.edits)};
+    setDetail(upd);
+    setSessions(list=>list.map(x=>x.id===s.id?upd:x));
+    setSnack(msg);
+  };
+  const planZupts=s=>plans[s.planId]?.zupts||s.planSnapshot?.zupts||[];
+  const saveStampEdit=patch=>{
+    const s=detail, by=editorOf(user);
+    if(!stampEdit.key){
+      const z=planZupts(s).find(x=>x.id===patch.zuptId);
+      applyCorrection(s,insertStamp(s.timestamps||[],s.stampEdits,{...patch,duration:z?.wait||0},by),`${patch.zuptName} inserted`);
+    }else{
+      applyCorrection(s,editStamp(s.timestamps||[],s.stampEdits,stampEdit.key,patch,by),"Stamp updated");
+    }
+    setStampEdit(null);
+  };
+  const deleteStampAt=()=>{
+    applyCorrection(detail,deleteStamp(detail.timestamps||[],detail.stampEdits,stampEdit.key,editorOf(user)),"Stamp deleted");
+    setStampEdit(null);
+  };
+
   /* ---------- loaders ---------- */
   if(loading){
     return (
@@ -417,7 +549,7 @@ export default function SessionsPage() {
                   {/* meta row */}
                   <Stack direction="row" spacing={1} alignItems="center" mt={0.5} flexWrap="wrap">
                     <Typography variant="caption" color="text.secondary">
-                      {shortDate(s.startedAt)}
+                      {shortDate(s.startedAt,s.timezone)}
                     </Typography>
                     <Box sx={(t) => ({
                       display: "inline-flex", alignItems: "center",
@@ -481,7 +613,7 @@ export default function SessionsPage() {
             onClick={async()=>{
               const txt=[...selected]
                 .map(id=>sessions.find(s=>s.id===id))
-                .map(buildSessionText).join("\n\n");
+                .map(s=>buildSessionText(s,{withHistory,clockFix,eventFilter,decimals,basis})).join("\n\n");
               await navigator.clipboard.writeText(txt);
               setSnack("Copied summary 📋");
             }}
@@ -492,12 +624,36 @@ export default function SessionsPage() {
             onClick={()=>{
               const body=encodeURIComponent(
                 [...selected].map(id=>sessions.find(s=>s.id===id))
-                  .map(buildSessionText).join("\n\n"));
+                  .map(s=>buildSessionText(s,{withHistory,clockFix,eventFilter,decimals,basis})).join("\n\n"));
               window.location.href=`mailto:?subject=${encodeURIComponent("Session Summaries")}&body=${body}`;
             }}
           >
             E-mail
           </Button>
+          <Tooltip title={withHistory?"Edit history included":"Edit history excluded"}>
+            <IconButton size="small" sx={{color:"white",opacity:withHistory?1:0.5}} onClick={()=>setWithHistory(v=>!v)}>
+              <HistoryIcon fontSize="small"/>
+            </IconButton>
+          </Tooltip>
+          {eventFilter&&(
+            <Tooltip title="Only some event types included — click to include all">
+              <IconButton size="small" sx={{color:"white"}} onClick={()=>setEventFilter(null)}>
+                <FilterAltIcon fontSize="small"/>
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title={`Time precision ${precisionLabel(decimals)} — click to change`}>
+            <Button size="small" sx={{color:"white",minWidth:0,fontSize:12}}
+              onClick={()=>setDecimals(d=>TIME_DECIMALS[(TIME_DECIMALS.indexOf(d)+1)%TIME_DECIMALS.length])}
+            >
+              {precisionLabel(decimals)}
+            </Button>
+          </Tooltip>
+          <Tooltip title={clockFix?"Clock correction applied":"Clock correction off"}>
+            <IconButton size="small" sx={{color:"white",opacity:clockFix?1:0.5}} onClick={()=>setClockFix(v=>!v)}>
+              <UpdateIcon fontSize="small"/>
+            </IconButton>
+          </Tooltip>
           <Button size="small" sx={{color:"white",minWidth:0}} startIcon={<MergeIcon/>}
             disabled={selected.size<2}
             onClick={mergeSelected}
@@ -519,12 +675,16 @@ export default function SessionsPage() {
               maxWidth="md" fullWidth fullScreen={isMobile} scroll="body"
               PaperProps={{ sx: { borderRadius: isMobile ? 0 : 3, overflow: "hidden" } }}>
         {detail&&(()=>{            // IIFE
-          const wn=utcToGps(toDateSafe(detail.startedAt)).wn;
+          const sc=scaleOf(basis);
+          const startWeek=d=>weekSow(toDateSafe(detail.startedAt),d).wn;
           const rows=buildRows(detail);
           const startedOffline = detail.startedOffline || (typeof detail.id === "string" && detail.id.startsWith("local:"));
           const detailPlanName = plans[detail.planId]?.name || detail.planName || "(unknown)";
           const planDeleted = plans[detail.planId] === null;
           const stampCount = detail.timestamps?.length || 0;
+          const farCount = rows.filter(r=>r.far).length;
+          const skips = (detail.timestamps||[]).filter(t=>t.kind==="skip");
+          const evTypes = eventTypesIn(detail.timestamps);
           const startD = toDateSafe(detail.startedAt);
           const endD = detail.endedAt ? toDateSafe(detail.endedAt) : null;
           const durationSec = endD ? Math.round((endD - startD) / 1000) : null;
@@ -616,7 +776,7 @@ export default function SessionsPage() {
                         Started
                       </Typography>
                       <Typography variant="body2" fontWeight={500}>
-                        {startD.toLocaleString(undefined, { month: "short", day: "numeric", year: "numeric", hour: "2-digit", minute: "2-digit", second: "2-digit" })}
+                        {dateTimeIn(startD, detail.timezone)}
                       </Typography>
                     </Box>
                   </Stack>
@@ -629,7 +789,7 @@ export default function SessionsPage() {
                       </Typography>
                       <Typography variant="body2" fontWeight={500}>
                         {endD
-                          ? endD.toLocaleString(undefined, { month: "short", day: "numeric", year: "numeric", hour: "2-digit", minute: "2-digit", second: "2-digit" })
+                          ? dateTimeIn(endD, detail.timezone)
                           : "In progress"}
                       </Typography>
                     </Box>
@@ -642,6 +802,17 @@ export default function SessionsPage() {
                   </Alert>
                 )}
 
+                {farCount > 0 && (
+                  <Alert severity="warning" variant="outlined" sx={{ mb: 2, borderRadius: 2 }}>
+                    {farCount} stamp{farCount !== 1 ? "s were" : " was"} recorded more than {OFFSET_FLAG_M} m from the planned ZUPT.
+                  </Alert>
+                )}
+                {skips.length > 0 && (
+                  <Alert severity="info" variant="outlined" sx={{ mb: 2, borderRadius: 2 }}>
+                    Skipped in strict order: {skips.map(t=>`${t.zuptName} (${t.reason||"no reason"})`).join(", ")}
+                  </Alert>
+                )}
+
                 {/* ─── Controls ─── */}
                 <Stack
                   direction="row"
@@ -668,8 +839,36 @@ export default function SessionsPage() {
                       },
                     }}
                   >
-                    <MenuItem value="UTC" sx={{ fontSize: 13, fontWeight: 500 }}>UTC (hhmmss)</MenuItem>
-                    <MenuItem value="GPS_SOW" sx={{ fontSize: 13, fontWeight: 500 }}>GPS SOW – wk {wn}</MenuItem>
+                    {TIME_SCALES.map(t=>(
+                      <MenuItem key={t.id} value={t.id} sx={{ fontSize: 13, fontWeight: 500 }}>
+                        {t.weekly ? `${t.label} SOW – wk ${startWeek(t.id)}` : `${t.label} (hhmmss)`}
+                      </MenuItem>
+                    ))}
+                  </Select>
+
+                  <Select
+                    size="small"
+                    value={decimals}
+                    onChange={e=>setDecimals(+e.target.value)}
+                    renderValue={d=>`± ${precisionLabel(d)}`}
+                    sx={{
+                      minWidth: 90, borderRadius: 2, fontSize: 13, fontWeight: 600,
+                      bgcolor: "action.hover",
+                      "& .MuiOutlinedInput-notchedOutline": { borderColor: "divider" },
+                      "&:hover .MuiOutlinedInput-notchedOutline": { borderColor: "primary.main" },
+                      "& .MuiSelect-select": { py: 0.75, pl: 1.5 },
+                    }}
+                    MenuProps={{
+                      PaperProps: {
+                        sx: { borderRadius: 2, mt: 0.5, boxShadow: 6 },
+                      },
+                    }}
+                  >
+                    {TIME_DECIMALS.map(d=>(
+                      <MenuItem key={d} value={d} sx={{ fontSize: 13, fontWeight: 500 }}>
+                        {d ? `${d} decimal${d>1?"s":""} (${precisionLabel(d)})` : "Whole seconds"}
+                      </MenuItem>
+                    ))}
                   </Select>
 
                   <ToggleButtonGroup
@@ -757,6 +956,52 @@ export default function SessionsPage() {
 
                   <Box sx={{ flex: 1 }} />
 
+                  <Button
+                    size="small"
+                    startIcon={<AddIcon/>}
+                    onClick={()=>setStampEdit({key:null})}
+                    sx={{ borderRadius: 2, textTransform: "none", fontWeight: 600 }}
+                  >
+                    Insert stamp
+                  </Button>
+                  <Tooltip title={detail.clockOffsets?.length ? "Shift stamp times by the measured device clock offset" : "No clock readings for this session"}>
+                    <FormControlLabel
+                      sx={{ mr: 0 }}
+                      disabled={!detail.clockOffsets?.length}
+                      control={<Checkbox size="small" checked={clockFix} onChange={e=>setClockFix(e.target.checked)}/>}
+                      label={
+                        <Typography variant="caption" fontWeight={600}>
+                          Clock fix{detail.clockOffsets?.length?` (${fmtOffset(offsetAt(detail.clockOffsets,toMillisSafe(detail.startedAt)))})`:""}
+                        </Typography>
+                      }
+                    />
+                  </Tooltip>
+                  {evTypes.length > 0 && (
+                    <Select
+                      size="small"
+                      multiple
+                      displayEmpty
+                      value={eventFilter ?? evTypes.map(e=>e.type)}
+                      onChange={e=>{
+                        const v=e.target.value;
+                        setEventFilter(evTypes.every(x=>v.includes(x.type))?null:v);
+                      }}
+                      renderValue={v=>eventFilter?`Events: ${v.length}/${evTypes.length}`:"All events"}
+                      sx={{ borderRadius: 2, fontSize: 13, fontWeight: 600, bgcolor: "action.hover", "& .MuiSelect-select": { py: 0.75, pl: 1.5 } }}
+                    >
+                      {evTypes.map(e=>(
+                        <MenuItem key={e.type} value={e.type} sx={{ fontSize: 13 }}>
+                          <Checkbox size="small" checked={!eventFilter||eventFilter.includes(e.type)} sx={{ p: 0.5, mr: 1, color: e.color, "&.Mui-checked": { color: e.color } }}/>
+                          {e.label} ({e.count})
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  )}
+                  <FormControlLabel
+                    sx={{ mr: 0 }}
+                    control={<Checkbox size="small" checked={withHistory} onChange={e=>setWithHistory(e.target.checked)}/>}
+                    label={<Typography variant="caption" fontWeight={600}>Edit history{detail.stampEdits?.length?` (${detail.stampEdits.length})`:""}</Typography>}
+                  />
                   <Button
                     variant="contained"
                     size="small"
@@ -786,13 +1031,20 @@ export default function SessionsPage() {
                           ZUPT / Stamp
                         </TableCell>
                         <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>
-                          {basis==="UTC" ? "UTC hhmmss" : `GPS SOW (wn ${wn})`}
+                          {sc.weekly ? `${sc.label} SOW` : `${sc.label} hhmmss`}{decimals ? `.${"s".repeat(decimals)}` : ""}
                         </TableCell>
+                        {sc.weekly && (
+                          <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>Week</TableCell>
+                        )}
                         <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>Lat</TableCell>
                         <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>Lon</TableCell>
                         <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>H</TableCell>
+                        <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>ΔH&nbsp;(m)</TableCell>
+                        <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>ΔV&nbsp;(m)</TableCell>
                         {["A1","A2","A3","B1","B2","B3"]
                           .map(a => <TableCell key={a} sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider", fontSize: 12 }}>{a}</TableCell>)}
+                        <TableCell sx={{ fontWeight: 700, bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider" }}>Dwell&nbsp;(s)</TableCell>
+                        <TableCell sx={{ bgcolor: "background.paper", borderBottom: "1px solid", borderColor: "divider", width: 36 }} />
                       </TableRow>
                     </TableHead>
                     <TableBody>
@@ -803,29 +1055,58 @@ export default function SessionsPage() {
                               sx={{
                                 "&:nth-of-type(even)": { backgroundColor: "action.hover" },
                                 "&:hover": { backgroundColor: (t) => t.palette.mode === "dark" ? "rgba(99,102,241,0.08)" : "rgba(99,102,241,0.04)" },
-                                ...(r.name.match(/^L\d+\s+(Start|Stop)$/) ? {
+                                ...(isLoopMarker(r) ? {
                                   bgcolor: (t) => t.palette.mode === "dark" ? "rgba(99,102,241,0.12)" : "rgba(99,102,241,0.06)",
                                 } : {}),
                               }}
                             >
                               <TableCell sx={{
                                 fontWeight: 600,
-                                color: r.name.match(/^L\d+\s+Start$/) ? "success.main"
-                                     : r.name.match(/^L\d+\s+Stop$/) ? "error.main"
+                                textDecoration: r.aborted || r.skipped ? "line-through" : undefined,
+                                color: r.aborted ? "text.disabled"
+                                     : r.skipped ? "warning.main"
+                                     : r.event ? r.event.color
+                                     : r.kind === "loop-start" ? "success.main"
+                                     : r.kind === "loop-stop" ? "error.main"
                                      : "primary.main",
                                 fontSize: 13,
                               }}>
                                 {r.name}
+                                {r.edited && (
+                                  <Tooltip title="Edited after the fact">
+                                    <EditIcon sx={{ fontSize: 12, ml: 0.5, color: "text.secondary", verticalAlign: "middle" }} />
+                                  </Tooltip>
+                                )}
+                                <PhotoThumbs photos={r.photos} size={36} />
                               </TableCell>
                               <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>{r.time}</TableCell>
+                              {sc.weekly && <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>{r.wn}</TableCell>}
                               <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>{r.lat}</TableCell>
                               <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>{r.lon}</TableCell>
                               <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>{r.h}</TableCell>
+                              <TableCell sx={{ fontFamily: "monospace", fontSize: 13, color: r.far ? "warning.main" : undefined, fontWeight: r.far ? 700 : undefined }}>
+                                {r.far ? (
+                                  <Tooltip title={`More than ${OFFSET_FLAG_M} m from plan${r.fix?.hAcc != null ? ` (fix ±${Math.round(r.fix.hAcc)} m)` : ""}`}>
+                                    <Box component="span" sx={{ display: "inline-flex", alignItems: "center", gap: 0.5 }}>
+                                      <WarningAmberIcon sx={{ fontSize: 14 }} />{fmtMetres(r.dH)}
+                                    </Box>
+                                  </Tooltip>
+                                ) : fmtMetres(r.dH)}
+                              </TableCell>
+                              <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>{fmtMetres(r.dV)}</TableCell>
                               {r.anchors.map((v,j) => <TableCell key={j} sx={{ fontFamily: "monospace", fontSize: 12 }}>{v}</TableCell>)}
+                              <TableCell sx={{ fontFamily: "monospace", fontSize: 13, color: r.note ? "warning.main" : undefined }}>
+                                {r.note ? <Tooltip title={r.note}><span>{r.dwell}*</span></Tooltip> : r.dwell}
+                              </TableCell>
+                              <TableCell sx={{ p: 0 }}>
+                                <IconButton size="small" title="Edit stamp" onClick={()=>setStampEdit({key:r.skey})}>
+                                  <EditIcon sx={{ fontSize: 16 }} />
+                                </IconButton>
+                              </TableCell>
                             </TableRow>
                           ))
                         : <TableRow>
-                            <TableCell colSpan={11} align="center" sx={{ py: 4, color: "text.secondary" }}>
+                            <TableCell colSpan={sc.weekly ? 16 : 15} align="center" sx={{ py: 4, color: "text.secondary" }}>
                               No matching stamps
                             </TableCell>
                           </TableRow>}
@@ -834,6 +1115,16 @@ export default function SessionsPage() {
                 </TableContainer>
                 )}
               </DialogContent>
+
+              <StampEditDialog
+                open={stampEdit!==null}
+                stamp={stampEdit?.key?(detail.timestamps||[]).find(t=>stampKey(t)===stampEdit.key)||null:null}
+                zupts={planZupts(detail)}
+                refTime={detail.timestamps?.length?detail.timestamps.at(-1).time:detail.startedAt}
+                onClose={()=>setStampEdit(null)}
+                onSave={saveStampEdit}
+                onDelete={deleteStampAt}
+              />
             </>
           );})()}
       </Dialog>
@@ -3,7 +3,8 @@ import React, { useState, useEffect } from "react";
 import {
   Box, Typography, Stack, TextField, Button, Avatar, Switch, Paper, Chip,
   Dialog, DialogTitle, DialogContent, DialogActions,
-  Alert, CircularProgress, Divider, InputAdornment, IconButton
+  Alert, CircularProgress, Divider, InputAdornment, IconButton,
+  MenuItem, Slider, Checkbox, FormControlLabel
 } from "@mui/material";
 import PersonIcon from "@mui/icons-material/Person";
 import LockIcon from "@mui/icons-material/Lock";
@@ -18,6 +19,10 @@ import VisibilityOff from "@mui/icons-material/VisibilityOff";
 import CheckCircleIcon from "@mui/icons-material/CheckCircle";
 import DarkModeIcon from "@mui/icons-material/DarkMode";
 import LightModeIcon from "@mui/icons-material/LightMode";
+import RecordVoiceOverIcon from "@mui/icons-material/RecordVoiceOver";
+import CategoryIcon from "@mui/icons-material/Category";
+import KeyboardIcon from "@mui/icons-material/Keyboard";
+import PublicIcon from "@mui/icons-material/Public";
 import {
   updateProfile,
   updatePassword,
@@ -30,6 +35,14 @@ import { doc, updateDoc } from "firebase/firestore";
 import { httpsCallable } from "firebase/functions";
 import { auth, db, functions } from "../firebase";
 import { useThemeMode } from "../contexts/ThemeContext";
+import {
+  VOICE_EVENTS, loadVoiceSettings, saveVoiceSettings,
+  speechSupported, listVoices, speak,
+} from "../services/voiceGuidance";
+import ShortcutProfilesEditor from "./ShortcutProfilesEditor";
+import EventTypesEditor from "./EventTypesEditor";
+import TimeZonePicker from "./TimeZonePicker";
+import { loadDefaultZone, fetchDefaultZone, saveDefaultZone, deviceZone } from "../services/timeZones";
 import { Link as RouterLink, useNavigate } from "react-router-dom";
 
 /* ── Reusable card wrapper ── */
@@ -74,6 +87,44 @@ export default function SettingsPage() {
     (p) => p.providerId === "google.com"
   );
 
+  /* ── Voice guidance (stored per device) ── */
+  const [voice, setVoice] = useState(loadVoiceSettings);
+  const [voices, setVoices] = useState(listVoices);
+  const updateVoice = (patch) => {
+    setVoice((v) => {
+      const next = { ...v, ...patch };
+      saveVoiceSettings(next);
+      return next;
+    });
+  };
+  useEffect(() => {
+    if (!speechSupported()) return;
+    const refresh = () => setVoices(listVoices());
+    window.speechSynthesis.addEventListener("voiceschanged", refresh);
+    return () => window.speechSynthesis.removeEventListener("voiceschanged", refresh);
+  }, []);
+
+  /* ── Default time zone for new sessions (stored per user) ── */
+  const [defaultTz, setDefaultTz] = useState(() => (user ? loadDefaultZone(user.uid) : deviceZone()));
+  const [tzMsg, setTzMsg] = useState("");
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    fetchDefaultZone(user.uid).then((z) => { if (!cancelled) setDefaultTz(z); });
+    return () => { cancelled = true; };
+  }, [user]);
+  const changeDefaultTz = async (z) => {
+    setDefaultTz(z);
+    setTzMsg("");
+    try {
+      await saveDefaultZone(user.uid, z);
+      setTzMsg("Default time zone saved.");
+    } catch (err) {
+      console.error(err);
+      setTzMsg(err.message || "Failed to save the default time zone.");
+    }
+  };
+
   /* ── Profile ── */
   const [displayName, setDisplayName] = useState(user?.displayName || "");
   const [editingName, setEditingName] = useState(false);
@@ -524,6 +575,125 @@ export default function SettingsPage() {
           </Stack>
         </SettingsCard>
 
+        {/* ── Voice Guidance Card ── */}
+        <SettingsCard
+          icon={<RecordVoiceOverIcon color="primary" />}
+          title="Voice Guidance"
+        >
+          {!speechSupported() ? (
+            <Typography variant="body2" color="text.secondary">
+              Speech is not available in this browser.
+            </Typography>
+          ) : (
+            <Stack spacing={2}>
+              <Stack direction="row" justifyContent="space-between" alignItems="center">
+                <Typography variant="body2">Speak announcements during sessions</Typography>
+                <Switch
+                  checked={voice.enabled}
+                  onChange={(e) => updateVoice({ enabled: e.target.checked })}
+                  inputProps={{ "aria-label": "Toggle voice guidance" }}
+                />
+              </Stack>
+
+              <TextField
+                select
+                size="small"
+                label="Voice"
+                value={voice.voiceURI}
+                onChange={(e) => updateVoice({ voiceURI: e.target.value })}
+                disabled={!voice.enabled}
+                helperText="Voices marked offline are installed on this device and work without a connection."
+              >
+                <MenuItem value="">Default (offline voice if available)</MenuItem>
+                {voices.map((v) => (
+                  <MenuItem key={v.voiceURI} value={v.voiceURI}>
+                    {v.name} · {v.lang}{v.localService ? " · offline" : ""}
+                  </MenuItem>
+                ))}
+              </TextField>
+
+              <Box>
+                <Typography variant="caption" color="text.secondary">
+                  Rate {voice.rate.toFixed(1)}×
+                </Typography>
+                <Slider
+                  size="small"
+                  min={0.5}
+                  max={2}
+                  step={0.1}
+                  value={voice.rate}
+                  onChange={(_, v) => updateVoice({ rate: v })}
+                  disabled={!voice.enabled}
+                />
+              </Box>
+
+              <Box>
+                <Typography variant="caption" color="text.secondary">Announce</Typography>
+                <Stack>
+                  {VOICE_EVENTS.map((ev) => (
+                    <FormControlLabel
+                      key={ev.key}
+                      disabled={!voice.enabled}
+                      control={
+                        <Checkbox
+                          size="small"
+                          checked={!!voice.events[ev.key]}
+                          onChange={(e) =>
+                            updateVoice({ events: { ...voice.events, [ev.key]: e.target.checked } })
+                          }
+                        />
+                      }
+                      label={<Typography variant="body2">{ev.label}</Typography>}
+                    />
+                  ))}
+                </Stack>
+              </Box>
+
+              <Box>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  disabled={!voice.enabled}
+                  onClick={() => speak("Next ZUPT, Z1. 10. 5. Go.", voice)}
+                >
+                  Test Voice
+                </Button>
+              </Box>
+            </Stack>
+          )}
+        </SettingsCard>
+
+        {/* ── Time Zone Card ── */}
+        {user && (
+          <SettingsCard icon={<PublicIcon color="primary" />} title="Time Zone">
+            <Stack spacing={1.5}>
+              <TimeZonePicker value={defaultTz} onChange={changeDefaultTz} label="Default for new sessions" />
+              <Typography variant="caption" color="text.secondary">
+                Each session keeps the zone it was run in; change it from the runner clock while the session is live.
+              </Typography>
+              {tzMsg && (
+                <Alert severity={tzMsg.includes("saved") ? "success" : "error"} sx={{ borderRadius: 2 }}>
+                  {tzMsg}
+                </Alert>
+              )}
+            </Stack>
+          </SettingsCard>
+        )}
+
+        {/* ── Shortcuts Card ── */}
+        {user && (
+          <SettingsCard icon={<KeyboardIcon color="primary" />} title="Keyboard & Pedal Shortcuts">
+            <ShortcutProfilesEditor uid={user.uid} />
+          </SettingsCard>
+        )}
+
+        {/* ── Event Types Card ── */}
+        {user && (
+          <SettingsCard icon={<CategoryIcon color="primary" />} title="Event Types">
+            <EventTypesEditor uid={user.uid} />
+          </SettingsCard>
+        )}
+
         {/* ── Legal Card ── */}
         <SettingsCard icon={<GavelIcon color="primary" />} title="Legal">
           <Stack spacing={0}>
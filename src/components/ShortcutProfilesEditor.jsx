@@ -0,0 +1,206 @@
+// src/components/ShortcutProfilesEditor.jsx
+// Key-binding editor for the runner's shortcut profiles (Settings page).
+// Bindings are recorded by pressing the key, so pedals and clickers can be mapped as-is.
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Box, Stack, Typography, TextField, MenuItem, Button, Chip, IconButton,
+  Alert, Tooltip, CircularProgress
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/DeleteOutline";
+import RestartAltIcon from "@mui/icons-material/RestartAlt";
+
+import {
+  SHORTCUT_ACTIONS, BUILTIN_PROFILES,
+  comboFromEvent, comboLabel, findConflicts,
+  loadShortcuts, fetchShortcuts, saveShortcuts,
+} from "../services/shortcutProfiles";
+
+const actionLabel = (id) => SHORTCUT_ACTIONS.find(a => a.id === id)?.label || id;
+
+function ShortcutProfilesEditor({ uid }) {
+  const [settings, setSettings] = useState(() => loadShortcuts(uid));
+  const [dirty, setDirty] = useState(false);
+  const [recording, setRecording] = useState(null); // action id waiting for a key
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchShortcuts(uid).then(s => { if (!cancelled) setSettings(s); });
+    return () => { cancelled = true; };
+  }, [uid]);
+
+  const profile = settings.profiles.find(p => p.id === settings.active);
+  const builtin = BUILTIN_PROFILES.find(b => b.id === profile.id);
+  const conflicts = useMemo(() => findConflicts(profile.bindings), [profile]);
+  const conflicted = new Set(conflicts.map(c => c.combo));
+
+  const update = (next) => { setSettings(next); setDirty(true); setMsg(""); };
+  const updateProfile = (patch) => update({
+    ...settings,
+    profiles: settings.profiles.map(p => (p.id === profile.id ? { ...p, ...patch } : p)),
+  });
+  // works from the latest settings, so the key-capture listener can hold on to it
+  const setCombos = useCallback((action, combos) => {
+    setSettings(s => ({
+      ...s,
+      profiles: s.profiles.map(p => (p.id === s.active ? { ...p, bindings: { ...p.bindings, [action]: combos } } : p)),
+    }));
+    setDirty(true);
+    setMsg("");
+  }, []);
+
+  /* capture the next key press for the action being recorded */
+  useEffect(() => {
+    if (!recording) return;
+    const onKey = (e) => {
+      const combo = comboFromEvent(e);
+      if (!combo) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const current = profile.bindings[recording] || [];
+      if (!current.includes(combo)) setCombos(recording, [...current, combo]);
+      setRecording(null);
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [recording, profile, setCombos]);
+
+  const addProfile = () => {
+    const name = prompt("Name for the new profile:", `${profile.name} copy`);
+    if (!name?.trim()) return;
+    const id = `custom-${Date.now()}`;
+    update({
+      active: id,
+      profiles: [...settings.profiles, { id, name: name.trim(), bindings: { ...profile.bindings } }],
+    });
+  };
+
+  const removeProfile = () => {
+    if (!window.confirm(`Delete profile "${profile.name}"?`)) return;
+    update({ active: BUILTIN_PROFILES[0].id, profiles: settings.profiles.filter(p => p.id !== profile.id) });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setMsg("");
+    try {
+      setSettings(await saveShortcuts(uid, settings));
+      setDirty(false);
+      setMsg("Shortcuts saved.");
+    } catch (err) {
+      console.error(err);
+      setMsg(err.message || "Failed to save shortcuts.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <TextField
+          select
+          size="small"
+          label="Active profile"
+          value={settings.active}
+          onChange={(e) => { setRecording(null); update({ ...settings, active: e.target.value }); }}
+          sx={{ flex: 1 }}
+        >
+          {settings.profiles.map((p) => (
+            <MenuItem key={p.id} value={p.id}>{p.name}</MenuItem>
+          ))}
+        </TextField>
+        <Tooltip title="New profile from this one">
+          <IconButton size="small" onClick={addProfile}><AddIcon fontSize="small" /></IconButton>
+        </Tooltip>
+        {builtin ? (
+          <Tooltip title="Reset to defaults">
+            <IconButton size="small" onClick={() => updateProfile({ bindings: builtin.bindings })}>
+              <RestartAltIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        ) : (
+          <Tooltip title="Delete profile">
+            <IconButton size="small" color="error" onClick={removeProfile}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Stack>
+
+      {conflicts.length > 0 && (
+        <Alert severity="error" sx={{ borderRadius: 2 }}>
+          {conflicts.map(c => (
+            <div key={c.combo}>
+              <strong>{comboLabel(c.combo)}</strong> is bound to {c.actions.map(actionLabel).join(" and ")}.
+            </div>
+          ))}
+        </Alert>
+      )}
+
+      <Box>
+        {SHORTCUT_ACTIONS.map((a) => {
+          const combos = profile.bindings[a.id] || [];
+          const isRec = recording === a.id;
+          return (
+            <Stack
+              key={a.id}
+              direction="row"
+              alignItems="center"
+              spacing={1}
+              sx={{ py: 0.75, borderBottom: "1px solid", borderColor: "divider" }}
+            >
+              <Typography variant="body2" sx={{ flex: 1, minWidth: 0 }}>{a.label}</Typography>
+              <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap justifyContent="flex-end">
+                {combos.map((c) => (
+                  <Chip
+                    key={c}
+                    size="small"
+                    label={comboLabel(c)}
+                    color={conflicted.has(c) ? "error" : "default"}
+                    onDelete={() => setCombos(a.id, combos.filter(x => x !== c))}
+                  />
+                ))}
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  color={isRec ? "primary" : "default"}
+                  icon={isRec ? undefined : <AddIcon />}
+                  label={isRec ? "Press a key…" : "Add"}
+                  onClick={() => setRecording(isRec ? null : a.id)}
+                />
+              </Stack>
+            </Stack>
+          );
+        })}
+      </Box>
+
+      <Typography variant="caption" color="text.secondary">
+        Click Add, then press the key — foot pedals and clickers can be recorded the same way.
+        Shortcuts are ignored while typing or while a dialog is open.
+      </Typography>
+
+      {msg && (
+        <Alert severity={msg.includes("saved") ? "success" : "error"} sx={{ borderRadius: 2 }}>
+          {msg}
+        </Alert>
+      )}
+
+      <Box>
+        <Button
+          variant="contained"
+          size="small"
+          disabled={!dirty || saving || conflicts.length > 0}
+          onClick={save}
+          sx={{ textTransform: "none", fontWeight: 700 }}
+        >
+          {saving ? <CircularProgress size={18} color="inherit" /> : "Save Shortcuts"}
+        </Button>
+      </Box>
+    </Stack>
+  );
+}
+
+export default React.memo(ShortcutProfilesEditor);
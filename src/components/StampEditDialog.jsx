@@ -0,0 +1,113 @@
+// src/components/StampEditDialog.jsx
+// Insert a missed stamp, or retime / re-assign / delete an existing one.
+// Shared by the runner's StampsTable and the SessionsPage detail dialog.
+import React, { useState } from "react";
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  Button, TextField, MenuItem, Stack, Typography
+} from "@mui/material";
+import DeleteIcon from "@mui/icons-material/DeleteOutline";
+
+import { toDateSafe } from "../services/runnerHelpers";
+import { timeOfDay, atTimeOfDay } from "../services/stampEdits";
+import { isZuptStamp } from "../services/stampSchema";
+
+function StampEditDialog({
+  open, stamp = null, zupts = [], iana = "UTC", tzLabel = "UTC", refTime,
+  onClose, onSave, onDelete
+}) {
+  const inserting = !stamp;
+  const planZupt = stamp && isZuptStamp(stamp) && zupts.find(z => z.id === stamp.zuptId || z.name === stamp.zuptName);
+  const fixedName = !inserting && !planZupt; // loop markers, notes, skips — time only
+
+  const [zuptId, setZuptId] = useState("");
+  const [time, setTime] = useState("");
+
+  // fill the fields when the dialog opens on a stamp (or for an insert), not on every
+  // later change of the plan or the list, which would wipe what is being typed
+  const subject = open ? stamp || "insert" : null;
+  const [filledFor, setFilledFor] = useState(null);
+  if (subject !== filledFor) {
+    setFilledFor(subject);
+    if (open) {
+      setZuptId(planZupt?.id || (inserting ? zupts[0]?.id || "" : ""));
+      setTime(timeOfDay(toDateSafe(stamp ? stamp.time : refTime || new Date()), iana));
+    }
+  }
+
+  const when = atTimeOfDay(stamp ? stamp.time : refTime || new Date(), time, iana);
+  const z = zupts.find(x => x.id === zuptId);
+  const valid = !!when && (fixedName || !!z);
+
+  const save = () => {
+    if (!valid) return;
+    onSave(fixedName ? { time: when } : { time: when, zuptId: z.id, zuptName: z.name });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ fontWeight: 700 }}>
+        {inserting ? "Insert missed stamp" : `Edit ${stamp.zuptName}`}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Stack spacing={2}>
+          {fixedName ? (
+            <Typography variant="body2" color="text.secondary">
+              Only the time of this entry can be changed.
+            </Typography>
+          ) : (
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="ZUPT"
+              value={zuptId}
+              onChange={(e) => setZuptId(e.target.value)}
+            >
+              {zupts.map((x) => (
+                <MenuItem key={x.id || x.name} value={x.id}>{x.name}</MenuItem>
+              ))}
+            </TextField>
+          )}
+          <TextField
+            fullWidth
+            size="small"
+            type="time"
+            label={`Time (${tzLabel})`}
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            error={!when}
+            helperText={!when ? "Use HH:MM:SS.sss" : " "}
+            slotProps={{ htmlInput: { step: 0.001 }, inputLabel: { shrink: true } }}
+          />
+          <Typography variant="caption" color="text.secondary">
+            The original value, your name and the time of the change are kept in the edit history.
+          </Typography>
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        {!inserting && onDelete && (
+          <Button
+            color="error"
+            startIcon={<DeleteIcon />}
+            onClick={() => { if (window.confirm(`Delete ${stamp.zuptName}?`)) onDelete(); }}
+            sx={{ textTransform: "none", mr: "auto" }}
+          >
+            Delete
+          </Button>
+        )}
+        <Button onClick={onClose} sx={{ textTransform: "none" }}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={!valid}
+          onClick={save}
+          sx={{ textTransform: "none", fontWeight: 700 }}
+        >
+          {inserting ? "Insert" : "Save"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default React.memo(StampEditDialog);
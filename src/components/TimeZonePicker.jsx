@@ -0,0 +1,39 @@
+// src/components/TimeZonePicker.jsx
+// Searchable picker over every IANA zone, each labelled with the abbreviation and
+// offset in force now. Used by the runner header and the Settings default zone.
+import React, { useMemo } from "react";
+import { Autocomplete, TextField } from "@mui/material";
+
+import { allZones, ianaOf, zoneAbbr, zoneLabel } from "../services/timeZones";
+
+function TimeZonePicker({ value, onChange, label, size = "small", compact = false, sx, inputSx }) {
+  // labels are worked out once per mount — offsets only change at DST transitions
+  const labels = useMemo(() => {
+    const now = new Date();
+    return new Map(allZones.map(z => [z, zoneLabel(z, now)]));
+  }, []);
+
+  return (
+    <Autocomplete
+      size={size}
+      disableClearable
+      options={allZones}
+      value={ianaOf(value)}
+      onChange={(_, z) => z && onChange(z)}
+      getOptionLabel={(z) => (compact ? zoneAbbr(z) || z : labels.get(z) || z)}
+      renderOption={(props, z) => {
+        const { key, ...rest } = props;
+        return <li key={key} {...rest} style={{ fontSize: 13 }}>{labels.get(z) || z}</li>;
+      }}
+      filterOptions={(opts, { inputValue }) => {
+        const q = inputValue.trim().toLowerCase().replace(/\s+/g, "_");
+        return q ? opts.filter(z => (labels.get(z) || z).toLowerCase().replace(/\s+/g, "_").includes(q)) : opts;
+      }}
+      slotProps={{ popper: { sx: { minWidth: 300 } } }}
+      renderInput={(params) => <TextField {...params} label={label} sx={inputSx} />}
+      sx={sx}
+    />
+  );
+}
+
+export default React.memo(TimeZonePicker);
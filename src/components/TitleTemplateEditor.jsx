@@ -0,0 +1,86 @@
+// src/components/TitleTemplateEditor.jsx
+// Session title template for a plan — pattern with insertable tokens, a live example
+// and the admin-only "mandatory" switch. Shared by PlanBuilder and the PlansPage edit dialog.
+import React, { useRef } from "react";
+import {
+  Box, Stack, TextField, Chip, Typography, FormControlLabel, Switch
+} from "@mui/material";
+
+import { TITLE_TOKENS, renderTitle } from "../services/titleTemplates";
+import { deviceZone } from "../services/timeZones";
+
+function TitleTemplateEditor({ value, onChange, planName, operator, canRequire }) {
+  const inputRef = useRef(null);
+  const pattern = value?.pattern || "";
+  const required = !!value?.required;
+  // a mandatory template is locked for everyone but admins
+  const locked = required && !canRequire;
+
+  const set = (patch) => onChange({ pattern, required, ...patch });
+
+  const insert = (token) => {
+    const el = inputRef.current;
+    const at = el ? el.selectionStart ?? pattern.length : pattern.length;
+    const end = el ? el.selectionEnd ?? at : at;
+    set({ pattern: pattern.slice(0, at) + token + pattern.slice(end) });
+    requestAnimationFrame(() => {
+      el?.focus();
+      el?.setSelectionRange(at + token.length, at + token.length);
+    });
+  };
+
+  const example = pattern.trim()
+    ? renderTitle(pattern, { plan: planName || "Plan", operator: operator || "operator", seq: 1, tz: deviceZone() })
+    : "";
+
+  return (
+    <Box>
+      <TextField
+        fullWidth
+        size="small"
+        label="Title template"
+        placeholder="{plan}_{date}_R{seq:2}"
+        value={pattern}
+        disabled={locked}
+        inputRef={inputRef}
+        onChange={(e) => set({ pattern: e.target.value })}
+        helperText={example ? `e.g. ${example}` : "Leave empty to type titles by hand"}
+      />
+      <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap sx={{ mt: 1 }}>
+        {TITLE_TOKENS.map(t => (
+          <Chip
+            key={t.token}
+            size="small"
+            variant="outlined"
+            label={t.token}
+            title={t.label}
+            disabled={locked}
+            onClick={() => insert(t.token)}
+            sx={{ fontFamily: "monospace" }}
+          />
+        ))}
+      </Stack>
+      <FormControlLabel
+        sx={{ mt: 1, ml: 0 }}
+        control={
+          <Switch
+            size="small"
+            checked={required}
+            disabled={!canRequire || !pattern.trim()}
+            onChange={(e) => set({ required: e.target.checked })}
+          />
+        }
+        label={
+          <Box>
+            <Typography variant="body2">Mandatory</Typography>
+            <Typography variant="caption" color="text.secondary">
+              {canRequire ? "Operators can't change the title" : "Only admins can change this"}
+            </Typography>
+          </Box>
+        }
+      />
+    </Box>
+  );
+}
+
+export default React.memo(TitleTemplateEditor);
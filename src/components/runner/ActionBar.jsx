@@ -6,8 +6,11 @@ import LocationIcon from "@mui/icons-material/Room";
 import AddIcon from "@mui/icons-material/AddCircle";
 import DoneAllIcon from "@mui/icons-material/DoneAll";
 import KeyboardIcon from "@mui/icons-material/Keyboard";
+import FullscreenIcon from "@mui/icons-material/Fullscreen";
 
-function ActionBar({ loopOn, loopIdx, isMobile, timerRunning, onToggleLoop, onManual, onFinish }) {
+import { SHORTCUT_ACTIONS, comboLabel } from "../../services/shortcutProfiles";
+
+function ActionBar({ loopOn, loopIdx, isMobile, timerRunning, onToggleLoop, onManual, onFinish, onFieldMode, bindings }) {
   const theme = useTheme();
   const isDark = theme.palette.mode === "dark";
 
@@ -69,7 +72,7 @@ function ActionBar({ loopOn, loopIdx, isMobile, timerRunning, onToggleLoop, onMa
           disabled={timerRunning}
           size={isMobile ? "small" : "medium"}
         >
-          Manual
+          Event
         </Button>
 
         <Button
@@ -88,15 +91,26 @@ function ActionBar({ loopOn, loopIdx, isMobile, timerRunning, onToggleLoop, onMa
           Finish
         </Button>
 
+        <Tooltip title="Field mode — full screen, large targets">
+          <IconButton
+            aria-label="Field mode"
+            onClick={onFieldMode}
+            sx={{ color: "text.secondary", width: isMobile ? 48 : undefined, height: isMobile ? 48 : undefined }}
+          >
+            <FullscreenIcon />
+          </IconButton>
+        </Tooltip>
+
         {!isMobile && (
           <Tooltip title={
             <Box sx={{ fontSize: 12, lineHeight: 1.6 }}>
               <strong>Keyboard Shortcuts</strong><br/>
-              Space: Record/Stop lap<br/>
-              1-9: Click ZUPT by position<br/>
-              Ctrl+Z: Undo last stamp<br/>
-              M: Manual stamp<br/>
-              F: Finish session
+              {SHORTCUT_ACTIONS.filter(a => bindings?.[a.id]?.length).map(a => (
+                <React.Fragment key={a.id}>
+                  {bindings[a.id].map(comboLabel).join(" / ")}: {a.label}<br/>
+                </React.Fragment>
+              ))}
+              {!bindings && "Loading…"}
             </Box>
           }>
             <IconButton size="small" sx={{ color: "text.secondary" }}>
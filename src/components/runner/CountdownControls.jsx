@@ -0,0 +1,103 @@
+// src/components/runner/CountdownControls.jsx
+import React, { useState } from "react";
+import {
+  Stack, Button, Chip, TextField, Typography,
+  Dialog, DialogTitle, DialogContent, DialogActions
+} from "@mui/material";
+import PauseIcon from "@mui/icons-material/Pause";
+import PlayArrowIcon from "@mui/icons-material/PlayArrow";
+import MoreTimeIcon from "@mui/icons-material/MoreTime";
+import CancelIcon from "@mui/icons-material/Cancel";
+
+const EXTEND_STEP_S = 10;
+
+const QUICK_REASONS = ["Tapped by mistake", "Wrong ZUPT", "Vehicle moved", "Traffic"];
+
+const btnSx = { fontSize: 12, fontWeight: 600, textTransform: "none", minWidth: 0 };
+
+function CountdownControls({ zuptName, paused, onTogglePause, onExtend, onAbort }) {
+  const [abortOpen, setAbortOpen] = useState(false);
+  const [reason, setReason] = useState("");
+
+  const close = () => { setAbortOpen(false); setReason(""); };
+  const confirm = () => { onAbort(reason.trim()); close(); };
+
+  return (
+    <>
+      <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+        <Button
+          size="small"
+          variant={paused ? "contained" : "outlined"}
+          color={paused ? "warning" : "primary"}
+          startIcon={paused ? <PlayArrowIcon /> : <PauseIcon />}
+          onClick={onTogglePause}
+          sx={btnSx}
+        >
+          {paused ? "Resume" : "Pause"}
+        </Button>
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<MoreTimeIcon />}
+          onClick={() => onExtend(EXTEND_STEP_S)}
+          sx={btnSx}
+        >
+          +{EXTEND_STEP_S}s
+        </Button>
+        <Button
+          size="small"
+          variant="outlined"
+          color="error"
+          startIcon={<CancelIcon />}
+          onClick={() => setAbortOpen(true)}
+          sx={btnSx}
+        >
+          Abort
+        </Button>
+      </Stack>
+
+      <Dialog open={abortOpen} onClose={close} maxWidth="xs" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+        <DialogTitle sx={{ fontWeight: 700 }}>Abort {zuptName}?</DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+            The stamp is kept as aborted and the ZUPT can be captured again.
+          </Typography>
+          <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap sx={{ mb: 1.5 }}>
+            {QUICK_REASONS.map((r) => (
+              <Chip
+                key={r}
+                label={r}
+                size="small"
+                clickable
+                color={reason === r ? "primary" : "default"}
+                onClick={() => setReason(r)}
+              />
+            ))}
+          </Stack>
+          <TextField
+            fullWidth
+            size="small"
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter" && reason.trim()) confirm(); }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, py: 2 }}>
+          <Button onClick={close} sx={{ textTransform: "none" }}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="error"
+            disabled={!reason.trim()}
+            onClick={confirm}
+            sx={{ textTransform: "none", fontWeight: 700 }}
+          >
+            Abort ZUPT
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default React.memo(CountdownControls);
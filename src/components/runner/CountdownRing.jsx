@@ -10,7 +10,7 @@ const urgentPulse = keyframes`
   100% { opacity: 0.85; }
 `;
 
-function CountdownRing({ secondsLeft, total, size = 130, stroke = 9 }) {
+function CountdownRing({ secondsLeft, total, size = 130, stroke = 9, paused = false }) {
   const theme = useTheme();
   const isDark = theme.palette.mode === "dark";
   const trackColor = isDark ? "#374151" : "#E5E7EB";
@@ -21,12 +21,12 @@ function CountdownRing({ secondsLeft, total, size = 130, stroke = 9 }) {
   const pct = total > 0 ? 1 - secondsLeft / total : 0;
   const off = circ * pct;
 
-  // Color progression: green → amber → red
-  const color = pct < 0.33 ? "#10B981" : pct < 0.67 ? "#F59E0B" : "#EF4444";
+  // Color progression: green → amber → red (grey while paused)
+  const color = paused ? "#9CA3AF" : pct < 0.33 ? "#10B981" : pct < 0.67 ? "#F59E0B" : "#EF4444";
 
   // Glow intensity scales with urgency
   const glowSize = pct < 0.33 ? 4 : pct < 0.67 ? 8 : 14;
-  const isUrgent = secondsLeft <= 5 && secondsLeft > 0;
+  const isUrgent = !paused && secondsLeft <= 5 && secondsLeft > 0;
 
   // Font sizes scale with ring size
   const secsFontSize = size < 110 ? 28 : 34;
@@ -101,7 +101,7 @@ function CountdownRing({ secondsLeft, total, size = 130, stroke = 9 }) {
         fontSize={size < 110 ? 10 : 12}
         fill={isDark ? "rgba(255,255,255,0.5)" : "rgba(0,0,0,0.4)"}
       >
-        seconds
+        {paused ? "paused" : "seconds"}
       </text>
     </svg>
   );
@@ -0,0 +1,125 @@
+// src/components/runner/CrewPanel.jsx
+// Crew strip for a live session: invite code, who is connected and in which role,
+// plus the read-only spectator link for the office.
+import React, { useState } from "react";
+import {
+  Box, Stack, Typography, Button, Chip, IconButton, Tooltip, Menu, MenuItem
+} from "@mui/material";
+import GroupsIcon from "@mui/icons-material/Groups";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import VisibilityIcon from "@mui/icons-material/Visibility";
+
+import { CREW_ROLES, roleLabel, spectatorUrl } from "../../services/liveSession";
+
+function CrewPanel({
+  sessionId, canShare, live, myUid, myRole, onOpen, onSetRole, onSnack, onShareView, onRevokeView
+}) {
+  const [menu, setMenu] = useState(null); // { anchor, uid }
+  const isLead = myRole === "lead";
+  const spectator = live?.spectator?.enabled ? live.spectator : null;
+
+  const copyText = async (text, msg) => {
+    try { await navigator.clipboard.writeText(text); onSnack(msg); } catch {}
+  };
+
+  const liveView = isLead && (
+    spectator ? (
+      <Tooltip title="Copy the read-only live view link">
+        <Chip
+          size="small"
+          color="success"
+          variant="outlined"
+          icon={<VisibilityIcon />}
+          label="Live view on"
+          onClick={() => copyText(spectatorUrl(spectator.token), "Live view link copied")}
+          onDelete={() => { if (window.confirm("Turn off the live view link?")) onRevokeView(); }}
+        />
+      </Tooltip>
+    ) : (
+      <Button
+        size="small"
+        startIcon={<VisibilityIcon />}
+        disabled={!canShare}
+        onClick={onShareView}
+        sx={{ textTransform: "none", fontWeight: 600 }}
+      >
+        Share live view
+      </Button>
+    )
+  );
+
+  if (!live?.shared) {
+    return (
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1.5 }}>
+        <Tooltip title={canShare ? "" : "Crew sessions need a connection and a synced session"}>
+          <span>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={<GroupsIcon />}
+              disabled={!canShare}
+              onClick={onOpen}
+              sx={{ textTransform: "none", fontWeight: 600 }}
+            >
+              Invite crew
+            </Button>
+          </span>
+        </Tooltip>
+        {liveView}
+      </Stack>
+    );
+  }
+
+  const members = Object.entries(live.members || {})
+    .sort(([, a], [, b]) => (a.joinedAt || 0) - (b.joinedAt || 0));
+
+  return (
+    <Box
+      sx={{
+        mb: 1.5, p: 1, borderRadius: 2,
+        border: "1px solid", borderColor: "divider",
+      }}
+    >
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 0.75 }}>
+        <GroupsIcon sx={{ fontSize: 18, color: "primary.main" }} />
+        <Typography variant="caption" sx={{ fontWeight: 700 }}>Crew</Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ ml: "auto !important", fontFamily: "monospace" }}>
+          {sessionId}
+        </Typography>
+        <Tooltip title="Copy session code">
+          <IconButton size="small" onClick={() => copyText(sessionId, "Session code copied")}>
+            <ContentCopyIcon sx={{ fontSize: 14 }} />
+          </IconButton>
+        </Tooltip>
+      </Stack>
+
+      <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap>
+        {members.map(([uid, m]) => (
+          <Chip
+            key={uid}
+            size="small"
+            label={`${m.name || "Operator"}${uid === myUid ? " (you)" : ""} · ${roleLabel(m.role)}`}
+            color={uid === myUid ? "primary" : "default"}
+            variant={uid === myUid ? "filled" : "outlined"}
+            onClick={isLead ? (e) => setMenu({ anchor: e.currentTarget, uid }) : undefined}
+          />
+        ))}
+        {liveView}
+      </Stack>
+
+      <Menu anchorEl={menu?.anchor} open={!!menu} onClose={() => setMenu(null)}>
+        {CREW_ROLES.map((r) => (
+          <MenuItem
+            key={r.id}
+            selected={live.members?.[menu?.uid]?.role === r.id}
+            onClick={() => { onSetRole(menu.uid, r.id); setMenu(null); }}
+          >
+            {r.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </Box>
+  );
+}
+
+export default React.memo(CrewPanel);
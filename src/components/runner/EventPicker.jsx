@@ -0,0 +1,120 @@
+// src/components/runner/EventPicker.jsx
+// Fast event entry for the runner: tap (or press 1-9 for) a type, optionally fill
+// its fields, save. The stamp keeps the moment the picker was opened.
+import React, { useEffect, useState } from "react";
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  Button, TextField, MenuItem, Stack, Box, Typography
+} from "@mui/material";
+
+function EventPicker({ open, types = [], onClose, onSave }) {
+  const [type, setType] = useState(null);
+  const [values, setValues] = useState({});
+  const [openedAt, setOpenedAt] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setType(null);
+    setValues({});
+    setOpenedAt(new Date());
+  }, [open]);
+
+  const save = (t = type) => {
+    if (!t) return;
+    onSave(t, values, openedAt);
+    onClose();
+  };
+
+  // digits pick a type while the list is showing; Enter saves from the field form
+  const onKeyDown = (e) => {
+    if (!type && /^[1-9]$/.test(e.key) && types[+e.key - 1]) { e.preventDefault(); setType(types[+e.key - 1]); }
+    else if (type && e.key === "Enter" && e.target.tagName === "INPUT") { e.preventDefault(); save(); }
+  };
+
+  const set = (key, v) => setValues(prev => ({ ...prev, [key]: v }));
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      onKeyDown={onKeyDown}
+      PaperProps={{ sx: { borderRadius: 3, alignSelf: "flex-start", mt: 8 } }}
+    >
+      <DialogTitle sx={{ fontWeight: 700, display: "flex", alignItems: "center", gap: 1 }}>
+        {type && <Box sx={{ width: 12, height: 12, borderRadius: "50%", bgcolor: type.color }} />}
+        {type ? type.label : "Log event"}
+        {openedAt && (
+          <Typography variant="caption" color="text.secondary" sx={{ ml: "auto", fontFamily: "monospace" }}>
+            {openedAt.toLocaleTimeString("en-US", { hour12: false })}
+          </Typography>
+        )}
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {!type ? (
+          <Box sx={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 1 }}>
+            {types.map((t, i) => (
+              <Button
+                key={t.id}
+                variant="outlined"
+                onClick={() => setType(t)}
+                sx={{
+                  justifyContent: "flex-start", textTransform: "none", fontWeight: 600, py: 1.25,
+                  borderColor: t.color, color: "text.primary", borderLeftWidth: 6,
+                  "&:hover": { borderColor: t.color, borderLeftWidth: 6, bgcolor: `${t.color}14` },
+                }}
+              >
+                {i < 9 && (
+                  <Typography component="span" variant="caption" color="text.secondary" sx={{ mr: 1, fontFamily: "monospace" }}>
+                    {i + 1}
+                  </Typography>
+                )}
+                {t.label}
+              </Button>
+            ))}
+          </Box>
+        ) : (
+          <Stack spacing={2}>
+            {type.fields.map((f, i) => (
+              <TextField
+                key={f.key}
+                autoFocus={i === 0 && f.type !== "select"}
+                select={f.type === "select"}
+                type={f.type === "number" ? "number" : "text"}
+                fullWidth
+                size="small"
+                label={f.label}
+                value={values[f.key] ?? ""}
+                onChange={(e) => set(f.key, e.target.value)}
+              >
+                {f.type === "select" && [
+                  <MenuItem key="" value=""><em>—</em></MenuItem>,
+                  ...(f.options || []).map(o => <MenuItem key={o} value={o}>{o}</MenuItem>),
+                ]}
+              </TextField>
+            ))}
+          </Stack>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        {type ? (
+          <Button onClick={() => setType(null)} sx={{ textTransform: "none", mr: "auto" }}>Back</Button>
+        ) : null}
+        <Button onClick={onClose} sx={{ textTransform: "none" }}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={!type}
+          onClick={() => save()}
+          sx={{ textTransform: "none", fontWeight: 700 }}
+        >
+          Save event
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default React.memo(EventPicker);
@@ -0,0 +1,187 @@
+// src/components/runner/FieldMode.jsx
+// Full-screen runner for a moving vehicle and gloved hands: a few very large targets
+// (next-up ZUPT, previous/next ZUPT, lap toggle, event), swipe gestures and the
+// high-contrast field palette. The page underneath does not scroll.
+import React, { useRef, useState } from "react";
+import { Box, Button, IconButton, Stack, Typography } from "@mui/material";
+import { ThemeProvider } from "@mui/material/styles";
+import CloseFullscreenIcon from "@mui/icons-material/CloseFullscreen";
+import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
+import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import StopIcon from "@mui/icons-material/Stop";
+import LocationIcon from "@mui/icons-material/Room";
+import AddIcon from "@mui/icons-material/AddCircle";
+
+import { createFieldTheme } from "../../theme";
+import { nextUpZupt } from "../../services/runnerHelpers";
+
+const fieldTheme = createFieldTheme();
+
+const SWIPE_PX = 60;
+const SWIPE_MS = 1000;
+
+const big = { minHeight: 96, fontSize: "1.5rem", borderRadius: 4 };
+
+function FieldMode({
+  title, lap, loopOn, loopIdx, zupts, reverse, captured, skipped,
+  timerRunning, remain, paused, activeName, onToggleLoop, onStamp, onEvent, onExit
+}) {
+  const ordered = reverse ? [...zupts].reverse() : zupts;
+  const open = ordered.filter(z => !captured.has(z.name) && !skipped.has(z.name));
+  const next = nextUpZupt(zupts, reverse, captured, skipped);
+
+  // the ZUPT the big target stamps — follows next-up until moved with prev/next
+  const [cursor, setCursor] = useState(null);
+  const target = open.find(z => z.name === cursor) || next;
+
+  const step = (dir) => {
+    if (!open.length) return;
+    const at = Math.max(0, open.indexOf(target));
+    setCursor(open[(at + dir + open.length) % open.length].name);
+  };
+
+  const stamp = () => {
+    if (!target || timerRunning || !loopOn) return;
+    onStamp(target);
+    setCursor(null);
+  };
+
+  /* swipes: ← → change ZUPT, ↑ stamps, ↓ logs an event */
+  const startRef = useRef(null);
+  const swipedRef = useRef(false);
+  const onPointerDown = (e) => {
+    startRef.current = { x: e.clientX, y: e.clientY, t: Date.now() };
+    swipedRef.current = false;
+  };
+  const onPointerUp = (e) => {
+    const s = startRef.current;
+    startRef.current = null;
+    if (!s || Date.now() - s.t > SWIPE_MS) return;
+    const dx = e.clientX - s.x;
+    const dy = e.clientY - s.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_PX) return;
+    // a swipe that ends on a button must not also press it
+    swipedRef.current = true;
+    if (Math.abs(dx) > Math.abs(dy)) step(dx < 0 ? 1 : -1);
+    else if (dy < 0) stamp();
+    else if (!timerRunning) onEvent();
+  };
+  const onClickCapture = (e) => {
+    if (!swipedRef.current) return;
+    swipedRef.current = false;
+    e.stopPropagation();
+    e.preventDefault();
+  };
+
+  return (
+    <ThemeProvider theme={fieldTheme}>
+      <Box
+        role="application"
+        aria-label="Field mode"
+        onPointerDown={onPointerDown}
+        onPointerUp={onPointerUp}
+        onPointerCancel={() => { startRef.current = null; }}
+        onClickCapture={onClickCapture}
+        sx={{
+          position: "fixed",
+          inset: 0,
+          zIndex: (t) => t.zIndex.modal - 50,
+          bgcolor: "background.default",
+          color: "text.primary",
+          display: "flex",
+          flexDirection: "column",
+          gap: 1.5,
+          p: 1.5,
+          height: "100dvh",
+          overflow: "hidden",
+          touchAction: "none",
+          overscrollBehavior: "none",
+          userSelect: "none",
+        }}
+      >
+        {/* status */}
+        <Stack direction="row" alignItems="center" spacing={1.5}>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="h6" noWrap sx={{ fontWeight: 800 }}>{title || "(untitled)"}</Typography>
+            <Typography variant="subtitle1" sx={{ fontWeight: 800, fontVariantNumeric: "tabular-nums" }}>
+              L{loopIdx} · {loopOn ? "recording" : "stopped"} · {lap}
+            </Typography>
+          </Box>
+          <IconButton
+            aria-label="Leave field mode"
+            onClick={onExit}
+            sx={{ width: 64, height: 64, border: "3px solid", borderColor: "text.primary", color: "text.primary" }}
+          >
+            <CloseFullscreenIcon fontSize="large" />
+          </IconButton>
+        </Stack>
+
+        {/* next-up / countdown */}
+        <Button
+          variant="contained"
+          color={timerRunning ? "warning" : "primary"}
+          onClick={stamp}
+          disabled={!timerRunning && (!loopOn || !target)}
+          sx={{ flex: 1, flexDirection: "column", borderRadius: 5, minHeight: 160 }}
+        >
+          {timerRunning ? (
+            <>
+              <Typography sx={{ fontSize: "2rem", fontWeight: 800 }}>{activeName}</Typography>
+              <Typography sx={{ fontSize: "6rem", fontWeight: 900, lineHeight: 1, fontVariantNumeric: "tabular-nums" }}>
+                {remain}s
+              </Typography>
+              <Typography sx={{ fontSize: "1.5rem", fontWeight: 800 }}>{paused ? "paused" : "hold still"}</Typography>
+            </>
+          ) : (
+            <>
+              <Typography sx={{ fontSize: "1.5rem", fontWeight: 800 }}>
+                {!loopOn ? "Record a lap first" : target ? (target === next ? "Stamp next" : "Stamp") : "All ZUPTs done"}
+              </Typography>
+              <Typography sx={{ fontSize: "4rem", fontWeight: 900, lineHeight: 1.1, wordBreak: "break-word" }}>
+                {target?.name || "—"}
+              </Typography>
+            </>
+          )}
+        </Button>
+
+        {/* previous / next ZUPT */}
+        <Stack direction="row" spacing={1.5}>
+          <Button variant="outlined" onClick={() => step(-1)} disabled={open.length < 2} sx={{ ...big, flex: 1 }} aria-label="Previous ZUPT">
+            <ChevronLeftIcon sx={{ fontSize: 64 }} />
+          </Button>
+          <Button variant="outlined" onClick={() => step(1)} disabled={open.length < 2} sx={{ ...big, flex: 1 }} aria-label="Next ZUPT">
+            <ChevronRightIcon sx={{ fontSize: 64 }} />
+          </Button>
+        </Stack>
+
+        {/* lap + event */}
+        <Stack direction="row" spacing={1.5}>
+          <Button
+            variant="contained"
+            color={loopOn ? "error" : "success"}
+            startIcon={loopOn ? <StopIcon /> : <LocationIcon />}
+            onClick={onToggleLoop}
+            sx={{ ...big, flex: 1 }}
+          >
+            {loopOn ? `Stop L${loopIdx}` : `Record L${loopIdx}`}
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<AddIcon />}
+            onClick={onEvent}
+            disabled={timerRunning}
+            sx={{ ...big, flex: 1 }}
+          >
+            Event
+          </Button>
+        </Stack>
+
+        <Typography variant="body2" align="center" sx={{ fontWeight: 700 }}>
+          Swipe ← → to change ZUPT · ↑ to stamp · ↓ for an event
+        </Typography>
+      </Box>
+    </ThemeProvider>
+  );
+}
+
+export default React.memo(FieldMode);
@@ -0,0 +1,79 @@
+// src/components/runner/JoinSessionDialog.jsx
+// Join another operator's running session by its code, picking a crew role.
+import React, { useEffect, useState } from "react";
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  Button, TextField, MenuItem, Stack, Alert, CircularProgress
+} from "@mui/material";
+
+import { JOIN_ROLES } from "../../services/liveSession";
+
+function JoinSessionDialog({ open, onClose, onJoin }) {
+  const [code, setCode] = useState("");
+  const [role, setRole] = useState("zupts");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => { if (open) { setCode(""); setError(""); } }, [open]);
+
+  const join = async () => {
+    if (!code.trim()) return;
+    setBusy(true);
+    setError("");
+    try {
+      await onJoin(code.trim(), role);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Could not join that session.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ fontWeight: 700 }}>Join a crew session</DialogTitle>
+      <DialogContent dividers>
+        <Stack spacing={2}>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            label="Session code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") join(); }}
+            helperText="Shown under Crew on the lead's device"
+            slotProps={{ htmlInput: { autoCapitalize: "off", autoCorrect: "off", spellCheck: false } }}
+          />
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Your role"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+          >
+            {JOIN_ROLES.map((r) => (
+              <MenuItem key={r.id} value={r.id}>{r.label}</MenuItem>
+            ))}
+          </TextField>
+          {error && <Alert severity="error" sx={{ borderRadius: 2 }}>{error}</Alert>}
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={onClose} sx={{ textTransform: "none" }}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={!code.trim() || busy}
+          onClick={join}
+          sx={{ textTransform: "none", fontWeight: 700 }}
+        >
+          {busy ? <CircularProgress size={18} color="inherit" /> : "Join"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default React.memo(JoinSessionDialog);
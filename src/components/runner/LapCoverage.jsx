@@ -0,0 +1,47 @@
+// src/components/runner/LapCoverage.jsx
+// Per-lap completeness against the plan's lap target: one chip per lap, with the
+// ZUPTs still missing from laps that were started.
+import React from "react";
+import { Box, Stack, Typography, Chip, Tooltip } from "@mui/material";
+import FlagIcon from "@mui/icons-material/Flag";
+
+const chipColor = (c, current) =>
+  c.complete ? "success" : current ? "primary" : c.started ? "warning" : "default";
+
+function LapCoverage({ coverage, target, currentLoop, loopOn }) {
+  const done = coverage.filter(c => c.complete).length;
+
+  return (
+    <Box sx={{ mb: 1.5, p: 1, borderRadius: 2, border: "1px solid", borderColor: "divider" }}>
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 0.75 }}>
+        <FlagIcon sx={{ fontSize: 18, color: done >= target ? "success.main" : "text.secondary" }} />
+        <Typography variant="caption" sx={{ color: "text.secondary", fontWeight: 600 }}>
+          Laps complete {done} / {target}
+        </Typography>
+      </Stack>
+      <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap>
+        {coverage.map((c) => {
+          const current = loopOn && c.loop === currentLoop;
+          return (
+            <Tooltip
+              key={c.loop}
+              title={c.missing.length
+                ? `Missing: ${c.missing.join(", ")}${c.skipped.length ? ` (skipped ${c.skipped.join(", ")})` : ""}`
+                : c.started ? "All required ZUPTs captured" : "Not started"}
+            >
+              <Chip
+                size="small"
+                color={chipColor(c, current)}
+                variant={c.started ? "filled" : "outlined"}
+                label={`L${c.loop} ${c.captured}/${c.required}`}
+                sx={{ fontWeight: 600, fontVariantNumeric: "tabular-nums" }}
+              />
+            </Tooltip>
+          );
+        })}
+      </Stack>
+    </Box>
+  );
+}
+
+export default React.memo(LapCoverage);
@@ -0,0 +1,53 @@
+// src/components/runner/LapStatsPanel.jsx
+// Live lap timing: current lap against the average of previous laps, gaps between
+// ZUPTs, estimated lap finish and the durations of completed laps.
+import React from "react";
+import { Box, Stack, Typography, Chip } from "@mui/material";
+
+import { fmtDuration } from "../../services/lapStats";
+
+const Stat = ({ label, value, color }) => (
+  <Box sx={{ flex: "1 1 90px", minWidth: 90 }}>
+    <Typography variant="caption" sx={{ color: "text.secondary", display: "block", lineHeight: 1.2 }}>
+      {label}
+    </Typography>
+    <Typography variant="subtitle2" sx={{ fontWeight: 700, fontVariantNumeric: "tabular-nums", color }}>
+      {value || "—"}
+    </Typography>
+  </Box>
+);
+
+function LapStatsPanel({ stats, fmtTime }) {
+  const { laps, currentLoop, currentMs, avgLapMs, vsAvgMs, sinceZuptMs, avgGapMs, etaMs } = stats;
+  const vs = vsAvgMs === null ? "" : `${vsAvgMs > 0 ? "+" : ""}${fmtDuration(vsAvgMs)}`;
+
+  return (
+    <Box sx={{ mb: 1.5, p: 1, borderRadius: 2, border: "1px solid", borderColor: "divider" }}>
+      <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+        <Stat label={currentLoop ? `Lap ${currentLoop}` : "Lap"} value={fmtDuration(currentMs)} />
+        <Stat label="vs average" value={vs} color={vsAvgMs > 0 ? "warning.main" : vsAvgMs < 0 ? "success.main" : undefined} />
+        <Stat label="Since ZUPT" value={fmtDuration(sinceZuptMs)} />
+        <Stat label="Avg ZUPT gap" value={fmtDuration(avgGapMs)} />
+        <Stat label="Est. lap end" value={etaMs ? fmtTime(new Date(etaMs)) : ""} />
+      </Stack>
+      {laps.length > 0 && (
+        <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap sx={{ mt: 1 }}>
+          {laps.map((l) => (
+            <Chip
+              key={`${l.loop}-${l.ms}`}
+              size="small"
+              variant="outlined"
+              label={`L${l.loop} ${fmtDuration(l.ms)}`}
+              sx={{ fontVariantNumeric: "tabular-nums" }}
+            />
+          ))}
+          {avgLapMs !== null && (
+            <Chip size="small" label={`avg ${fmtDuration(avgLapMs)}`} sx={{ fontWeight: 600 }} />
+          )}
+        </Stack>
+      )}
+    </Box>
+  );
+}
+
+export default React.memo(LapStatsPanel);
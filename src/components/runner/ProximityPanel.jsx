@@ -0,0 +1,97 @@
+// src/components/runner/ProximityPanel.jsx
+import React from "react";
+import {
+  Box, Stack, Typography, Button, ToggleButtonGroup, ToggleButton
+} from "@mui/material";
+import MyLocationIcon from "@mui/icons-material/MyLocation";
+import LocationSearchingIcon from "@mui/icons-material/LocationSearching";
+import LocationDisabledIcon from "@mui/icons-material/LocationDisabled";
+
+import { fmtMetres } from "../../services/geoHelpers";
+
+const PROXIMITY_MODES = [
+  { value: "off",       label: "Off",       hint: "No geofence prompting" },
+  { value: "highlight", label: "Highlight", hint: "Highlight and scroll to the ZUPT you are at" },
+  { value: "arm",       label: "One-tap",   hint: "Show a one-tap stamp button once stopped inside the radius" },
+  { value: "auto",      label: "Auto",      hint: "Stamp automatically once stopped inside the radius" },
+];
+
+function ProximityPanel({
+  mode, setMode, fix, geoError, near, stationary, canStamp, onStamp
+}) {
+  const armed = near && stationary && canStamp && mode === "arm";
+
+  return (
+    <Box
+      sx={{
+        mb: 1.5,
+        p: 1,
+        borderRadius: 2,
+        border: "1px solid",
+        borderColor: near && mode !== "off" ? "success.main" : "divider",
+        bgcolor: (t) =>
+          near && mode !== "off"
+            ? t.palette.mode === "dark" ? "rgba(16,185,129,0.12)" : "rgba(16,185,129,0.06)"
+            : "transparent",
+        transition: "all 0.3s ease",
+      }}
+    >
+      <Stack direction="row" alignItems="center" spacing={1} flexWrap="wrap" useFlexGap>
+        {geoError ? (
+          <LocationDisabledIcon sx={{ fontSize: 18, color: "warning.main" }} />
+        ) : fix ? (
+          <MyLocationIcon sx={{ fontSize: 18, color: "success.main" }} />
+        ) : (
+          <LocationSearchingIcon sx={{ fontSize: 18, color: "text.secondary" }} />
+        )}
+        <Typography variant="caption" sx={{ color: "text.secondary", fontWeight: 600 }}>
+          {geoError
+            ? geoError
+            : fix
+              ? `GPS ±${fix.hAcc !== null ? Math.round(fix.hAcc) : "?"} m`
+              : "Waiting for GPS…"}
+        </Typography>
+
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={mode}
+          onChange={(_, v) => v && setMode(v)}
+          sx={{
+            ml: "auto",
+            "& .MuiToggleButton-root": { px: 1, py: 0.25, fontSize: 11, fontWeight: 600, textTransform: "none" },
+          }}
+        >
+          {PROXIMITY_MODES.map((m) => (
+            <ToggleButton key={m.value} value={m.value} title={m.hint}>{m.label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Stack>
+
+      {mode !== "off" && near && (
+        <Stack direction="row" alignItems="center" spacing={1} sx={{ mt: 1 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 700, color: "success.main", flex: 1 }}>
+            You are at {near.zupt.name}
+            <Typography component="span" variant="caption" sx={{ ml: 0.75, color: "text.secondary" }}>
+              {fmtMetres(near.distance)} m{stationary ? " · stopped" : ""}
+            </Typography>
+          </Typography>
+          {mode === "arm" && (
+            <Button
+              variant="contained"
+              color="success"
+              size="large"
+              disabled={!armed}
+              onClick={() => onStamp(near.zupt)}
+              sx={{ fontWeight: 700, minHeight: 48 }}
+            >
+              Stamp {near.zupt.name}
+            </Button>
+          )}
+        </Stack>
+      )}
+    </Box>
+  );
+}
+
+export default React.memo(ProximityPanel);
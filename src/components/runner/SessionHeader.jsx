@@ -1,24 +1,41 @@
 // src/components/runner/SessionHeader.jsx
 import React from "react";
 import {
-  Box, Paper, Typography, MenuItem, TextField,
-  Stack, Chip, Tooltip, Badge, IconButton
+  Box, Paper, Typography,
+  Stack, Chip, Tooltip, Badge, IconButton, ButtonBase
 } from "@mui/material";
 import CloudOffIcon from "@mui/icons-material/CloudOff";
 import CloudUploadIcon from "@mui/icons-material/CloudUpload";
 import AssignmentTurnedInIcon from "@mui/icons-material/AssignmentTurnedIn";
 import OfflineBoltIcon from "@mui/icons-material/OfflineBolt";
+import UpdateIcon from "@mui/icons-material/Update";
 
-import { TZ_LIST } from "../../services/runnerHelpers";
+import { fmtOffset, SKEW_WARN_MS } from "../../services/clockSkew";
+import { CLOCK_MODES, timeIn, zoneAbbr } from "../../services/timeZones";
+import { weekSow } from "../../services/timeScales";
+import TimeZonePicker from "../TimeZonePicker";
+
+/** Clock text for a mode — the main line and an optional second line. */
+const clockLines = (now, tz, mode) => {
+  if (mode === "gps") {
+    const { wn, sow } = weekSow(now, "GPS");
+    return [`${sow}`, `GPS week ${wn} · SOW`];
+  }
+  if (mode === "dual") return [timeIn(now, tz), `${zoneAbbr(tz, now)} · UTC ${timeIn(now, "UTC")}`];
+  return [timeIn(now, tz), zoneAbbr(tz, now)];
+};
 
 export default function SessionHeader({
-  clock, tz, setTz,
+  now, tz, setTz, clockMode = "local", setClockMode,
   startedAt, startedOffline,
   isMobile,
   online, queuedCount, finishedCount,
-  onOpenPanel
+  onOpenPanel, clockSample = null
 }) {
   const compact = !!startedAt;
+  const [main, sub] = clockLines(now, tz, clockMode);
+  const nextMode = CLOCK_MODES[(CLOCK_MODES.findIndex(m => m.id === clockMode) + 1) % CLOCK_MODES.length];
+  const skewed = !!clockSample && Math.abs(clockSample.offsetMs) > SKEW_WARN_MS;
 
   return (
     <Paper
@@ -46,17 +63,53 @@ export default function SessionHeader({
         justifyContent="center"
         spacing={compact ? 1.5 : 0}
       >
-        <Typography
-          variant={compact ? "h6" : (isMobile ? "h5" : "h4")}
-          fontWeight={800}
-          letterSpacing={0.2}
-          sx={{
-            textShadow: "0 1px 10px rgba(0,0,0,.18)",
-            lineHeight: 1.2,
-          }}
-        >
-          {clock}
-        </Typography>
+        <Tooltip title={`Show ${nextMode.label}`}>
+          <ButtonBase
+            onClick={() => setClockMode?.(nextMode.id)}
+            aria-label="Switch clock"
+            sx={{ flexDirection: "column", borderRadius: 2, px: 1, color: "inherit" }}
+          >
+            <Typography
+              variant={compact ? "h6" : (isMobile ? "h5" : "h4")}
+              fontWeight={800}
+              letterSpacing={0.2}
+              sx={{
+                textShadow: "0 1px 10px rgba(0,0,0,.18)",
+                lineHeight: 1.2,
+                fontVariantNumeric: "tabular-nums",
+              }}
+            >
+              {main}
+            </Typography>
+            {sub && (
+              <Typography variant="caption" sx={{ opacity: 0.85, lineHeight: 1.1, fontWeight: 600 }}>
+                {sub}
+              </Typography>
+            )}
+          </ButtonBase>
+        </Tooltip>
+
+        {/* Device clock offset vs server */}
+        {clockSample && (
+          <Tooltip
+            title={`Device clock ${clockSample.offsetMs >= 0 ? "behind" : "ahead of"} server, measured ${new Date(clockSample.at).toLocaleTimeString()} (±${Math.round(clockSample.rttMs / 2)} ms)${online ? "" : " — last known"}`}
+          >
+            <Chip
+              size="small"
+              icon={<UpdateIcon />}
+              label={fmtOffset(clockSample.offsetMs)}
+              sx={{
+                mt: compact ? 0 : 1,
+                height: 22,
+                fontSize: 11,
+                fontWeight: 700,
+                color: skewed ? "#111" : "#fff",
+                bgcolor: skewed ? "rgba(255,214,102,.95)" : "rgba(255,255,255,0.12)",
+                "& .MuiChip-icon": { color: skewed ? "#111" : "#fff", fontSize: 14 },
+              }}
+            />
+          </Tooltip>
+        )}
 
         {/* Offline-started chip — only in full mode */}
         {!compact && startedAt && startedOffline && (
@@ -78,15 +131,13 @@ export default function SessionHeader({
           </Tooltip>
         )}
 
-        {/* TZ dropdown — inline in compact, below in full */}
-        <TextField
-          select
-          size="small"
+        {/* TZ picker — inline in compact, below in full */}
+        <TimeZonePicker
           value={tz}
-          onChange={(e) => setTz(e.target.value)}
-          sx={{
-            mt: compact ? 0 : 1.25,
-            width: compact ? 90 : 140,
+          onChange={setTz}
+          compact={compact}
+          sx={{ mt: compact ? 0 : 1.25, width: compact ? 110 : 280 }}
+          inputSx={{
             ".MuiOutlinedInput-root": {
               bgcolor: "rgba(255,255,255,0.12)",
               color: "#fff",
@@ -95,19 +146,13 @@ export default function SessionHeader({
               "& fieldset": { borderColor: "rgba(255,255,255,0.18)" },
               "&:hover fieldset": { borderColor: "rgba(255,255,255,0.35)" },
               ...(compact && {
-                py: 0,
-                "& .MuiSelect-select": { py: "4px" },
+                py: "0 !important",
+                "& .MuiAutocomplete-input": { py: "4px !important" },
               }),
             },
             ".MuiSvgIcon-root": { color: "#fff" },
           }}
-        >
-          {TZ_LIST.map((t) => (
-            <MenuItem key={t} value={t}>
-              {t}
-            </MenuItem>
-          ))}
-        </TextField>
+        />
 
         {/* Offline status icons — inline in compact mode */}
         {!online && compact && (
@@ -1,15 +1,20 @@
 // src/components/runner/SessionSetupForm.jsx
-import React from "react";
+import React, { useState } from "react";
 import {
   Box, Paper, Button, Typography, MenuItem, TextField,
-  Divider, Skeleton, Stack
+  Divider, Skeleton, Stack, FormControlLabel, Switch
 } from "@mui/material";
 import PlayArrowIcon from "@mui/icons-material/PlayArrow";
+import GroupAddIcon from "@mui/icons-material/GroupAdd";
+
+import JoinSessionDialog from "./JoinSessionDialog";
 
 function SessionSetupForm({
-  plans, planId, setPlanId, title, setTitle,
-  isMobile, onStart, unfinished, onResume, formKey, isLoading
+  plans, planId, setPlanId, title, setTitle, titleTemplate, titleLocked, strictOrder, setStrictOrder,
+  isMobile, onStart, unfinished, onResume, formKey, isLoading, onJoin, canJoin
 }) {
+  const [joinOpen, setJoinOpen] = useState(false);
+
   return (
     <>
       {/* Resume unfinished */}
@@ -72,6 +77,31 @@ function SessionSetupForm({
             sx={{ mb: 2 }}
             value={title}
             onChange={(e) => setTitle(e.target.value)}
+            slotProps={{ input: { readOnly: titleLocked } }}
+            helperText={
+              titleLocked ? `Set by the plan: ${titleTemplate}`
+                : titleTemplate ? `From the plan's template ${titleTemplate} — type to override`
+                : undefined
+            }
+          />
+          <FormControlLabel
+            sx={{ mb: 1.5, ml: 0 }}
+            control={
+              <Switch
+                size="small"
+                checked={!!strictOrder}
+                disabled={!planId}
+                onChange={(e) => setStrictOrder(e.target.checked)}
+              />
+            }
+            label={
+              <Box>
+                <Typography variant="body2" sx={{ fontWeight: 600 }}>Strict plan order</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Only the next ZUPT can be stamped; skipping needs a reason
+                </Typography>
+              </Box>
+            }
           />
           <Button
             fullWidth
@@ -83,8 +113,24 @@ function SessionSetupForm({
           >
             Start Session
           </Button>
+          {onJoin && (
+            <Button
+              fullWidth
+              size="small"
+              startIcon={<GroupAddIcon />}
+              disabled={!canJoin}
+              onClick={() => setJoinOpen(true)}
+              sx={{ mt: 1, textTransform: "none" }}
+            >
+              {canJoin ? "Join a crew session" : "Joining a crew session needs a connection"}
+            </Button>
+          )}
         </Paper>
       )}
+
+      {onJoin && (
+        <JoinSessionDialog open={joinOpen} onClose={() => setJoinOpen(false)} onJoin={onJoin} />
+      )}
     </>
   );
 }
@@ -0,0 +1,60 @@
+// src/components/runner/SkipZuptDialog.jsx
+import React, { useState } from "react";
+import {
+  Stack, Button, Chip, TextField, Typography,
+  Dialog, DialogTitle, DialogContent, DialogActions
+} from "@mui/material";
+
+const QUICK_REASONS = ["Blocked / no access", "Unsafe to stop", "Traffic", "Not on route today"];
+
+function SkipZuptDialog({ zuptName, open, onClose, onConfirm }) {
+  const [reason, setReason] = useState("");
+
+  const close = () => { setReason(""); onClose(); };
+  const confirm = () => { onConfirm(reason.trim()); close(); };
+
+  return (
+    <Dialog open={open} onClose={close} maxWidth="xs" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ fontWeight: 700 }}>Skip {zuptName}?</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+          Strict order is on. The skip is recorded with its reason and the next ZUPT becomes available.
+        </Typography>
+        <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap sx={{ mb: 1.5 }}>
+          {QUICK_REASONS.map((r) => (
+            <Chip
+              key={r}
+              label={r}
+              size="small"
+              clickable
+              color={reason === r ? "primary" : "default"}
+              onClick={() => setReason(r)}
+            />
+          ))}
+        </Stack>
+        <TextField
+          fullWidth
+          size="small"
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter" && reason.trim()) confirm(); }}
+        />
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={close} sx={{ textTransform: "none" }}>Cancel</Button>
+        <Button
+          variant="contained"
+          color="warning"
+          disabled={!reason.trim()}
+          onClick={confirm}
+          sx={{ textTransform: "none", fontWeight: 700 }}
+        >
+          Skip ZUPT
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default React.memo(SkipZuptDialog);
@@ -1,11 +1,21 @@
 // src/components/runner/StampsTable.jsx
-import React from "react";
+import React, { useRef, useState } from "react";
 import {
-  Box, Typography, Paper,
+  Box, Typography, Paper, Button, IconButton, Tooltip,
   TableContainer, Table, TableHead, TableRow, TableCell, TableBody
 } from "@mui/material";
+import EditIcon from "@mui/icons-material/Edit";
+import AddIcon from "@mui/icons-material/Add";
+import PhotoCameraIcon from "@mui/icons-material/PhotoCamera";
 
-import { TZ_IANA, toDateSafe } from "../../services/runnerHelpers";
+import { toDateSafe } from "../../services/runnerHelpers";
+import { ianaOf, timeIn, zoneAbbr } from "../../services/timeZones";
+import { MAX_PHOTOS_PER_STAMP } from "../../services/photoAttachments";
+import { eventOf, eventSummary } from "../../services/eventTypes";
+import { isLoopMarker } from "../../services/stampSchema";
+import { stampKey } from "../../services/liveSession";
+import StampEditDialog from "../StampEditDialog";
+import PhotoThumbs from "../PhotoThumbs";
 
 /* header cell shared styling */
 const headSx = {
@@ -16,29 +26,49 @@ const headSx = {
   fontSize: 13,
 };
 
-/* colour for the name column */
-function nameColor(name) {
-  if (/^L\d+\s+Start$/i.test(name)) return "success.main";
-  if (/^L\d+\s+Stop$/i.test(name)) return "error.main";
+/* colour for the name column, by stamp kind */
+function nameColor(t) {
+  if (t.kind === "loop-start") return "success.main";
+  if (t.kind === "loop-stop") return "error.main";
+  if (t.kind === "skip") return "warning.main";
+  if (t.kind === "event") return t.event.color;
   return "primary.main";
 }
 
-/* detect loop‐marker rows for subtle highlight */
-function isLoopRow(name) {
-  return /^L\d+\s+(Start|Stop)$/i.test(name);
-}
+function StampsTable({ stamps, tz, zupts = [], editable = false, onInsert, onEdit, onDelete, onAttachPhoto }) {
+  // stamps are captured to the millisecond; show it
+  const fmt = (d) => timeIn(d, tz, 3);
+  const abbr = zoneAbbr(tz, stamps.length ? toDateSafe(stamps.at(-1).time) : new Date());
+
+  // null = closed, { key: null } = inserting, otherwise { key } of the stamp being edited
+  const [editing, setEditing] = useState(null);
+  const close = () => setEditing(null);
+  const target = editing?.key ? stamps.find(s => stampKey(s) === editing.key) || null : null;
 
-function StampsTable({ stamps, tz }) {
-  const fmt = (d) =>
-    d.toLocaleTimeString("en-US", { timeZone: TZ_IANA[tz], hour12: false });
+  // one hidden picker shared by every row; photoKey remembers which stamp asked
+  const fileRef = useRef(null);
+  const photoKey = useRef(null);
+  const pickPhoto = (key) => { photoKey.current = key; fileRef.current?.click(); };
 
   if (!stamps.length) return null;
 
   return (
     <Box mt={4} mb={12}>
-      <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 0.5 }}>
-        Recorded timestamps:
-      </Typography>
+      <Box sx={{ display: "flex", alignItems: "center", mb: 0.5 }}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+          Recorded timestamps:
+        </Typography>
+        {editable && (
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => setEditing({ key: null })}
+            sx={{ ml: "auto", fontSize: 12, fontWeight: 600, textTransform: "none" }}
+          >
+            Insert missed stamp
+          </Button>
+        )}
+      </Box>
 
       <TableContainer
         component={Paper}
@@ -50,17 +80,20 @@ function StampsTable({ stamps, tz }) {
             <TableRow>
               <TableCell sx={{ ...headSx, width: 36 }}>#</TableCell>
               <TableCell sx={{ ...headSx, minWidth: 100 }}>Name</TableCell>
-              <TableCell sx={headSx}>Time&nbsp;({tz})</TableCell>
+              <TableCell sx={headSx}>Time&nbsp;({abbr})</TableCell>
               <TableCell sx={headSx}>Dur&nbsp;(s)</TableCell>
+              {onAttachPhoto && <TableCell sx={{ ...headSx, width: 36 }} />}
+              {editable && <TableCell sx={{ ...headSx, width: 36 }} />}
             </TableRow>
           </TableHead>
 
           <TableBody>
             {stamps.map((t, i) => {
-              const loopMarker = isLoopRow(t.zuptName);
+              const loopMarker = isLoopMarker(t);
+              const ev = eventOf(t);
               return (
                 <TableRow
-                  key={i}
+                  key={stampKey(t)}
                   sx={{
                     "&:nth-of-type(even)": { backgroundColor: "action.hover" },
                     "&:hover": {
@@ -93,27 +126,100 @@ function StampsTable({ stamps, tz }) {
                     sx={{
                       fontWeight: 600,
                       fontSize: 13,
-                      color: nameColor(t.zuptName),
+                      color: nameColor(t),
                     }}
                   >
-                    {t.zuptName}
+                    {ev ? ev.label : t.zuptName}
+                    {ev && eventSummary(ev) && (
+                      <Typography variant="caption" sx={{ display: "block", color: "text.secondary" }}>
+                        {eventSummary(ev)}
+                      </Typography>
+                    )}
+                    {t.kind === "skip" && (
+                      <Typography variant="caption" sx={{ display: "block", color: "text.secondary" }}>
+                        skipped — {t.reason}
+                      </Typography>
+                    )}
+                    <PhotoThumbs photos={t.photos} />
                   </TableCell>
 
                   {/* Time — monospace */}
                   <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>
                     {fmt(toDateSafe(t.time))}
+                    {t.edited && (
+                      <Tooltip title="Edited after the fact">
+                        <EditIcon sx={{ fontSize: 12, ml: 0.5, color: "text.secondary", verticalAlign: "middle" }} />
+                      </Tooltip>
+                    )}
                   </TableCell>
 
                   {/* Duration — monospace */}
                   <TableCell sx={{ fontFamily: "monospace", fontSize: 13 }}>
                     {t.duration}
                   </TableCell>
+
+                  {onAttachPhoto && (
+                    <TableCell sx={{ p: 0 }}>
+                      <IconButton
+                        size="small"
+                        onClick={() => pickPhoto(stampKey(t))}
+                        disabled={(t.photos?.length || 0) >= MAX_PHOTOS_PER_STAMP}
+                        title="Attach photo"
+                      >
+                        <PhotoCameraIcon sx={{ fontSize: 16 }} />
+                      </IconButton>
+                    </TableCell>
+                  )}
+
+                  {editable && (
+                    <TableCell sx={{ p: 0 }}>
+                      <IconButton size="small" onClick={() => setEditing({ key: stampKey(t) })} title="Edit stamp">
+                        <EditIcon sx={{ fontSize: 16 }} />
+                      </IconButton>
+                    </TableCell>
+                  )}
                 </TableRow>
               );
             })}
           </TableBody>
         </Table>
       </TableContainer>
+
+      {onAttachPhoto && (
+        <input
+          ref={fileRef}
+          type="file"
+          accept="image/*,.heic,.heif"
+          multiple
+          hidden
+          onChange={(e) => {
+            // only as many as the stamp still has room for
+            const s = stamps.find(x => stampKey(x) === photoKey.current);
+            const left = s ? MAX_PHOTOS_PER_STAMP - (s.photos?.length || 0) : 0;
+            [...e.target.files].slice(0, Math.max(0, left)).forEach(f => onAttachPhoto(photoKey.current, f));
+            e.target.value = "";
+          }}
+        />
+      )}
+
+      {editable && (
+        <StampEditDialog
+          // a stamp removed by another operator while open closes the dialog
+          open={!!editing && (!editing.key || !!target)}
+          stamp={target}
+          zupts={zupts}
+          iana={ianaOf(tz)}
+          tzLabel={abbr}
+          refTime={stamps.at(-1)?.time}
+          onClose={close}
+          onSave={(patch) => {
+            if (editing.key) onEdit(editing.key, patch);
+            else onInsert(patch);
+            close();
+          }}
+          onDelete={() => { onDelete(editing.key); close(); }}
+        />
+      )}
     </Box>
   );
 }
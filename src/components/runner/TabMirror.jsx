@@ -0,0 +1,81 @@
+// src/components/runner/TabMirror.jsx
+// Read-only view of the runner in the tab that leads (see hooks/useTabLeader.js),
+// with a button to move the session into this tab.
+import React, { useEffect, useState } from "react";
+import { Box, Paper, Stack, Typography, Chip, Button, Alert } from "@mui/material";
+import VisibilityIcon from "@mui/icons-material/Visibility";
+import OpenInBrowserIcon from "@mui/icons-material/OpenInBrowser";
+
+import StampsTable from "./StampsTable";
+import { dwellRemain } from "../../services/runnerHelpers";
+
+const Stat = ({ label, value, color }) => (
+  <Box sx={{ flex: 1, p: 1, borderRadius: 1.5, bgcolor: "action.hover", minWidth: 0 }}>
+    <Typography variant="caption" color="text.secondary" sx={{ display: "block", lineHeight: 1.2 }}>
+      {label}
+    </Typography>
+    <Typography variant="subtitle1" sx={{ fontWeight: 700, color }}>{value}</Typography>
+  </Box>
+);
+
+function TabMirror({ mirror, onTakeOver }) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!mirror) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [mirror]);
+
+  if (!mirror) {
+    return (
+      <Alert
+        severity="info"
+        sx={{ borderRadius: 2 }}
+        action={<Button color="inherit" size="small" onClick={onTakeOver} sx={{ textTransform: "none" }}>Use here</Button>}
+      >
+        The runner is open in another tab. Only one tab can run sessions at a time.
+      </Alert>
+    );
+  }
+
+  const elapsed = mirror.startedAt ? Math.max(0, Math.floor((now - mirror.startedAt) / 1000)) : 0;
+  const remain = mirror.dwell ? dwellRemain(mirror.dwell, now) : null;
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, borderRadius: 2 }}>
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1.5, flexWrap: "wrap" }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>{mirror.title || "(untitled)"}</Typography>
+        <Typography variant="caption" color="text.secondary">{mirror.planName}</Typography>
+        <Chip size="small" variant="outlined" icon={<VisibilityIcon />} label="Read-only" sx={{ ml: "auto !important" }} />
+      </Stack>
+      <Alert severity="info" sx={{ mb: 1.5, borderRadius: 2 }}>
+        This session is running in another tab. Stamps made there show up here.
+      </Alert>
+
+      <Stack direction="row" spacing={1} sx={{ mb: 1.5 }}>
+        <Stat label="Lap" value={`L${mirror.loopIdx} · ${mirror.loopOn ? "recording" : "stopped"}`} color={mirror.loopOn ? "error.main" : undefined} />
+        <Stat label="Captured" value={`${mirror.captured} / ${mirror.total}`} color="primary.main" />
+        <Stat label="Elapsed" value={`${Math.floor(elapsed / 60)}m ${elapsed % 60}s`} />
+        {remain !== null && (
+          <Stat label={mirror.dwell.zuptName} value={mirror.dwell.pausedAt ? `${remain}s (paused)` : `${remain}s`} color="warning.main" />
+        )}
+      </Stack>
+
+      <Button
+        fullWidth
+        variant="contained"
+        startIcon={<OpenInBrowserIcon />}
+        onClick={onTakeOver}
+        sx={{ mb: 2, textTransform: "none" }}
+      >
+        Take over in this tab
+      </Button>
+
+      {mirror.stamps.length > 0 && (
+        <StampsTable stamps={mirror.stamps} tz={mirror.tz} zupts={mirror.zupts} />
+      )}
+    </Paper>
+  );
+}
+
+export default React.memo(TabMirror);
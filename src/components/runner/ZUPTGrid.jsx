@@ -1,11 +1,17 @@
 // src/components/runner/ZUPTGrid.jsx
-import React, { useRef, useEffect } from "react";
-import { Box, Typography, Chip, IconButton, LinearProgress, keyframes } from "@mui/material";
+import React, { useRef, useEffect, useState } from "react";
+import { Box, Typography, Chip, IconButton, Button, LinearProgress, keyframes } from "@mui/material";
 import CheckIcon from "@mui/icons-material/CheckCircle";
+import MyLocationIcon from "@mui/icons-material/MyLocation";
 import TimerIcon from "@mui/icons-material/Timer";
 import SwapVertIcon from "@mui/icons-material/SwapVert";
+import SkipNextIcon from "@mui/icons-material/SkipNext";
+import SearchIcon from "@mui/icons-material/Search";
 
-import { chipTone } from "../../services/runnerHelpers";
+import { chipTone, nextUpZupt } from "../../services/runnerHelpers";
+import SkipZuptDialog from "./SkipZuptDialog";
+
+const NONE = new Set();
 
 /* subtle pulse animation for "next up" chip */
 const pulse = keyframes`
@@ -14,27 +20,40 @@ const pulse = keyframes`
   100% { box-shadow: 0 0 0 0 rgba(99,102,241,0); }
 `;
 
-function ZUPTGrid({ zupts, captured, timerRunning, reverse, setReverse, onClickZupt }) {
+/* stronger pulse for the ZUPT the vehicle is currently inside */
+const nearPulse = keyframes`
+  0%   { box-shadow: 0 0 0 0 rgba(16,185,129,0.6); }
+  70%  { box-shadow: 0 0 0 10px rgba(16,185,129,0); }
+  100% { box-shadow: 0 0 0 0 rgba(16,185,129,0); }
+`;
+
+function ZUPTGrid({
+  zupts, captured, timerRunning, reverse, setReverse, onClickZupt, nearby = null,
+  strict = false, skipped = NONE, onSkip, onOpenPicker
+}) {
   const ordered = reverse ? [...zupts].reverse() : zupts;
   const containerRef = useRef(null);
   const chipRefs = useRef({});
+  const [skipOpen, setSkipOpen] = useState(false);
 
   const doneCount = captured.size;
   const total = zupts.length;
   const progress = total > 0 ? (doneCount / total) * 100 : 0;
 
-  // Find the first uncaptured ZUPT name (in current order)
-  const nextUp = ordered.find((z) => !captured.has(z.name))?.name || null;
+  // First ZUPT in current order that is neither captured nor skipped
+  const nextZupt = nextUpZupt(zupts, reverse, captured, skipped);
+  const nextUp = nextZupt?.name || null;
 
-  // Auto-scroll to the "next up" chip when captured changes
+  // Auto-scroll to the geofenced chip if any, else the "next up" chip
+  const focus = nearby || nextUp;
   useEffect(() => {
-    if (!nextUp || !chipRefs.current[nextUp]) return;
-    chipRefs.current[nextUp].scrollIntoView({
+    if (!focus || !chipRefs.current[focus]) return;
+    chipRefs.current[focus].scrollIntoView({
       behavior: "smooth",
       inline: "center",
       block: "nearest",
     });
-  }, [nextUp, doneCount]);
+  }, [focus, doneCount, skipped.size]);
 
   return (
     <>
@@ -59,9 +78,37 @@ function ZUPTGrid({ zupts, captured, timerRunning, reverse, setReverse, onClickZ
         >
           {doneCount} / {total}
         </Typography>
+        {skipped.size > 0 && (
+          <Typography variant="caption" sx={{ fontWeight: 600, color: "warning.main" }}>
+            {skipped.size} skipped
+          </Typography>
+        )}
+        {strict && nextZupt && onSkip && (
+          <Button
+            size="small"
+            color="warning"
+            startIcon={<SkipNextIcon />}
+            disabled={timerRunning}
+            onClick={() => setSkipOpen(true)}
+            sx={{ ml: "auto", fontSize: 12, fontWeight: 600, textTransform: "none", minWidth: 0 }}
+          >
+            Skip {nextUp}
+          </Button>
+        )}
+        {onOpenPicker && (
+          <IconButton
+            size="small"
+            sx={{ ml: strict && nextZupt && onSkip ? 0 : "auto" }}
+            onClick={onOpenPicker}
+            disabled={timerRunning}
+            title="Find ZUPT by name"
+          >
+            <SearchIcon fontSize="inherit" />
+          </IconButton>
+        )}
         <IconButton
           size="small"
-          sx={{ ml: "auto" }}
+          sx={{ ml: (strict && nextZupt && onSkip) || onOpenPicker ? 0 : "auto" }}
           onClick={() => setReverse((p) => !p)}
           title="Flip order"
         >
@@ -101,16 +148,19 @@ function ZUPTGrid({ zupts, captured, timerRunning, reverse, setReverse, onClickZ
       >
         {ordered.map((z, i) => {
           const done = captured.has(z.name);
+          const isSkipped = !done && skipped.has(z.name);
           const isNext = z.name === nextUp;
-          const disabled = timerRunning || done;
+          const isNear = !done && !isSkipped && z.name === nearby;
+          const outOfOrder = strict && !isNext && !done && !isSkipped;
+          const disabled = timerRunning || done || isSkipped || outOfOrder;
           return (
             <Chip
               key={z.id || z.name}
               ref={(el) => { chipRefs.current[z.name] = el; }}
               label={z.name}
-              icon={done ? <CheckIcon /> : <TimerIcon />}
-              color={done ? chipTone(i) : isNext ? "primary" : "default"}
-              variant={done ? "filled" : isNext ? "filled" : "outlined"}
+              icon={done ? <CheckIcon /> : isSkipped ? <SkipNextIcon /> : isNear ? <MyLocationIcon /> : <TimerIcon />}
+              color={done ? chipTone(i) : isNear ? "success" : isNext ? "primary" : "default"}
+              variant={done || isNear || isNext ? "filled" : "outlined"}
               clickable={!disabled}
               onClick={!disabled ? () => onClickZupt(z) : undefined}
               sx={{
@@ -124,17 +174,42 @@ function ZUPTGrid({ zupts, captured, timerRunning, reverse, setReverse, onClickZ
                   opacity: 0.7,
                   transform: "scale(0.92)",
                 }),
+                // Skipped chips: struck through
+                ...(isSkipped && {
+                  opacity: 0.6,
+                  transform: "scale(0.92)",
+                  "& .MuiChip-label": { px: { xs: 1.5, sm: 1 }, textDecoration: "line-through" },
+                }),
+                // Strict order: only the next-up chip is live
+                ...(outOfOrder && !isNear && { opacity: 0.45 }),
                 // Next-up chip: pulse animation
                 ...(isNext &&
+                  !isNear &&
                   !timerRunning && {
                     animation: `${pulse} 2s ease-in-out infinite`,
                     fontWeight: 700,
                   }),
+                // Geofenced chip: larger, green pulse
+                ...(isNear &&
+                  !timerRunning && {
+                    animation: `${nearPulse} 1.2s ease-in-out infinite`,
+                    fontWeight: 800,
+                    transform: "scale(1.08)",
+                  }),
               }}
             />
           );
         })}
       </Box>
+
+      {strict && nextZupt && onSkip && (
+        <SkipZuptDialog
+          zuptName={nextUp}
+          open={skipOpen}
+          onClose={() => setSkipOpen(false)}
+          onConfirm={(reason) => onSkip(nextZupt, reason)}
+        />
+      )}
     </>
   );
 }
@@ -0,0 +1,147 @@
+// src/components/runner/ZuptQuickPicker.jsx
+// Type-to-select overlay for plans with more ZUPTs than the chip row or the 1-9 keys can reach.
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  Dialog, DialogContent, TextField, List, ListItemButton, ListItemText,
+  Typography, InputAdornment, Box
+} from "@mui/material";
+import SearchIcon from "@mui/icons-material/Search";
+
+import { nextUpZupt } from "../../services/runnerHelpers";
+
+const NONE = new Set();
+
+/**
+ * Matches for `query`: open ZUPTs before handled ones, name-prefix matches before
+ * substring matches, then nearest to the next-up ZUPT — those ahead of it in run
+ * order first, then the ones behind. Ties keep plan order.
+ */
+const rankZupts = (zupts, query, reverse, captured, skipped) => {
+  const ordered = reverse ? [...zupts].reverse() : zupts;
+  const next = nextUpZupt(zupts, reverse, captured, skipped);
+  const nextIdx = next ? ordered.indexOf(next) : 0;
+  const q = query.trim().toLowerCase();
+  return ordered
+    .map((z, i) => ({
+      z, i,
+      handled: captured.has(z.name) || skipped.has(z.name),
+      dist: i >= nextIdx ? i - nextIdx : ordered.length + (nextIdx - i),
+      prefix: z.name.toLowerCase().startsWith(q),
+    }))
+    .filter(r => !q || r.z.name.toLowerCase().includes(q))
+    .sort((a, b) =>
+      a.handled - b.handled || b.prefix - a.prefix || a.dist - b.dist || a.i - b.i
+    );
+};
+
+function ZuptQuickPicker({
+  open, onClose, zupts = [], reverse, captured, skipped = NONE, strict = false, onPick
+}) {
+  const [query, setQuery] = useState("");
+  const [sel, setSel] = useState(0);
+  const itemRefs = useRef([]);
+
+  useEffect(() => { if (open) setQuery(""); }, [open]);
+
+  const next = nextUpZupt(zupts, reverse, captured, skipped);
+  const results = useMemo(
+    () => rankZupts(zupts, query, reverse, captured, skipped),
+    [zupts, query, reverse, captured, skipped]
+  );
+  const pickable = useCallback((r) => !r.handled && (!strict || r.z === next), [strict, next]);
+
+  // Highlight the best pickable match as the list changes
+  useEffect(() => {
+    setSel(Math.max(0, results.findIndex(pickable)));
+  }, [results, pickable]);
+  useEffect(() => {
+    itemRefs.current[sel]?.scrollIntoView({ block: "nearest" });
+  }, [sel]);
+
+  const pick = (r) => {
+    if (!r || !pickable(r)) return;
+    onPick(r.z);
+    onClose();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") { e.preventDefault(); setSel(s => Math.min(s + 1, results.length - 1)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setSel(s => Math.max(s - 1, 0)); }
+    else if (e.key === "Enter") { e.preventDefault(); pick(results[sel]); }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      // Pinned to the top so a tablet's on-screen keyboard doesn't cover the results
+      sx={{ "& .MuiDialog-container": { alignItems: "flex-start" } }}
+      PaperProps={{ sx: { borderRadius: 3, mt: { xs: 2, sm: 8 } } }}
+    >
+      <DialogContent sx={{ p: 1.5 }}>
+        <TextField
+          autoFocus
+          fullWidth
+          size="small"
+          placeholder="Type a ZUPT name…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+          slotProps={{
+            htmlInput: {
+              inputMode: "search", enterKeyHint: "go",
+              autoComplete: "off", autoCorrect: "off", autoCapitalize: "off", spellCheck: false,
+            },
+            input: {
+              startAdornment: (
+                <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment>
+              ),
+            },
+          }}
+        />
+
+        <List dense sx={{ maxHeight: "50vh", overflowY: "auto", mt: 1 }}>
+          {results.map((r, i) => {
+            const status = captured.has(r.z.name) ? "captured"
+              : skipped.has(r.z.name) ? "skipped"
+              : r.z === next ? "next up"
+              : strict ? "out of order" : "";
+            return (
+              <ListItemButton
+                key={r.z.id || r.z.name}
+                ref={(el) => { itemRefs.current[i] = el; }}
+                selected={i === sel}
+                disabled={!pickable(r)}
+                onClick={() => pick(r)}
+                sx={{ borderRadius: 2, minHeight: 48 }}
+              >
+                <ListItemText
+                  primary={r.z.name}
+                  secondary={r.z.wait ? `${r.z.wait}s dwell` : null}
+                  slotProps={{ primary: { fontWeight: r.z === next ? 700 : 500 } }}
+                />
+                {status && (
+                  <Typography
+                    variant="caption"
+                    sx={{ color: r.z === next ? "primary.main" : "text.secondary", fontWeight: 600 }}
+                  >
+                    {status}
+                  </Typography>
+                )}
+              </ListItemButton>
+            );
+          })}
+          {!results.length && (
+            <Box sx={{ py: 3, textAlign: "center" }}>
+              <Typography variant="body2" color="text.secondary">No ZUPT matches “{query}”</Typography>
+            </Box>
+          )}
+        </List>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default React.memo(ZuptQuickPicker);
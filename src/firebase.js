@@ -8,9 +8,10 @@ import {
 import {
   initializeFirestore,
   persistentLocalCache,
-  persistentSingleTabManager,
+  persistentMultipleTabManager,
 } from "firebase/firestore";
 import { getFunctions } from "firebase/functions";
+import { getStorage } from "firebase/storage";
 import { getAnalytics, isSupported } from "firebase/analytics";
 
 const firebaseConfig = {
@@ -25,10 +26,11 @@ const firebaseConfig = {
 
 const app = getApps().length ? getApp() : initializeApp(firebaseConfig);
 
-// Firestore offline cache (IndexedDB)
+// Firestore offline cache (IndexedDB), shared by every open tab — which tab may
+// write a session is decided by the runner (see hooks/useTabLeader.js)
 export const db = initializeFirestore(app, {
   localCache: persistentLocalCache({
-    tabManager: persistentSingleTabManager(),
+    tabManager: persistentMultipleTabManager(),
   }),
 });
 
@@ -41,6 +43,9 @@ export const auth = initializeAuth(app, {
 // Cloud Functions
 export const functions = getFunctions(app);
 
+// Cloud Storage (stamp photos)
+export const storage = getStorage(app);
+
 // Analytics (lazy — only in supported browser environments)
 export const analyticsPromise = isSupported().then((yes) =>
   yes ? getAnalytics(app) : null
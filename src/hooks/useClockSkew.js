@@ -0,0 +1,37 @@
+// src/hooks/useClockSkew.js
+import { useEffect, useState } from "react";
+
+import {
+  measureClockOffset, appendClockSample, loadClockSamples, CLOCK_CHECK_MS,
+} from "../services/clockSkew";
+
+/**
+ * Measures the device-to-server clock offset whenever `online`, then every
+ * CLOCK_CHECK_MS. Each reading is appended to the device's offset history.
+ *
+ * Returns the latest sample ({ at, offsetMs, rttMs }) — the last stored one
+ * while offline — or null if this device has never measured.
+ */
+export default function useClockSkew(online) {
+  const [sample, setSample] = useState(() => loadClockSamples().at(-1) || null);
+
+  useEffect(() => {
+    if (!online) return;
+    let cancelled = false;
+
+    const check = async () => {
+      try {
+        const s = await measureClockOffset();
+        if (!s || cancelled) return;
+        appendClockSample(s);
+        setSample(s);
+      } catch {}
+    };
+
+    check();
+    const id = setInterval(check, CLOCK_CHECK_MS);
+    return () => { cancelled = true; clearInterval(id); };
+  }, [online]);
+
+  return sample;
+}
@@ -0,0 +1,48 @@
+// src/hooks/useFullscreen.js
+import { useEffect, useState } from "react";
+
+/**
+ * Puts the page in full screen while `enabled`, locks the screen to its
+ * current orientation where the browser allows it, and stops the page from
+ * scrolling underneath. Turn it on from a user gesture (a button press) —
+ * browsers refuse full screen otherwise. Everything is undone on disable.
+ *
+ * Returns true while the page is in full screen.
+ */
+export default function useFullscreen(enabled) {
+  const [active, setActive] = useState(false);
+
+  useEffect(() => {
+    if (!enabled || typeof document === "undefined") return;
+    const root = document.documentElement;
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+
+    const sync = () => setActive(!!document.fullscreenElement);
+    document.addEventListener("fullscreenchange", sync);
+
+    (async () => {
+      try {
+        if (!document.fullscreenElement && root.requestFullscreen) {
+          await root.requestFullscreen({ navigationUI: "hide" });
+        }
+      } catch {}
+      // only granted in full screen, and not at all on most desktops
+      try {
+        const type = window.screen?.orientation?.type;
+        if (type) await window.screen.orientation.lock(type.split("-")[0]);
+      } catch {}
+      sync();
+    })();
+
+    return () => {
+      document.removeEventListener("fullscreenchange", sync);
+      document.body.style.overflow = overflow;
+      try { window.screen?.orientation?.unlock?.(); } catch {}
+      if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+      setActive(false);
+    };
+  }, [enabled]);
+
+  return active;
+}
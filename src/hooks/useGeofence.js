@@ -0,0 +1,56 @@
+// src/hooks/useGeofence.js
+import { useEffect, useMemo, useRef, useState } from "react";
+
+import {
+  nearestZupt, distanceM,
+  STATIONARY_SPEED_MS, STATIONARY_DRIFT_M, STATIONARY_HOLD_MS,
+} from "../services/geoHelpers";
+
+/**
+ * Proximity state for the runner's geofence mode.
+ *
+ * Returns:
+ *   near        — { zupt, distance } for the closest uncaptured ZUPT whose radius contains the fix, or null
+ *   stationary  — true once the vehicle has stayed stopped for STATIONARY_HOLD_MS
+ *
+ * Stopped means reported speed below STATIONARY_SPEED_MS or, when the device
+ * gives no speed, drift under STATIONARY_DRIFT_M from where it first stopped.
+ */
+export default function useGeofence({ enabled, fix, zupts, captured }) {
+  const near = useMemo(
+    () => (enabled ? nearestZupt(fix, zupts, captured) : null),
+    [enabled, fix, zupts, captured]
+  );
+
+  const anchorRef = useRef(null); // { lat, lon, since }
+  const [stoppedSince, setStoppedSince] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!enabled || !fix) { anchorRef.current = null; setStoppedSince(null); return; }
+
+    const moving = fix.speed !== null && fix.speed !== undefined
+      ? fix.speed > STATIONARY_SPEED_MS
+      : !!anchorRef.current &&
+        distanceM(anchorRef.current.lat, anchorRef.current.lon, fix.lat, fix.lon) > STATIONARY_DRIFT_M;
+
+    if (moving || !anchorRef.current) {
+      anchorRef.current = { lat: fix.lat, lon: fix.lon, since: fix.at };
+      setStoppedSince(moving ? null : fix.at);
+    } else {
+      const { since } = anchorRef.current;
+      setStoppedSince(s => (s === null ? since : s));
+    }
+  }, [enabled, fix]);
+
+  // Fixes only arrive when the position changes — tick so the hold time can elapse while parked
+  useEffect(() => {
+    if (!near || stoppedSince === null) return;
+    const id = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(id);
+  }, [near, stoppedSince]);
+
+  const stationary = stoppedSince !== null && now - stoppedSince >= STATIONARY_HOLD_MS;
+
+  return { near, stationary };
+}
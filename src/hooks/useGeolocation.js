@@ -0,0 +1,34 @@
+// src/hooks/useGeolocation.js
+import { useEffect, useRef, useState } from "react";
+
+import { toFix, WATCH_OPTIONS } from "../services/geoHelpers";
+
+/**
+ * Watches the device position while `enabled` is true.
+ *
+ * Returns the latest fix for rendering plus `fixRef`, which callbacks can read
+ * at stamp time without being re-created on every position update.
+ */
+export default function useGeolocation(enabled) {
+  const [fix, setFix] = useState(null);
+  const [error, setError] = useState("");
+  const fixRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled || typeof navigator === "undefined" || !navigator.geolocation) return;
+
+    const id = navigator.geolocation.watchPosition(
+      (pos) => {
+        const f = toFix(pos);
+        fixRef.current = f;
+        setFix(f);
+        setError("");
+      },
+      (err) => setError(err?.message || "Location unavailable"),
+      WATCH_OPTIONS
+    );
+    return () => navigator.geolocation.clearWatch(id);
+  }, [enabled]);
+
+  return { fix, fixRef, error };
+}
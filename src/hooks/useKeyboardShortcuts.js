@@ -1,69 +1,43 @@
 // src/hooks/useKeyboardShortcuts.js
-import { useEffect } from "react";
+import { useEffect, useRef } from "react";
+
+import { comboFromEvent, actionFor } from "../services/shortcutProfiles";
 
 /**
- * Keyboard shortcuts for the PlanRunner active session.
+ * Keyboard / foot-pedal shortcuts for the PlanRunner active session.
  *
- * Bindings:
- *   Space       — toggle lap (Record / Stop)
- *   1-9         — click ZUPT by visible index
- *   Ctrl+Z      — undo last stamp
- *   M           — manual stamp
- *   F           — finish session
+ * `bindings` comes from the user's active shortcut profile
+ * ({ [actionId]: [combo, ...] }, see services/shortcutProfiles) and
+ * `handlers` maps action ids to callbacks:
+ *   toggleLap, stampNext, quickPick, zupt1…zupt9, undo, abortCountdown, manual, finish
  *
- * All bindings are ignored when focus is inside an INPUT, TEXTAREA, or SELECT.
+ * All bindings are ignored when focus is inside an INPUT, TEXTAREA, or SELECT,
+ * or inside an open dialog.
  */
-export default function useKeyboardShortcuts({
-  enabled,
-  onToggleLap,
-  onClickZuptByIndex,
-  onUndoLast,
-  onManual,
-  onFinish,
-}) {
+export default function useKeyboardShortcuts({ enabled, bindings, handlers }) {
+  // Handlers change on most renders; read them through a ref so the listener stays put
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
   useEffect(() => {
-    if (!enabled) return;
+    if (!enabled || !bindings) return;
 
     const handler = (e) => {
-      // Ignore when typing in form fields
-      const tag = document.activeElement?.tagName;
+      // Ignore when typing in form fields or working in a dialog
+      const el = document.activeElement;
+      const tag = el?.tagName;
       if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
-
-      const key = e.key;
-
-      if (key === " ") {
-        e.preventDefault();
-        onToggleLap?.();
-        return;
-      }
-
-      if (e.ctrlKey && (key === "z" || key === "Z")) {
-        e.preventDefault();
-        onUndoLast?.();
-        return;
-      }
-
-      // Number keys 1-9 — ZUPT by index (not on numpad with ctrl/alt)
-      if (!e.ctrlKey && !e.altKey && !e.metaKey && key >= "1" && key <= "9") {
-        e.preventDefault();
-        onClickZuptByIndex?.(parseInt(key, 10) - 1);
-        return;
-      }
-
-      if ((key === "m" || key === "M") && !e.ctrlKey && !e.altKey && !e.metaKey) {
-        e.preventDefault();
-        onManual?.();
-        return;
-      }
-
-      if ((key === "f" || key === "F") && !e.ctrlKey && !e.altKey && !e.metaKey) {
-        e.preventDefault();
-        onFinish?.();
-        return;
-      }
+      if (el?.closest?.('[role="dialog"]')) return;
+
+      const combo = comboFromEvent(e);
+      const action = combo && actionFor(bindings, combo);
+      const fn = action && handlersRef.current[action];
+      if (!fn) return;
+      e.preventDefault();
+      fn();
     };
 
     window.addEventListener("keydown", handler);
     return () => window.removeEventListener("keydown", handler);
-  }, [enabled, onToggleLap, onClickZuptByIndex, onUndoLast, onManual, onFinish]);
+  }, [enabled, bindings]);
 }
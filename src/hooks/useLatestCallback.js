@@ -0,0 +1,16 @@
+// src/hooks/useLatestCallback.js
+import { useCallback, useLayoutEffect, useRef } from "react";
+
+/**
+ * A function that keeps the same identity for the life of the component but
+ * always runs the latest `fn`. For effects that should fire on one trigger
+ * (a countdown reaching zero, a tab losing the lead) yet act on the current
+ * render's state: list the returned function as a dependency, it never changes.
+ *
+ * Not for calling during render — the latest `fn` is swapped in after commit.
+ */
+export default function useLatestCallback(fn) {
+  const ref = useRef(fn);
+  useLayoutEffect(() => { ref.current = fn; });
+  return useCallback((...args) => ref.current(...args), []);
+}
@@ -0,0 +1,86 @@
+// src/hooks/useTabLeader.js
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const LOCK_NAME = "itag-runner-leader";
+const CHANNEL_NAME = "itag-runner";
+
+const locksSupported = () => typeof navigator !== "undefined" && !!navigator.locks;
+
+/**
+ * Elects one runner tab per browser with a Web Lock. The tab holding the lock
+ * owns the active session and the outbox flush; the others queue for it, take
+ * over on their own when the leader closes, or at once with takeOver(), which
+ * steals the lock. Where Web Locks are missing every tab leads, as before.
+ *
+ * The leader broadcasts `state` (structured-cloneable, memoised by the caller)
+ * on a BroadcastChannel; other tabs receive it as `mirror` for a read-only view.
+ *
+ * Returns { isLeader, takeOver, mirror }.
+ */
+export default function useTabLeader(state) {
+  const [isLeader, setIsLeader] = useState(() => !locksSupported());
+  const [mirror, setMirror] = useState(null);
+  const stealRef = useRef(() => {});
+  const leaderRef = useRef(isLeader);
+  const stateRef = useRef(state);
+  const channelRef = useRef(null);
+
+  useEffect(() => { leaderRef.current = isLeader; }, [isLeader]);
+  useEffect(() => { stateRef.current = state; }, [state]);
+
+  /* election — a stolen lock sends this tab back to the queue */
+  useEffect(() => {
+    if (!locksSupported()) return;
+    let alive = true;
+    let gen = 0;
+    let pending = null;
+    let release = () => {};
+
+    const queue = (steal) => {
+      const mine = ++gen;
+      pending?.abort();
+      pending = steal ? null : new AbortController();
+      navigator.locks.request(LOCK_NAME, steal ? { steal: true } : { signal: pending.signal }, () => {
+        if (!alive || mine !== gen) return undefined;
+        setIsLeader(true);
+        return new Promise(r => { release = r; });
+      }).catch(() => {}).then(() => {
+        if (!alive || mine !== gen) return;
+        setIsLeader(false);
+        queue(false);
+      });
+    };
+
+    stealRef.current = () => queue(true);
+    queue(false);
+    return () => {
+      alive = false;
+      pending?.abort();
+      release();
+      stealRef.current = () => {};
+    };
+  }, []);
+
+  /* mirror channel — a tab that opens asks the leader for its current state */
+  useEffect(() => {
+    if (typeof BroadcastChannel === "undefined") return;
+    const ch = new BroadcastChannel(CHANNEL_NAME);
+    channelRef.current = ch;
+    ch.onmessage = ({ data }) => {
+      if (data?.type === "state" && !leaderRef.current) setMirror(data.state);
+      if (data?.type === "hello" && leaderRef.current) ch.postMessage({ type: "state", state: stateRef.current });
+    };
+    ch.postMessage({ type: "hello" });
+    return () => { ch.close(); channelRef.current = null; };
+  }, []);
+
+  useEffect(() => {
+    if (!isLeader) return;
+    setMirror(null);
+    try { channelRef.current?.postMessage({ type: "state", state }); } catch {}
+  }, [isLeader, state]);
+
+  const takeOver = useCallback(() => stealRef.current(), []);
+
+  return { isLeader, takeOver, mirror };
+}
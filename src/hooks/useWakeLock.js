@@ -0,0 +1,40 @@
+// src/hooks/useWakeLock.js
+import { useEffect, useState } from "react";
+
+/**
+ * Holds a Screen Wake Lock while `enabled`, so the display does not dim
+ * mid-session. The browser drops the lock whenever the page is hidden; it is
+ * re-acquired when the page becomes visible again.
+ *
+ * Returns true while a lock is held (always false where unsupported).
+ */
+export default function useWakeLock(enabled) {
+  const [held, setHeld] = useState(false);
+
+  useEffect(() => {
+    if (!enabled || typeof navigator === "undefined" || !navigator.wakeLock) return;
+    let lock = null;
+    let cancelled = false;
+
+    const acquire = async () => {
+      if (document.visibilityState !== "visible" || (lock && !lock.released)) return;
+      try {
+        lock = await navigator.wakeLock.request("screen");
+        if (cancelled) { lock.release().catch(() => {}); return; }
+        setHeld(true);
+        lock.addEventListener("release", () => setHeld(false));
+      } catch { setHeld(false); }
+    };
+
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", acquire);
+      if (lock && !lock.released) lock.release().catch(() => {});
+      setHeld(false);
+    };
+  }, [enabled]);
+
+  return held;
+}
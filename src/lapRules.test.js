@@ -0,0 +1,64 @@
+import { lapRulesOf, lapZupts, cleanLapRules, remapLapRules, lapCoverage, finishShortfalls } from './services/lapRules';
+import { at } from './testFixtures';
+
+const zupts = [{ id: 'z1', name: 'Z1' }, { id: 'z2', name: 'Z2' }, { id: 'z3', name: 'Z3' }];
+const plan = { zupts, loops: { target: 2, enforce: 'block', zupts: { 2: ['z1', 'z3'] } } };
+
+test('lapRulesOf reads the target and defaults to warning', () => {
+  expect(lapRulesOf(plan)).toEqual({ target: 2, enforce: 'block', zupts: { 2: ['z1', 'z3'] } });
+  expect(lapRulesOf({ loops: { target: 2.7, enforce: 'nope' } })).toEqual({ target: 2, enforce: 'warn', zupts: {} });
+  expect(lapRulesOf({ loops: { target: 0 } })).toBeNull();
+  expect(lapRulesOf({})).toBeNull();
+});
+
+test('lapZupts uses the lap subset, else every plan ZUPT', () => {
+  expect(lapZupts(plan, 1).map(z => z.id)).toEqual(['z1', 'z2', 'z3']);
+  expect(lapZupts(plan, 2).map(z => z.id)).toEqual(['z1', 'z3']);
+  // a subset whose ZUPTs are all gone falls back too
+  expect(lapZupts({ zupts, loops: { target: 1, zupts: { 1: ['gone'] } } }, 1)).toBe(zupts);
+});
+
+test('cleanLapRules drops laps past the target, gone ZUPTs and full subsets', () => {
+  const loops = { target: '2', zupts: { 1: ['z1', 'z2', 'z3'], 2: ['z2', 'gone'], 3: ['z1'] } };
+  expect(cleanLapRules(loops, zupts)).toEqual({ target: 2, enforce: 'warn', zupts: { 2: ['z2'] } });
+  expect(cleanLapRules({ target: '' }, zupts)).toBeNull();
+});
+
+test('remapLapRules follows cloned ZUPT ids', () => {
+  const idMap = new Map([['z1', 'n1'], ['z3', 'n3']]);
+  expect(remapLapRules(plan.loops, idMap).zupts).toEqual({ 2: ['n1', 'n3'] });
+  expect(remapLapRules(null, idMap)).toBeNull();
+});
+
+const stamps = [
+  { kind: 'loop-start', loop: 1, time: at(0) },
+  { kind: 'zupt', loop: 1, zuptName: 'Z1', time: at(10) },
+  { kind: 'zupt', loop: 1, zuptName: 'Z2', time: at(20), dwell: { status: 'aborted' } },
+  { kind: 'skip', loop: 1, zuptName: 'Z2', time: at(25) },
+  { kind: 'zupt', loop: 1, zuptName: 'Z3', time: at(30) },
+  { kind: 'loop-stop', loop: 1, time: at(40) },
+  { kind: 'loop-start', loop: 2, time: at(50) },
+  { kind: 'zupt', loop: 2, zuptName: 'Z1', time: at(60) },
+  { kind: 'zupt', loop: 2, zuptName: 'Z3', time: at(70) },
+];
+
+test('lapCoverage counts captured ZUPTs per lap; aborted dwells do not count', () => {
+  const [one, two] = lapCoverage(plan, stamps);
+  expect(one).toEqual({
+    loop: 1, required: 3, captured: 2, missing: ['Z2'], skipped: ['Z2'], started: true, stopped: true, complete: false,
+  });
+  expect(two).toMatchObject({ loop: 2, required: 2, captured: 2, missing: [], started: true, stopped: false, complete: true });
+});
+
+test('lapCoverage lists laps up to the target or the last lap recorded', () => {
+  expect(lapCoverage(plan, [])).toHaveLength(2);
+  expect(lapCoverage(plan, [])[0]).toMatchObject({ started: false, complete: false, missing: ['Z1', 'Z2', 'Z3'] });
+  expect(lapCoverage({ zupts }, [{ kind: 'loop-start', loop: 3, time: at(0) }])).toHaveLength(3);
+});
+
+test('finishShortfalls names short laps and the lap count', () => {
+  expect(finishShortfalls(plan, lapCoverage(plan, stamps))).toEqual(['1 of 2 laps complete', 'L1 is missing Z2']);
+  const retaken = [...stamps, { kind: 'zupt', loop: 1, zuptName: 'Z2', time: at(35) }];
+  expect(finishShortfalls(plan, lapCoverage(plan, retaken))).toEqual([]);
+  expect(finishShortfalls({ zupts }, [])).toEqual([]);
+});
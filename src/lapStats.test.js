@@ -0,0 +1,46 @@
+import { lapStats, fmtDuration } from './services/lapStats';
+import { T0, at } from './testFixtures';
+
+const stamps = [
+  { kind: 'loop-start', loop: 1, time: at(0) },
+  { kind: 'zupt', loop: 1, zuptName: 'Z1', duration: 30, time: at(10) },
+  { kind: 'zupt', loop: 1, zuptName: 'Z2', duration: 30, time: at(70) },
+  { kind: 'loop-stop', loop: 1, time: at(100) },
+  { kind: 'loop-start', loop: 2, time: at(200) },
+  { kind: 'zupt', loop: 2, zuptName: 'Z1', duration: 30, time: at(210) },
+  { kind: 'event', loop: 2, time: at(220) },
+  { kind: 'zupt', loop: 2, zuptName: 'Z2', duration: 30, time: at(290) },
+];
+
+test('completed laps, gaps and the lap running now', () => {
+  const s = lapStats(stamps, { now: T0 + 300_000 });
+  expect(s.laps).toEqual([{ loop: 1, ms: 100_000 }]);
+  expect(s.avgLapMs).toBe(100_000);
+  expect(s.currentLoop).toBe(2);
+  expect(s.currentMs).toBe(100_000);
+  expect(s.vsAvgMs).toBe(0);
+  expect(s.avgGapMs).toBe(70_000); // 60 s in lap 1, 80 s in lap 2; events don't count
+  expect(s.sinceZuptMs).toBe(10_000);
+});
+
+test('estimates the lap finish from waits, travel and the running dwell', () => {
+  // travel: 60−30 and 80−30 → 40 s average
+  const s = lapStats(stamps, { now: T0 + 300_000, remaining: [{ wait: 20 }], dwellLeftMs: 5000 });
+  expect(s.etaMs).toBe(T0 + 300_000 + 20_000 + 40_000 + 5000);
+});
+
+test('no open lap, no estimate', () => {
+  const s = lapStats(stamps.slice(0, 4), { now: T0 + 150_000 });
+  expect(s.currentLoop).toBe(0);
+  expect(s.currentMs).toBeNull();
+  expect(s.vsAvgMs).toBeNull();
+  expect(s.etaMs).toBeNull();
+  expect(lapStats([]).avgLapMs).toBeNull();
+});
+
+test('fmtDuration', () => {
+  expect(fmtDuration(245_000)).toBe('4m 05s');
+  expect(fmtDuration(3_720_000)).toBe('1h 02m');
+  expect(fmtDuration(-12_000)).toBe('-0m 12s');
+  expect(fmtDuration(null)).toBe('');
+});
@@ -0,0 +1,131 @@
+import {
+  stampKey, diffStamps, addPending, clearPending, NO_PENDING, mergeStamps, mergeEdits, queuedPending, resumeStamps,
+} from './services/liveSession';
+import { withoutThumbs } from './services/photoAttachments';
+import { loadStamps, saveStamps, pushReplace } from './services/runnerHelpers';
+import { at } from './testFixtures';
+
+const synced = [
+  { id: 'a', kind: 'loop-start', loop: 1, zuptName: 'L1 Start', time: at(0) },
+  { id: 'b', kind: 'zupt', loop: 1, zuptId: 'z1', zuptName: 'Z1', time: at(10) },
+];
+// the doc as Firestore hands it back: times are Timestamps (anything with toDate)
+const docOf = (list) => list.map(s => ({ ...s, time: { toDate: () => s.time } }));
+
+beforeEach(() => localStorage.clear());
+
+/** What the runner leaves behind after stamping `next` while offline. */
+const stampOffline = (sid, prev, next) => {
+  saveStamps(sid, next);
+  pushReplace(sid, 'update', { timestamps: next, stampSync: diffStamps(prev, next) });
+};
+
+test('a reload while offline keeps the stamp still in the outbox', () => {
+  const queued = { id: 'c', kind: 'zupt', loop: 1, zuptId: 'z2', zuptName: 'Z2', time: at(20) };
+  stampOffline('s1', synced, [...synced, queued]);
+
+  const out = resumeStamps(docOf(synced), loadStamps('s1'), queuedPending('s1'));
+  expect(out.map(s => s.id)).toEqual(['a', 'b', 'c']);
+  expect(out[2].time).toEqual(at(20));
+});
+
+test('a queued removal stays removed', () => {
+  stampOffline('s1', synced, synced.slice(0, 1));
+  const out = resumeStamps(docOf(synced), loadStamps('s1'), queuedPending('s1'));
+  expect(out.map(s => s.id)).toEqual(['a']);
+});
+
+test('with nothing queued the doc wins over what the device saved', () => {
+  saveStamps('s1', [{ ...synced[1], zuptName: 'stale' }]);
+  const out = resumeStamps(docOf(synced), loadStamps('s1'), queuedPending('s1'));
+  expect(out.map(s => s.zuptName)).toEqual(['L1 Start', 'Z1']);
+  expect(queuedPending('other')).toEqual({ touched: [], removed: [] });
+});
+
+test('a tab taking over from a leader that stamped offline keeps its stamps and the crew\'s', () => {
+  // the old leader edited one stamp and added another; the doc meanwhile has a crew member's stamp
+  const mine = [{ ...synced[0] }, { ...synced[1], zuptName: 'Z1 (fixed)' }, { id: 'c', kind: 'zupt', loop: 1, zuptName: 'Z2', time: at(20) }];
+  stampOffline('s1', synced, mine);
+  const crew = { id: 'x', kind: 'zupt', loop: 1, zuptName: 'Z9', time: at(15) };
+
+  // the new leader only has what the tabs share: the cached doc and localStorage
+  const out = resumeStamps(docOf([...synced, crew]), loadStamps('s1'), queuedPending('s1'));
+  expect(out.map(s => s.zuptName)).toEqual(['L1 Start', 'Z1 (fixed)', 'Z9', 'Z2']);
+});
+
+/* ───────── sync merge ───────── */
+const photo = (id, url) => ({ id, w: 4, h: 3, at: 1, ...(url ? { url } : {}) });
+
+test('diffStamps reports added, changed and removed keys', () => {
+  const next = [{ ...synced[1], zuptName: 'Z1b' }, { id: 'c', zuptName: 'Z2', time: at(20) }];
+  expect(diffStamps(synced, next)).toEqual({ touched: ['b', 'c'], removed: ['a'] });
+  expect(diffStamps(synced, synced.map(s => ({ ...s, time: new Date(s.time) })))).toEqual({ touched: [], removed: [] });
+});
+
+test('addPending lets the latest change to a key win', () => {
+  let p = addPending(NO_PENDING, { touched: ['a', 'b'], removed: [] });
+  p = addPending(p, { touched: ['c'], removed: ['b'] });
+  expect(p).toEqual({ touched: ['a', 'c'], removed: ['b'] });
+  p = addPending(p, { touched: ['b'], removed: [] });
+  expect(p).toEqual({ touched: ['a', 'c', 'b'], removed: [] });
+  expect(clearPending(p, { touched: ['a', 'b'], removed: [] })).toEqual({ touched: ['c'], removed: [] });
+});
+
+test('two devices stamping at once both keep their stamp', () => {
+  const one = { id: 'p', zuptName: 'Z2', time: at(20) };
+  const two = { id: 'q', zuptName: 'Z3', time: at(20) };
+  // device two commits first; device one then merges onto that
+  const server = mergeStamps(synced, [...synced, two], { touched: ['q'], removed: [] });
+  const out = mergeStamps(server, [...synced, one], { touched: ['p'], removed: [] });
+  expect(out.map(s => s.id).sort()).toEqual(['a', 'b', 'p', 'q']);
+});
+
+test('a removal racing an edit: the device that committed last decides', () => {
+  const edited = { ...synced[1], zuptName: 'Z1b' };
+  // one device edits b, the other removes it
+  const afterEdit = mergeStamps(synced, [synced[0], edited], { touched: ['b'], removed: [] });
+  expect(mergeStamps(afterEdit, [synced[0]], { touched: [], removed: ['b'] }).map(s => s.id)).toEqual(['a']);
+  const afterRemove = mergeStamps(synced, [synced[0]], { touched: [], removed: ['b'] });
+  expect(mergeStamps(afterRemove, [synced[0], edited], { touched: ['b'], removed: [] })[1]).toEqual(edited);
+});
+
+test('stamps without an id are matched by name and time', () => {
+  const legacy = { zuptName: 'Z0', time: at(5) };
+  const key = stampKey(legacy);
+  expect(key).toBe(`Z0@${at(5).getTime()}`);
+  const fixed = { ...legacy, reason: 'late' };
+  // the server copy is another Date object for the same moment
+  const server = [{ ...legacy, time: new Date(legacy.time) }];
+  expect(mergeStamps(server, [fixed], { touched: [key], removed: [] })).toEqual([fixed]);
+  expect(mergeStamps(server, [], { touched: [], removed: [key] })).toEqual([]);
+});
+
+test('keepUploads: a local edit keeps the photo URLs already on the server', () => {
+  const server = [{ ...synced[1], photos: [photo('f1', 'https://x/f1'), photo('f2')] }];
+  const local = [{ ...synced[1], zuptName: 'Z1b', photos: [photo('f1'), photo('f2')] }];
+  const [out] = mergeStamps(server, local, { touched: ['b'], removed: [] });
+  expect(out.zuptName).toBe('Z1b');
+  expect(out.photos).toEqual([photo('f1', 'https://x/f1'), photo('f2')]);
+});
+
+test('mergeEdits unions audit logs from several devices in time order', () => {
+  const e = (ms, uid, op) => ({ at: ms, by: { uid }, op });
+  const mine = [e(1, 'u1', 'edit'), e(3, 'u1', 'delete')];
+  const theirs = [e(2, 'u2', 'insert'), e(1, 'u1', 'edit')];
+  expect(mergeEdits(theirs, mine, undefined)).toEqual([e(1, 'u1', 'edit'), e(2, 'u2', 'insert'), e(3, 'u1', 'delete')]);
+});
+
+test('thumbnails stay on the device: stripped for Firestore, kept through a server merge', () => {
+  const local = [{ ...synced[1], photos: [{ ...photo('f1'), thumb: 'data:image/jpeg;base64,AAAA' }] }];
+  const written = withoutThumbs(local);
+  expect(written[0].photos).toEqual([photo('f1')]);
+  expect(local[0].photos[0].thumb).toBeDefined();
+
+  // the snapshot back from the server has no thumb; nothing pending, yet the list stays as it was
+  const [out] = mergeStamps(written, local, NO_PENDING);
+  expect(out).toEqual(local[0]);
+  expect(diffStamps(local, [out])).toEqual({ touched: [], removed: [] });
+  // once uploaded, the Storage thumbnail arrives alongside
+  const [done] = mergeStamps([{ ...written[0], photos: [photo('f1', 'https://x/f1')] }], local, NO_PENDING);
+  expect(done.photos[0]).toMatchObject({ url: 'https://x/f1', thumb: 'data:image/jpeg;base64,AAAA' });
+});
@@ -0,0 +1,113 @@
+// src/services/clockSkew.js
+// Device clock offset against the server — measurement, per-device history and stamp correction.
+//
+// A sample is { at, offsetMs, rttMs }: `at` is the device time of the reading and
+// offsetMs = server − device, so a corrected time is device time + offsetMs.
+
+import { httpsCallable } from "firebase/functions";
+
+import { functions } from "../firebase";
+
+/* ───────── constants ───────── */
+export const CLOCK_SAMPLES_KEY = "clockOffsets_v1";
+export const DEVICE_ID_KEY = "deviceId_v1";
+
+/** Re-measure this often while online. */
+export const CLOCK_CHECK_MS = 10 * 60 * 1000;
+/** Offsets beyond this are flagged in the header. */
+export const SKEW_WARN_MS = 1000;
+
+const MAX_SAMPLES = 500;
+const ROUNDS = 3;
+
+/* ───────── device identity ───────── */
+/** Stable per-browser id, so offset history is only applied to sessions recorded on this device. */
+export const deviceId = () => {
+  try {
+    let id = localStorage.getItem(DEVICE_ID_KEY);
+    if (!id) {
+      id = crypto.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem(DEVICE_ID_KEY, id);
+    }
+    return id;
+  } catch { return ""; }
+};
+
+/* ───────── history ───────── */
+export const loadClockSamples = () => {
+  try { return JSON.parse(localStorage.getItem(CLOCK_SAMPLES_KEY) || "[]"); } catch { return []; }
+};
+export const saveClockSamples = (list) => {
+  try { localStorage.setItem(CLOCK_SAMPLES_KEY, JSON.stringify(list.slice(-MAX_SAMPLES))); } catch {}
+};
+export const appendClockSample = (sample) => {
+  const list = loadClockSamples();
+  list.push(sample);
+  saveClockSamples(list);
+};
+
+/** Union of sample lists, de-duplicated by `at`, in time order. */
+export const mergeSamples = (...lists) => {
+  const byAt = new Map();
+  lists.flat().forEach(s => { if (s && Number.isFinite(s.at)) byAt.set(s.at, s); });
+  return [...byAt.values()].sort((a, b) => a.at - b.at);
+};
+
+/**
+ * Samples relevant to a session: everything inside [startMs, endMs] plus the
+ * closest reading on either side, so offline stretches can be interpolated.
+ */
+export const samplesFor = (samples, startMs, endMs = Date.now()) => {
+  const sorted = mergeSamples(samples);
+  const before = sorted.filter(s => s.at < startMs).at(-1);
+  const after = sorted.find(s => s.at > endMs);
+  const inside = sorted.filter(s => s.at >= startMs && s.at <= endMs);
+  return [before, ...inside, after].filter(Boolean);
+};
+
+/* ───────── correction ───────── */
+/**
+ * Offset (ms) to apply at device time `ms`: linear between the surrounding
+ * samples, else the nearest one. Returns null when there are no samples.
+ */
+export const offsetAt = (samples, ms) => {
+  const sorted = mergeSamples(samples);
+  if (!sorted.length) return null;
+  const after = sorted.findIndex(s => s.at > ms);
+  if (after === 0) return sorted[0].offsetMs;
+  if (after === -1) return sorted.at(-1).offsetMs;
+  const a = sorted[after - 1], b = sorted[after];
+  return a.offsetMs + ((b.offsetMs - a.offsetMs) * (ms - a.at)) / (b.at - a.at);
+};
+
+/** Device time → server-corrected Date. */
+export const correctTime = (date, samples) => {
+  const ms = date.getTime();
+  const off = offsetAt(samples, ms);
+  return off === null ? date : new Date(ms + off);
+};
+
+export const fmtOffset = (ms) =>
+  ms === null || ms === undefined ? "" : `${ms >= 0 ? "+" : "−"}${(Math.abs(ms) / 1000).toFixed(2)} s`;
+
+/* ───────── measurement ───────── */
+const callServerTime = httpsCallable(functions, "serverTime");
+
+/**
+ * NTP-style reading against the `serverTime` callable: a few round trips,
+ * keeping the one with the shortest RTT (least queueing error).
+ */
+export const measureClockOffset = async () => {
+  let best = null;
+  for (let i = 0; i < ROUNDS; i++) {
+    const t0 = Date.now();
+    const res = await callServerTime();
+    const t1 = Date.now();
+    const server = res?.data?.now;
+    if (!Number.isFinite(server)) continue;
+    const mid = (t0 + t1) / 2;
+    const sample = { at: Math.round(mid), offsetMs: Math.round(server - mid), rttMs: t1 - t0 };
+    if (!best || sample.rttMs < best.rttMs) best = sample;
+  }
+  return best;
+};
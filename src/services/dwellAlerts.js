@@ -0,0 +1,56 @@
+// src/services/dwellAlerts.js
+// Dwell-end alerts that still reach the operator when the app is in the background.
+//
+// The page beeps at the end of a ZUPT wait, but a suspended page never gets there.
+// So every running dwell is also handed to the service worker (public/sw.js), which
+// raises a system notification with vibration at the deadline if no window of the
+// app is visible. Tapping the notification brings the runner back. Alerts are keyed
+// by the dwell (ZUPT name + start time) and rescheduled whenever the deadline moves.
+//
+// This is best effort. Browsers stop an idle service worker — timers included —
+// after anything from seconds to a few minutes, so a long dwell in the background
+// can pass without an alert. The runner's screen wake lock (hooks/useWakeLock.js)
+// is what keeps the page, and its beep, alive; a dwell whose end was missed anyway
+// is recorded at its deadline with how late it was noticed (DWELL_MISSED_MS).
+
+/* ───────── helpers ───────── */
+export const alertsSupported = () =>
+  typeof window !== "undefined" && "serviceWorker" in navigator && "Notification" in window;
+
+/** Ask for notification permission once — call from a user gesture (e.g. starting a session). */
+export const askAlertPermission = async () => {
+  if (!alertsSupported() || Notification.permission !== "default") return;
+  try { await Notification.requestPermission(); } catch {}
+};
+
+const post = async (msg) => {
+  if (!alertsSupported()) return;
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    reg.active?.postMessage(msg);
+  } catch {}
+};
+
+/** Stable id for a dwell. */
+export const dwellAlertId = (dwell) => `${dwell.zuptName}@${dwell.startMs}`;
+
+/* ───────── scheduling ───────── */
+/** Alert at the dwell's deadline; replaces any alert already set for it. */
+export const scheduleDwellAlert = (dwell) => {
+  if (!alertsSupported() || Notification.permission !== "granted") return;
+  void post({
+    type: "DWELL_SCHEDULE",
+    alert: {
+      id: dwellAlertId(dwell),
+      at: dwell.deadlineMs,
+      title: `${dwell.zuptName} — dwell complete`,
+      body: "ZUPT wait is over. Tap to return to the runner.",
+      url: "/runner",
+    },
+  });
+};
+
+/** Cancel the alert for one dwell, or every dwell alert when called without one. */
+export const cancelDwellAlert = (dwell) => {
+  void post({ type: "DWELL_CANCEL", id: dwell ? dwellAlertId(dwell) : null });
+};
@@ -0,0 +1,167 @@
+// src/services/eventTypes.js
+// Catalogue of structured field events (obstruction, GNSS outage, vehicle stop, …)
+// that replace free-text MANUAL stamps.
+//
+// A type is { id, label, color, fields: [{ key, label, type, options? }], hidden? }
+// where field type is "text" | "number" | "select". The catalogue is stored per
+// user on users/{uid}.eventTypes and cached locally for offline use.
+//
+// An event stamp carries a snapshot of its type so exports read the same even
+// after the catalogue changes:
+//   { kind: "event", zuptName: <label>, event: { type, label, color, details: [{ label, value }] } }
+// Stamps recorded before the catalogue ("MANUAL: <text>") are migrated to Custom
+// events (see services/stampSchema.js).
+
+import { doc, getDoc, updateDoc } from "firebase/firestore";
+
+import { db } from "../firebase";
+
+/* ───────── constants ───────── */
+export const EVENT_TYPES_KEY = "eventTypes_v1";
+export const CUSTOM_EVENT = "custom";
+export const FIELD_TYPES = ["text", "number", "select"];
+
+const note = { key: "note", label: "Note", type: "text" };
+
+export const BUILTIN_EVENT_TYPES = [
+  {
+    id: "obstruction", label: "Obstruction", color: "#f59e0b",
+    fields: [
+      { key: "what", label: "What", type: "select", options: ["Overpass", "Trees", "Building", "Vehicle", "Other"] },
+      { key: "side", label: "Side", type: "select", options: ["Left", "Right", "Ahead", "Overhead"] },
+      note,
+    ],
+  },
+  {
+    id: "gnss_outage", label: "GNSS outage", color: "#ef4444",
+    fields: [
+      { key: "cause", label: "Cause", type: "select", options: ["Tunnel", "Urban canyon", "Canopy", "Receiver", "Unknown"] },
+      { key: "sats", label: "Satellites", type: "number" },
+      note,
+    ],
+  },
+  {
+    id: "vehicle_stop", label: "Vehicle stop", color: "#3b82f6",
+    fields: [
+      { key: "reason", label: "Reason", type: "select", options: ["Traffic light", "Traffic", "Crew", "Safety", "Other"] },
+      note,
+    ],
+  },
+  {
+    id: "equipment_reset", label: "Equipment reset", color: "#8b5cf6",
+    fields: [
+      { key: "device", label: "Device", type: "select", options: ["IMU", "GNSS receiver", "Logger", "Laptop", "Other"] },
+      note,
+    ],
+  },
+  { id: CUSTOM_EVENT, label: "Custom", color: "#64748b", fields: [note] },
+];
+
+/* ───────── catalogue ───────── */
+const isBuiltin = (id) => BUILTIN_EVENT_TYPES.some(t => t.id === id);
+
+/** Built-ins first (with any stored overrides), then the user's own types. */
+const normalise = (stored) => {
+  const list = Array.isArray(stored) ? stored : [];
+  const byId = new Map(list.map(t => [t.id, t]));
+  return [
+    ...BUILTIN_EVENT_TYPES.map(t => ({ ...t, ...byId.get(t.id), id: t.id })),
+    ...list.filter(t => t?.id && !isBuiltin(t.id)).map(t => ({ ...t, fields: t.fields || [] })),
+  ];
+};
+
+export const DEFAULT_EVENT_TYPES = normalise([]);
+
+export const newEventType = () => ({
+  id: `ev_${Date.now().toString(36)}`, label: "New event", color: "#0ea5e9", fields: [{ ...note }],
+});
+
+export const newEventField = () => ({ key: `f_${Date.now().toString(36)}`, label: "Field", type: "text" });
+
+export const canDeleteType = (id) => !isBuiltin(id);
+
+/** Types offered in the runner picker. */
+export const visibleTypes = (types) => types.filter(t => !t.hidden);
+
+export const loadEventTypes = (uid) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(EVENT_TYPES_KEY) || "{}");
+    return normalise(all[uid]);
+  } catch { return DEFAULT_EVENT_TYPES; }
+};
+
+const cacheEventTypes = (uid, types) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(EVENT_TYPES_KEY) || "{}");
+    all[uid] = types;
+    localStorage.setItem(EVENT_TYPES_KEY, JSON.stringify(all));
+  } catch {}
+};
+
+/** Remote catalogue if there is one, else the cached copy. */
+export const fetchEventTypes = async (uid) => {
+  try {
+    const snap = await getDoc(doc(db, "users", uid));
+    const remote = snap.exists() ? snap.data().eventTypes : null;
+    if (remote) {
+      const t = normalise(remote);
+      cacheEventTypes(uid, t);
+      return t;
+    }
+  } catch {}
+  return loadEventTypes(uid);
+};
+
+/** Save locally first, then to the user's profile doc. */
+export const saveEventTypes = async (uid, types) => {
+  const t = normalise(types);
+  cacheEventTypes(uid, t);
+  await updateDoc(doc(db, "users", uid), { eventTypes: t });
+  return t;
+};
+
+/* ───────── stamps ───────── */
+/** Stamp fields for an event of `type` with the picker's `values` ({ [fieldKey]: value }). */
+export const eventStamp = (type, values = {}) => ({
+  kind: "event",
+  event: {
+    type: type.id,
+    label: type.label,
+    color: type.color,
+    details: type.fields
+      .filter(f => values[f.key] !== undefined && String(values[f.key]).trim() !== "")
+      .map(f => ({ label: f.label, value: f.type === "number" ? Number(values[f.key]) : String(values[f.key]).trim() })),
+  },
+});
+
+/** A free-text note from before the catalogue, as a Custom event. */
+export const legacyNoteEvent = (text) => {
+  const custom = BUILTIN_EVENT_TYPES.find(t => t.id === CUSTOM_EVENT);
+  return { type: CUSTOM_EVENT, label: custom.label, color: custom.color, details: text ? [{ label: "Note", value: text }] : [] };
+};
+
+/** The event on an event stamp; null for anything else. */
+export const eventOf = (stamp) => (stamp?.kind === "event" && stamp.event) || null;
+
+/** "Cause: Tunnel · Note: east portal" */
+export const eventSummary = (ev) =>
+  (ev?.details || []).map(d => (d.label === "Note" ? d.value : `${d.label}: ${d.value}`)).join(" · ");
+
+/** Event types that occur in `stamps`, in first-seen order: [{ type, label, color, count }]. */
+export const eventTypesIn = (stamps = []) => {
+  const seen = new Map();
+  stamps.forEach(s => {
+    const ev = eventOf(s);
+    if (!ev) return;
+    const cur = seen.get(ev.type) || { type: ev.type, label: ev.label, color: ev.color, count: 0 };
+    seen.set(ev.type, { ...cur, count: cur.count + 1 });
+  });
+  return [...seen.values()];
+};
+
+/** Whether `stamp` passes an event filter (null = every type). Non-event stamps always pass. */
+export const passesEventFilter = (stamp, filter) => {
+  if (!filter) return true;
+  const ev = eventOf(stamp);
+  return !ev || filter.includes(ev.type);
+};
@@ -0,0 +1,94 @@
+// src/services/geoHelpers.js
+// Device-position helpers — Geolocation fixes, distances and stamp-vs-plan offsets.
+
+/* ───────── constants ───────── */
+/** Horizontal offset (m) beyond which a stamp is flagged as far from its planned ZUPT. */
+export const OFFSET_FLAG_M = 15;
+
+/** Geofence radius (m) used for ZUPTs whose plan does not set one. */
+export const GEOFENCE_RADIUS_M = 25;
+
+/** Below this speed (m/s) — or within this drift (m) when speed is unknown — the vehicle counts as stopped. */
+export const STATIONARY_SPEED_MS = 0.5;
+export const STATIONARY_DRIFT_M = 3;
+/** How long the vehicle must stay stopped inside a geofence before an auto stamp fires. */
+export const STATIONARY_HOLD_MS = 3000;
+
+export const WATCH_OPTIONS = { enableHighAccuracy: true, maximumAge: 0, timeout: 15000 };
+
+const EARTH_R = 6_371_008.8;
+const rad = d => (d * Math.PI) / 180;
+const num = v => (v === "" || v === null || v === undefined || !Number.isFinite(+v) ? null : +v);
+
+/* ───────── fixes ───────── */
+/** Normalise a GeolocationPosition into a plain, Firestore-safe object (no undefined). */
+export const toFix = (pos) => ({
+  lat: pos.coords.latitude,
+  lon: pos.coords.longitude,
+  alt: num(pos.coords.altitude),
+  hAcc: num(pos.coords.accuracy),
+  vAcc: num(pos.coords.altitudeAccuracy),
+  speed: num(pos.coords.speed),
+  at: pos.timestamp || Date.now(),
+});
+
+/** Snapshot of a fix as stored on a stamp: position, accuracy and age at stamp time. */
+export const stampFix = (fix, now = Date.now()) => {
+  if (!fix) return null;
+  return {
+    lat: fix.lat,
+    lon: fix.lon,
+    alt: fix.alt,
+    hAcc: fix.hAcc,
+    ageMs: Math.max(0, now - fix.at),
+  };
+};
+
+/* ───────── geometry ───────── */
+/** Great-circle distance in metres (haversine). */
+export const distanceM = (lat1, lon1, lat2, lon2) => {
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_R * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Offset of a stamp's fix from the planned ZUPT.
+ * dH — horizontal distance (m); dV — fix altitude minus planned height (m), null when unknown.
+ * Returns null when either side has no usable coordinates.
+ */
+export const fixOffset = (fix, zupt) => {
+  const zLat = num(zupt?.lat), zLon = num(zupt?.lon);
+  if (!fix || zLat === null || zLon === null) return null;
+  const zH = num(zupt.height);
+  const dH = distanceM(fix.lat, fix.lon, zLat, zLon);
+  const dV = fix.alt !== null && fix.alt !== undefined && zH !== null ? fix.alt - zH : null;
+  return { dH, dV, far: dH > OFFSET_FLAG_M };
+};
+
+/* ───────── geofence ───────── */
+export const zuptRadius = z => {
+  const r = num(z?.radius);
+  return r !== null && r > 0 ? r : GEOFENCE_RADIUS_M;
+};
+
+/**
+ * Closest uncaptured ZUPT whose geofence contains the fix.
+ * Returns { zupt, distance } or null.
+ */
+export const nearestZupt = (fix, zupts = [], captured = new Set()) => {
+  if (!fix) return null;
+  let best = null;
+  for (const z of zupts) {
+    if (captured.has(z.name)) continue;
+    const zLat = num(z.lat), zLon = num(z.lon);
+    if (zLat === null || zLon === null) continue;
+    const d = distanceM(fix.lat, fix.lon, zLat, zLon);
+    if (d <= zuptRadius(z) && (!best || d < best.distance)) best = { zupt: z, distance: d };
+  }
+  return best;
+};
+
+export const fmtMetres = v => (v === null || v === undefined ? "" : v.toFixed(1));
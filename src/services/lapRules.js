@@ -0,0 +1,94 @@
+// src/services/lapRules.js
+// Lap targets from the plan — how many laps a survey needs and which ZUPTs each lap
+// must include.
+//
+// A plan may carry loops: { target, enforce, zupts? }. `target` is the number of
+// laps, `enforce` says what finishing short does ("warn" | "block"), and `zupts`
+// optionally maps a lap number to the ids of the ZUPTs that lap must include
+// ({ "2": [id, …] }). Laps without an entry need every plan ZUPT.
+
+/* ───────── constants ───────── */
+export const LAP_ENFORCE = [
+  { id: "warn",  label: "Warn before finishing" },
+  { id: "block", label: "Block finishing" },
+];
+
+/* ───────── rules ───────── */
+/** The plan's lap rules, or null when it sets no target. */
+export const lapRulesOf = (plan) => {
+  const l = plan?.loops;
+  if (!l || !(l.target > 0)) return null;
+  return { target: Math.floor(l.target), enforce: l.enforce === "block" ? "block" : "warn", zupts: l.zupts || {} };
+};
+
+/** ZUPTs lap `n` must include, in plan order. */
+export const lapZupts = (plan, n) => {
+  const all = plan?.zupts || [];
+  const ids = lapRulesOf(plan)?.zupts[n];
+  const subset = ids?.length ? all.filter(z => ids.includes(z.id)) : [];
+  return subset.length ? subset : all;
+};
+
+/** Rules cleaned for saving: subsets only for laps within the target and ZUPTs still on the plan. */
+export const cleanLapRules = (loops, zupts = []) => {
+  if (!loops || !(+loops.target > 0)) return null;
+  const target = Math.floor(+loops.target);
+  const ids = new Set(zupts.map(z => z.id));
+  const subsets = Object.fromEntries(
+    Object.entries(loops.zupts || {})
+      .filter(([n]) => +n >= 1 && +n <= target)
+      .map(([n, list]) => [n, list.filter(id => ids.has(id))])
+      .filter(([, list]) => list.length && list.length < ids.size)
+  );
+  return { target, enforce: loops.enforce === "block" ? "block" : "warn", zupts: subsets };
+};
+
+/** Lap rules with ZUPT ids swapped via `idMap` (old id → new id), for cloned or imported plans. */
+export const remapLapRules = (loops, idMap) => loops && {
+  ...loops,
+  zupts: Object.fromEntries(
+    Object.entries(loops.zupts || {}).map(([n, list]) => [n, list.map(id => idMap.get(id)).filter(Boolean)])
+  ),
+};
+
+/* ───────── coverage ───────── */
+/**
+ * Coverage per lap from typed stamps, for laps 1 … max(target, last lap recorded):
+ * [{ loop, required, captured, missing, skipped, started, stopped, complete }]
+ * where `missing` and `skipped` are ZUPT names.
+ */
+export const lapCoverage = (plan, stamps = []) => {
+  const started = new Set(stamps.filter(s => s.kind === "loop-start").map(s => s.loop));
+  const stopped = new Set(stamps.filter(s => s.kind === "loop-stop").map(s => s.loop));
+  const laps = Math.max(lapRulesOf(plan)?.target || 0, ...started);
+
+  return Array.from({ length: laps }, (_, i) => {
+    const loop = i + 1;
+    const required = lapZupts(plan, loop);
+    const inLap = stamps.filter(s => s.loop === loop);
+    const got = new Set(inLap.filter(s => s.kind === "zupt" && s.dwell?.status !== "aborted").map(s => s.zuptName));
+    const skips = new Set(inLap.filter(s => s.kind === "skip").map(s => s.zuptName));
+    const missing = required.filter(z => !got.has(z.name)).map(z => z.name);
+    return {
+      loop,
+      required: required.length,
+      captured: required.length - missing.length,
+      missing,
+      skipped: missing.filter(n => skips.has(n)),
+      started: started.has(loop),
+      stopped: stopped.has(loop),
+      complete: started.has(loop) && !missing.length,
+    };
+  });
+};
+
+/** What finishing now would leave short of the plan's targets; [] when nothing. */
+export const finishShortfalls = (plan, coverage) => {
+  const rules = lapRulesOf(plan);
+  if (!rules) return [];
+  const done = coverage.filter(c => c.complete).length;
+  return [
+    ...(done < rules.target ? [`${done} of ${rules.target} laps complete`] : []),
+    ...coverage.filter(c => c.started && !c.complete).map(c => `L${c.loop} is missing ${c.missing.join(", ")}`),
+  ];
+};
@@ -0,0 +1,76 @@
+// src/services/lapStats.js
+// Lap timing figures from typed stamps — lap durations, current lap against the
+// average, gaps between ZUPTs and an estimated lap finish. Shown live in the runner
+// and stored with the post-session summary.
+
+import { toMillis } from "./runnerHelpers";
+
+/* ───────── helpers ───────── */
+const mean = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+
+/** "4m 05s", "1h 02m", "-0m 12s"; empty for null. */
+export const fmtDuration = (ms) => {
+  if (ms === null || ms === undefined) return "";
+  const sign = ms < 0 ? "-" : "";
+  const s = Math.round(Math.abs(ms) / 1000);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return h
+    ? `${sign}${h}h ${String(m).padStart(2, "0")}m`
+    : `${sign}${m}m ${String(s % 60).padStart(2, "0")}s`;
+};
+
+/* ───────── stats ───────── */
+/**
+ * Timing figures for a session so far (stamps in time order):
+ *   laps        [{ loop, ms }] for completed laps
+ *   currentLoop lap running now (0 = none) and currentMs its time so far
+ *   avgLapMs    average completed lap; vsAvgMs current lap minus that average
+ *   sinceZuptMs time since the last ZUPT capture
+ *   avgGapMs    average time between consecutive ZUPT captures within a lap
+ *   etaMs       estimated finish of the current lap (epoch ms), or null
+ * The estimate adds the planned waits of `remaining` ZUPTs, the average travel between
+ * ZUPTs seen so far for each of them, and whatever is left of a running dwell.
+ */
+export const lapStats = (stamps = [], { remaining = [], dwellLeftMs = 0, now = Date.now() } = {}) => {
+  const laps = [];
+  const gaps = [];
+  const travel = [];
+  let open = null;
+  let prev = null;
+  let lastZupt = null;
+
+  stamps.forEach((s) => {
+    const t = toMillis(s.time);
+    if (s.kind === "loop-start") { open = { loop: s.loop, t }; prev = null; return; }
+    if (s.kind === "loop-stop") {
+      if (open && open.loop === s.loop) laps.push({ loop: s.loop, ms: t - open.t });
+      open = null; prev = null;
+      return;
+    }
+    if (s.kind !== "zupt") return;
+    lastZupt = t;
+    if (!open) return;
+    if (prev) {
+      gaps.push(t - prev.t);
+      travel.push(Math.max(0, t - prev.t - (prev.duration || 0) * 1000));
+    }
+    prev = { t, duration: s.duration };
+  });
+
+  const avgLapMs = mean(laps.map(l => l.ms));
+  const currentMs = open ? now - open.t : null;
+  const travelMs = mean(travel) || 0;
+  const leftMs = remaining.reduce((sum, z) => sum + (+z.wait || 0) * 1000 + travelMs, 0) + dwellLeftMs;
+
+  return {
+    laps,
+    currentLoop: open?.loop || 0,
+    currentMs,
+    avgLapMs,
+    vsAvgMs: currentMs !== null && avgLapMs !== null ? currentMs - avgLapMs : null,
+    sinceZuptMs: lastZupt !== null ? now - lastZupt : null,
+    avgGapMs: mean(gaps),
+    etaMs: open ? now + leftMs : null,
+  };
+};
@@ -0,0 +1,227 @@
+// src/services/liveSession.js
+// Multi-operator sessions — crew roles, stamp identity and conflict-free stamp sync.
+//
+// Several signed-in devices can work one session doc. Instead of overwriting
+// `timestamps`, each device sends what it changed since its last sync
+// ({ touched, removed } stamp keys) and the change is merged into the server
+// copy inside a transaction, so concurrent stamps never replace each other.
+// Members live on the doc as members: { [uid]: { name, role, joinedAt } }
+// plus memberUids (for queries and rules); `shared` is set once the crew is opened.
+
+import {
+  doc, getDoc, updateDoc, onSnapshot, runTransaction, arrayUnion, deleteField,
+} from "firebase/firestore";
+
+import { db } from "../firebase";
+import { toMillis, toTimestamp, toDateSafe, loadOutbox } from "./runnerHelpers";
+import { migrateStamps, STAMP_SCHEMA } from "./stampSchema";
+import { withoutThumbs } from "./photoAttachments";
+
+/* ───────── roles ───────── */
+export const CREW_ROLES = [
+  { id: "lead",  label: "Lead",         can: ["laps", "zupts", "notes", "edit", "finish"] },
+  { id: "laps",  label: "Lap control",  can: ["laps", "notes"] },
+  { id: "zupts", label: "ZUPT capture", can: ["zupts", "notes"] },
+];
+
+/** Roles a crew member can pick when joining; only the owner (or a lead) makes someone lead. */
+export const JOIN_ROLES = CREW_ROLES.filter(r => r.id !== "lead");
+
+export const roleLabel = (id) => CREW_ROLES.find(r => r.id === id)?.label || id;
+
+/** Whether `role` may perform `action` (laps | zupts | notes | edit | finish). */
+export const roleCan = (role, action) =>
+  !!CREW_ROLES.find(r => r.id === role)?.can.includes(action);
+
+/** The user's role on a session doc: the owner leads unless the crew list says otherwise. */
+export const roleOf = (session, uid) =>
+  session?.members?.[uid]?.role || (session?.uid === uid ? "lead" : null);
+
+/* ───────── stamp identity ───────── */
+export const newStampId = () =>
+  window.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/** Stable key for a stamp; stamps recorded before ids existed fall back to name + time. */
+export const stampKey = (s) => s.id || `${s.zuptName}@${toMillis(s.time)}`;
+
+const sameStamp = (a, b) =>
+  JSON.stringify({ ...a, time: toMillis(a.time) }) === JSON.stringify({ ...b, time: toMillis(b.time) });
+
+/** What changed from `prev` to `next`: { touched, removed } stamp keys. */
+export const diffStamps = (prev, next) => {
+  const before = new Map(prev.map(s => [stampKey(s), s]));
+  const after = new Set(next.map(stampKey));
+  return {
+    touched: next.filter(s => !before.has(stampKey(s)) || !sameStamp(before.get(stampKey(s)), s)).map(stampKey),
+    removed: [...before.keys()].filter(k => !after.has(k)),
+  };
+};
+
+/** Fold a newer diff into pending, unsynced changes. */
+export const addPending = (pending, d) => ({
+  touched: [...new Set([...pending.touched, ...d.touched])].filter(k => !d.removed.includes(k)),
+  removed: [...new Set([...pending.removed, ...d.removed])].filter(k => !d.touched.includes(k)),
+});
+
+/** Drop the keys in `sent` from pending once they are on the server. */
+export const clearPending = (pending, sent) => ({
+  touched: pending.touched.filter(k => !sent.touched.includes(k)),
+  removed: pending.removed.filter(k => !sent.removed.includes(k)),
+});
+
+export const NO_PENDING = { touched: [], removed: [] };
+
+/** Local stamp, keeping any photo uploads the server already knows about. */
+const keepUploads = (mine, theirs) =>
+  mine.photos?.length && theirs.photos?.some(p => p.url)
+    ? { ...mine, photos: mine.photos.map(p => p.url ? p : { ...p, ...theirs.photos.find(q => q.id === p.id && q.url) }) }
+    : mine;
+
+/** Server stamp, keeping the on-device thumbnails Firestore never gets. */
+const keepThumbs = (theirs, mine) => {
+  if (!theirs.photos?.length || !mine?.photos?.some(p => p.thumb)) return theirs;
+  const thumbOf = (id) => mine.photos.find(q => q.id === id)?.thumb;
+  return { ...theirs, photos: theirs.photos.map(p => (p.thumb || !thumbOf(p.id) ? p : { ...p, thumb: thumbOf(p.id) })) };
+};
+
+/**
+ * Server list with this device's pending changes applied on top:
+ * removed keys are dropped, touched keys take the local version, and
+ * everything else (other operators' stamps) is kept as the server has it,
+ * plus the photo thumbnails only this device holds.
+ */
+export const mergeStamps = (server, local, pending = NO_PENDING) => {
+  const removed = new Set(pending.removed);
+  const touched = new Set(pending.touched);
+  const byKey = new Map(local.map(s => [stampKey(s), s]));
+  const mine = new Map([...byKey].filter(([k]) => touched.has(k)));
+  const out = server
+    .filter(s => !removed.has(stampKey(s)))
+    .map(s => {
+      const k = stampKey(s);
+      return mine.has(k) ? keepUploads(mine.get(k), s) : keepThumbs(s, byKey.get(k));
+    });
+  const have = new Set(out.map(stampKey));
+  mine.forEach((s, k) => { if (!have.has(k)) out.push(s); });
+  return out.sort((a, b) => toMillis(a.time) - toMillis(b.time));
+};
+
+/** Changes this device queued for a session and has not synced yet; they survive a reload in the outbox. */
+export const queuedPending = (sessionId) =>
+  loadOutbox().find(o => o.sessionId === sessionId && o.type === "update")?.payload?.stampSync || NO_PENDING;
+
+/**
+ * The list to resume a session doc with: the doc's stamps with this device's
+ * unsynced ones (`local`, as saved on the device) merged on top, so a reload
+ * or a tab taking over while offline does not drop what is still queued.
+ */
+export const resumeStamps = (timestamps, local, pending) =>
+  mergeStamps(migrateStamps((timestamps || []).map(t => ({ ...t, time: toDateSafe(t.time) }))), local, pending);
+
+/** Union of audit logs from several devices, in time order. */
+export const mergeEdits = (...lists) => {
+  const byKey = new Map();
+  lists.flat().forEach(e => { if (e) byKey.set(`${e.at}|${e.by?.uid}|${e.op}`, e); });
+  return [...byKey.values()].sort((a, b) => a.at - b.at);
+};
+
+/* ───────── sync ───────── */
+/**
+ * Merge this device's pending changes into the session doc in a transaction.
+ * `extra` is written alongside (stampEdits are unioned with the server log).
+ * Resolves to the merged list.
+ */
+export const commitStamps = (sessionId, local, pending, extra = {}) =>
+  runTransaction(db, async (tx) => {
+    const ref = doc(db, "sessions", sessionId);
+    const snap = await tx.get(ref);
+    const data = snap.data() || {};
+    const merged = mergeStamps(migrateStamps(data.timestamps || []), local, pending);
+    const { stampEdits, ...rest } = extra;
+    tx.update(ref, {
+      timestamps: withoutThumbs(merged).map(t => ({ ...t, time: toTimestamp(t.time) })),
+      stampSchema: STAMP_SCHEMA,
+      ...(stampEdits ? { stampEdits: mergeEdits(data.stampEdits || [], stampEdits) } : {}),
+      ...rest,
+    });
+    return merged;
+  });
+
+/** Live updates for a session doc. `cb(data)` gets server-confirmed state with stamp times as Dates. */
+export const watchSession = (sessionId, cb, onError) =>
+  onSnapshot(doc(db, "sessions", sessionId), (snap) => {
+    if (!snap.exists() || snap.metadata.hasPendingWrites) return;
+    const data = snap.data();
+    cb({ ...data, timestamps: migrateStamps((data.timestamps || []).map(t => ({ ...t, time: toDateSafe(t.time) }))) });
+  }, onError);
+
+/* ───────── crew ───────── */
+const memberOf = (user, role) => ({
+  name: user.displayName || user.email || "",
+  role,
+  joinedAt: Date.now(),
+});
+
+/**
+ * Add the user to a running session the owner has opened to a crew (see openSession).
+ * Non-members can't read the doc, so the join is written blind and the rules
+ * decide: they refuse it unless the session is shared and unfinished.
+ * Resolves to the session doc data (with id).
+ */
+export const joinSession = async (sessionId, user, role) => {
+  if (!JOIN_ROLES.some(r => r.id === role)) throw new Error("Pick Lap control or ZUPT capture.");
+  const ref = doc(db, "sessions", sessionId);
+  try {
+    await updateDoc(ref, {
+      [`members.${user.uid}`]: memberOf(user, role),
+      memberUids: arrayUnion(user.uid),
+    });
+  } catch (err) {
+    if (err?.code === "not-found") throw new Error("No session with that code.");
+    if (err?.code === "permission-denied") throw new Error("That session isn't open to a crew, or has already finished.");
+    throw err;
+  }
+  const snap = await getDoc(ref);
+  return { id: sessionId, ...snap.data() };
+};
+
+/** Owner opens the session to a crew, registering themselves as lead. */
+export const openSession = (sessionId, user) =>
+  updateDoc(doc(db, "sessions", sessionId), {
+    [`members.${user.uid}`]: memberOf(user, "lead"),
+    memberUids: arrayUnion(user.uid),
+    shared: true,
+  });
+
+export const setMemberRole = (sessionId, uid, role) =>
+  updateDoc(doc(db, "sessions", sessionId), { [`members.${uid}.role`]: role });
+
+export const leaveSession = (sessionId, uid) =>
+  updateDoc(doc(db, "sessions", sessionId), { [`members.${uid}`]: deleteField() });
+
+/* ───────── spectator link ───────── */
+// Read-only /live/:token view. The token lives on the session as
+// spectator: { token, enabled }; revoking turns it off, sharing again issues a new one.
+// Spectators never read the session: the syncLiveView function keeps a copy of
+// its display fields at liveViews/{token} while the view is on (see firestore.rules).
+
+export const spectatorUrl = (token) =>
+  `${window.location.origin}/live/${encodeURIComponent(token)}`;
+
+/** Live updates for a spectator view. `cb(view)` gets stamp times as Dates, or null once it is turned off. */
+export const watchLiveView = (token, cb, onError) =>
+  onSnapshot(doc(db, "liveViews", token), (snap) => {
+    if (!snap.exists()) { cb(null); return; }
+    const data = snap.data();
+    cb({ ...data, timestamps: migrateStamps((data.timestamps || []).map(t => ({ ...t, time: toDateSafe(t.time) }))) });
+  }, onError);
+
+/** Issue a fresh spectator token. Resolves to the token. */
+export const shareLiveView = async (sessionId) => {
+  const token = newStampId().replace(/-/g, "");
+  await updateDoc(doc(db, "sessions", sessionId), { spectator: { token, enabled: true } });
+  return token;
+};
+
+export const revokeLiveView = (sessionId) =>
+  updateDoc(doc(db, "sessions", sessionId), { "spectator.enabled": false });
@@ -0,0 +1,146 @@
+// src/services/photoAttachments.js
+// Photo evidence on stamps — on-device HEIC conversion and resizing, an offline
+// blob queue, and upload to Cloud Storage.
+//
+// A stamp carries photos: [{ id, thumb?, w, h, at, path?, url?, thumbUrl? }].
+// `thumb` is a small inline JPEG data URL that stays on the device, so the
+// thumbnail shows offline before the upload; it is never written to Firestore,
+// where a session doc is capped at 1 MiB. `path`/`url`/`thumbUrl` appear once
+// the image and its thumbnail are in Storage. Until then the resized image waits
+// in IndexedDB and an outbox "photo" op points at it.
+
+import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+import { doc, runTransaction } from "firebase/firestore";
+
+import { db, storage } from "../firebase";
+
+/* ───────── constants ───────── */
+export const MAX_PHOTO_PX = 1600;
+export const MAX_PHOTOS_PER_STAMP = 6;
+const THUMB_PX = 160;
+const PHOTO_QUALITY = 0.82;
+const THUMB_QUALITY = 0.6;
+
+const QUEUE_DB = "photoQueue_v1";
+const QUEUE_STORE = "blobs";
+
+export const newPhotoId = () =>
+  crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const isPendingPhoto = (p) => !p.url;
+
+/** Stamps as written to Firestore: photos without their on-device `thumb`. */
+export const withoutThumbs = (stamps) =>
+  stamps.map(s => (s.photos?.some(p => p.thumb)
+    ? { ...s, photos: s.photos.map(({ thumb, ...p }) => p) }
+    : s));
+
+/* ───────── conversion ───────── */
+const isHeic = (file) =>
+  /image\/hei[cf]/i.test(file.type) || /\.hei[cf]$/i.test(file.name || "");
+
+const loadImage = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+  img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Unreadable image")); };
+  img.src = url;
+});
+
+const scaled = (img, maxPx) => {
+  const k = Math.min(1, maxPx / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(img.naturalWidth * k);
+  canvas.height = Math.round(img.naturalHeight * k);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const toBlob = (canvas, quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error("Encoding failed"))), "image/jpeg", quality));
+
+/**
+ * Camera file → { blob, thumb, w, h }: HEIC/HEIF converted to JPEG (heic2any is
+ * loaded only when needed), long edge capped at MAX_PHOTO_PX.
+ */
+export const preparePhoto = async (file) => {
+  let source = file;
+  if (isHeic(file)) {
+    const { default: heic2any } = await import("heic2any");
+    const out = await heic2any({ blob: file, toType: "image/jpeg", quality: PHOTO_QUALITY });
+    source = Array.isArray(out) ? out[0] : out;
+  }
+  const img = await loadImage(source);
+  const full = scaled(img, MAX_PHOTO_PX);
+  const blob = await toBlob(full, PHOTO_QUALITY);
+  const thumb = scaled(img, THUMB_PX).toDataURL("image/jpeg", THUMB_QUALITY);
+  return { blob, thumb, w: full.width, h: full.height };
+};
+
+/** Thumbnail JPEG for an already resized photo, uploaded next to it. */
+const thumbBlob = async (blob) => toBlob(scaled(await loadImage(blob), THUMB_PX), THUMB_QUALITY);
+
+/* ───────── offline blob queue (IndexedDB) ───────── */
+const openQueue = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(QUEUE_DB, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(QUEUE_STORE);
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const withStore = async (mode, fn) => {
+  const dbh = await openQueue();
+  return new Promise((resolve, reject) => {
+    const tx = dbh.transaction(QUEUE_STORE, mode);
+    const req = fn(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => { dbh.close(); resolve(req?.result); };
+    tx.onerror = () => { dbh.close(); reject(tx.error); };
+  });
+};
+
+export const queuePhotoBlob = (photoId, blob) => withStore("readwrite", s => s.put(blob, photoId));
+export const loadPhotoBlob = (photoId) => withStore("readonly", s => s.get(photoId));
+export const dropPhotoBlob = (photoId) => withStore("readwrite", s => s.delete(photoId));
+
+/* ───────── upload ───────── */
+/** Upload a photo and its thumbnail. Resolves to { path, url, thumbUrl }. */
+export const uploadPhoto = async (uid, sessionId, photoId, blob) => {
+  const path = `photos/${uid}/${sessionId}/${photoId}.jpg`;
+  const r = ref(storage, path);
+  const t = ref(storage, `photos/${uid}/${sessionId}/${photoId}_thumb.jpg`);
+  await uploadBytes(r, blob, { contentType: "image/jpeg" });
+  await uploadBytes(t, await thumbBlob(blob), { contentType: "image/jpeg" });
+  return { path, url: await getDownloadURL(r), thumbUrl: await getDownloadURL(t) };
+};
+
+/** Apply `patch` to the photo with `photoId`, wherever it sits in the stamp list. */
+export const patchPhoto = (stamps, photoId, patch) =>
+  stamps.map(s =>
+    s.photos?.some(p => p.id === photoId)
+      ? { ...s, photos: s.photos.map(p => (p.id === photoId ? { ...p, ...patch } : p)) }
+      : s
+  );
+
+/**
+ * Record an uploaded photo's location on the session doc. Rejects if the photo
+ * isn't on the server copy yet (its stamp update is still queued).
+ */
+export const commitPhotoUpload = (sessionId, photoId, uploaded) =>
+  runTransaction(db, async (tx) => {
+    const docRef = doc(db, "sessions", sessionId);
+    const snap = await tx.get(docRef);
+    const list = snap.data()?.timestamps || [];
+    if (!list.some(s => s.photos?.some(p => p.id === photoId))) throw new Error("Photo not on session yet");
+    tx.update(docRef, { timestamps: withoutThumbs(patchPhoto(list, photoId, uploaded)) });
+  });
+
+/** Upload a queued photo and record it. Resolves to { path, url, thumbUrl }, or null if the blob is gone. */
+export const flushPhoto = async (uid, sessionId, photoId) => {
+  const blob = await loadPhotoBlob(photoId);
+  if (!blob) return null;
+  const uploaded = await uploadPhoto(uid, sessionId, photoId, blob);
+  await commitPhotoUpload(sessionId, photoId, uploaded);
+  await dropPhotoBlob(photoId);
+  return uploaded;
+};
@@ -3,17 +3,9 @@
 
 import { Timestamp } from "firebase/firestore";
 
-/* ───────── constants ───────── */
-export const TZ_LIST = ["UTC", "EST", "CST", "MST", "PDT", "GMT", "CET", "IST", "JST"];
-export const TZ_IANA = {
-  UTC: "UTC", EST: "America/New_York", CST: "America/Chicago", MST: "America/Denver",
-  PDT: "America/Los_Angeles", GMT: "Etc/GMT", CET: "Europe/Paris",
-  IST: "Asia/Kolkata", JST: "Asia/Tokyo"
-};
-
-export const clockStr = z =>
-  new Date().toLocaleTimeString("en-US", { timeZone: TZ_IANA[z], hour12: false });
+import { migrateStamps, needsMigration } from "./stampSchema";
 
+/* ───────── constants ───────── */
 export const chipTone = i =>
   ["default", "success", "info", "warning", "secondary", "primary", "error"][(i + 1) % 7];
 
@@ -22,6 +14,9 @@ export const PLANS_CACHE_KEY = "plansCache_v1";
 export const OUTBOX_KEY = "sessionOutbox_v1";
 export const INDEX_KEY = "sessionIndex_v1";
 export const STAMPS_KEY_PREFIX = "stamps_";
+export const STAMP_EDITS_KEY_PREFIX = "stampEdits_";
+export const PROXIMITY_MODE_KEY = "proximityMode_v1";
+export const RUNNER_SNAPSHOT_KEY = "runnerSnapshot_v1";
 
 /* ───────── localStorage helpers ───────── */
 export const loadOutbox = () => {
@@ -43,8 +38,12 @@ export const loadStamps = (sid) => {
   try {
     const raw = localStorage.getItem(stampsKey(sid));
     if (!raw) return [];
-    const arr = JSON.parse(raw);
-    return arr.map(t => ({ ...t, time: new Date(t.time) }));
+    const arr = JSON.parse(raw).map(t => ({ ...t, time: new Date(t.time) }));
+    if (!needsMigration(arr)) return arr;
+    // stamps saved before the typed schema are upgraded once, in place
+    const typed = migrateStamps(arr);
+    saveStamps(sid, typed);
+    return typed;
   } catch { return []; }
 };
 export const saveStamps = (sid, list) => {
@@ -56,6 +55,33 @@ export const saveStamps = (sid, list) => {
   } catch {}
 };
 
+/** Audit log of after-the-fact stamp corrections (see services/stampEdits.js). */
+export const loadStampEdits = (sid) => {
+  try { return JSON.parse(localStorage.getItem(`${STAMP_EDITS_KEY_PREFIX}${sid}`) || "[]"); } catch { return []; }
+};
+export const saveStampEdits = (sid, edits) => {
+  try { localStorage.setItem(`${STAMP_EDITS_KEY_PREFIX}${sid}`, JSON.stringify(edits)); } catch {}
+};
+
+/* ───────── runner snapshot ───────── */
+/**
+ * What only lives in the runner's memory, kept so a reload or crash comes back
+ * exactly as it was: { uid, sessionId, startedAt, reverse, active, dwell, savedAt }.
+ * The dwell carries its absolute deadline, so a countdown picks up where the clock is.
+ */
+export const loadRunnerSnapshot = (uid) => {
+  try {
+    const snap = JSON.parse(localStorage.getItem(RUNNER_SNAPSHOT_KEY) || "null");
+    return snap?.sessionId && snap.uid === uid ? snap : null;
+  } catch { return null; }
+};
+export const saveRunnerSnapshot = (snap) => {
+  try { localStorage.setItem(RUNNER_SNAPSHOT_KEY, JSON.stringify(snap)); } catch {}
+};
+export const clearRunnerSnapshot = () => {
+  try { localStorage.removeItem(RUNNER_SNAPSHOT_KEY); } catch {}
+};
+
 /* ───────── Outbox idempotency ───────── */
 const OP_TRACK_KEY = "outboxProcessed_v1";
 export const loadProcessed = () => {
@@ -84,15 +110,25 @@ export const pushCreateOnce = (sessionId, payload) => {
   }
 };
 
-/** Merge ops per session: keep first create, last update, last finish. */
+/** Queue the upload of one photo attachment; its blob waits in the photo queue. */
+export const pushPhotoOnce = (sessionId, photoId) => {
+  const ops = loadOutbox();
+  if (!ops.some(o => o.type === "photo" && o.payload?.photoId === photoId)) {
+    ops.push({ opId: genOpId(), type: "photo", sessionId, payload: { photoId } });
+    saveOutbox(ops);
+  }
+};
+
+/** Merge ops per session: keep first create, last update, last finish, every photo. */
 export const groupAndCoalesce = (ops) => {
   const bySession = new Map();
   for (const op of ops) {
     if (op.type === "touch") continue;
-    const g = bySession.get(op.sessionId) || { creates: [], updates: [], finishes: [] };
+    const g = bySession.get(op.sessionId) || { creates: [], updates: [], finishes: [], photos: [] };
     if (op.type === "create") g.creates.push(op);
     else if (op.type === "update") g.updates.push(op);
     else if (op.type === "finish") g.finishes.push(op);
+    else if (op.type === "photo") g.photos.push(op);
     bySession.set(op.sessionId, g);
   }
   const plan = [];
@@ -102,6 +138,7 @@ export const groupAndCoalesce = (ops) => {
       create: g.creates.length ? g.creates[0] : null,
       update: g.updates.length ? g.updates[g.updates.length - 1] : null,
       finish: g.finishes.length ? g.finishes[g.finishes.length - 1] : null,
+      photos: g.photos,
     });
   }
   return plan;
@@ -135,32 +172,78 @@ export const rehydrateTimestampsInPayload = (payload) => {
   return out;
 };
 
+/* ───────── dwell (ZUPT countdown) ───────── */
+/** A dwell end noticed this late (ms) means the page was suspended through it. */
+export const DWELL_MISSED_MS = 3000;
+
+/**
+ * Whole seconds left on a dwell, from its absolute deadline — stays correct
+ * after timers were throttled in the background. Frozen while paused.
+ */
+export const dwellRemain = (dwell, now = Date.now()) =>
+  Math.max(0, Math.ceil((dwell.deadlineMs - (dwell.pausedAt ?? now)) / 1000));
+
+/** Seconds from the start of a running dwell to `at`, rounded to 0.1 s. */
+export const dwellOffset = (dwell, at) => Math.round((at - dwell.startMs) / 100) / 10;
+
+/**
+ * Close a running dwell onto its stamp. `duration` becomes the real stationary
+ * window; `dwell` keeps the planned wait, extensions, pauses and how it ended
+ * ("complete" | "aborted" | "stopped"). Returns the list unchanged when idle.
+ */
+export const closeDwell = (stamps, dwell, status, reason = "", at = Date.now()) => {
+  if (!dwell) return stamps;
+  const pauses = dwell.pausedAt
+    ? [...dwell.pauses, { from: dwellOffset(dwell, dwell.pausedAt), to: dwellOffset(dwell, at) }]
+    : dwell.pauses;
+  return stamps.map(s =>
+    toMillis(s.time) === dwell.startMs && s.zuptName === dwell.zuptName
+      ? {
+          ...s,
+          duration: dwellOffset(dwell, at),
+          dwell: {
+            planned: dwell.planned, extended: dwell.extended, pauses, status,
+            ...(reason ? { reason } : {}),
+            ...(dwell.lateMs ? { late: Math.round(dwell.lateMs / 1000) } : {}),
+          },
+        }
+      : s
+  );
+};
+
+/** One-line description of a stamp's dwell interruptions, for tables and exports. */
+export const dwellNote = (dwell) => {
+  if (!dwell) return "";
+  const parts = [];
+  if (dwell.status === "aborted") parts.push(`aborted${dwell.reason ? `: ${dwell.reason}` : ""}`);
+  if (dwell.status === "stopped") parts.push("cut by lap stop");
+  if (dwell.extended) parts.push(`+${dwell.extended}s`);
+  (dwell.pauses || []).forEach(p => parts.push(`paused ${p.from}–${p.to}s`));
+  if (dwell.late) parts.push(`end alert ${dwell.late}s late (app suspended)`);
+  return parts.join("; ");
+};
+
 /* ───────── derive lap & captured ───────── */
+/** Current lap and what the latest lap has captured or skipped, from typed stamps (see stampSchema.js). */
 export function deriveLoopState(stamps) {
-  const starts = [];
-  const stops = new Set();
-  const rexStart = /^L(\d+)\s+Start$/;
-  const rexStop = /^L(\d+)\s+Stop$/;
-
-  for (const s of stamps) {
-    const mS = rexStart.exec(s.zuptName);
-    const mE = rexStop.exec(s.zuptName);
-    if (mS) starts.push(parseInt(mS[1], 10));
-    if (mE) stops.add(parseInt(mE[1], 10));
-  }
-  if (!starts.length) return { loopIdx: 1, loopOn: false, captured: new Set() };
+  const starts = stamps.filter(s => s.kind === "loop-start").map(s => s.loop);
+  const stops = new Set(stamps.filter(s => s.kind === "loop-stop").map(s => s.loop));
+  if (!starts.length) return { loopIdx: 1, loopOn: false, captured: new Set(), skipped: new Set() };
   const maxStart = Math.max(...starts);
   const loopOn = !stops.has(maxStart);
   const loopIdx = loopOn ? maxStart : maxStart + 1;
 
-  const lastStartIdx = [...stamps].map(s => s.zuptName).lastIndexOf(`L${loopOn ? loopIdx : loopIdx - 1} Start`);
   const captured = new Set();
-  for (let i = Math.max(0, lastStartIdx + 1); i < stamps.length; i++) {
-    const name = stamps[i].zuptName;
-    if (!rexStart.test(name) && !rexStop.test(name) && !name.startsWith("MANUAL:")) {
-      captured.add(name);
-    }
+  const skipped = new Set();
+  for (const s of stamps) {
+    if (s.loop !== maxStart) continue;
+    if (s.kind === "skip") skipped.add(s.zuptName);
+    else if (s.kind === "zupt" && s.dwell?.status !== "aborted") captured.add(s.zuptName);
   }
 
-  return { loopIdx, loopOn, captured };
+  return { loopIdx, loopOn, captured, skipped };
 }
+
+/** First ZUPT in running order (plan order, reversed when `reverse`) that is neither captured nor skipped. */
+export const nextUpZupt = (zupts = [], reverse = false, captured = new Set(), skipped = new Set()) =>
+  (reverse ? [...zupts].reverse() : zupts).find(z => !captured.has(z.name) && !skipped.has(z.name)) || null;
@@ -0,0 +1,152 @@
+// src/services/shortcutProfiles.js
+// Remappable runner shortcuts — named key-binding profiles (keyboard, foot pedal, clicker).
+//
+// A binding is a combo string such as "Space", "Ctrl+Z", "PageDown" or "MediaPlayPause",
+// built from the KeyboardEvent by comboFromEvent(). A profile is
+// { id, name, bindings: { [actionId]: [combo, ...] } }. Settings are stored per user
+// on users/{uid}.shortcuts ({ active, profiles }) and cached locally for offline use.
+
+import { doc, getDoc, updateDoc } from "firebase/firestore";
+
+import { db } from "../firebase";
+
+/* ───────── constants ───────── */
+export const SHORTCUTS_KEY = "shortcutProfiles_v1";
+
+/** Everything a binding can trigger in the runner, in editor order. */
+export const SHORTCUT_ACTIONS = [
+  { id: "toggleLap",      label: "Record / stop lap" },
+  { id: "stampNext",      label: "Stamp next-up ZUPT" },
+  { id: "quickPick",      label: "Find ZUPT by name" },
+  ...Array.from({ length: 9 }, (_, i) => ({ id: `zupt${i + 1}`, label: `Stamp ZUPT #${i + 1}` })),
+  { id: "undo",           label: "Undo last stamp" },
+  { id: "abortCountdown", label: "Abort countdown" },
+  { id: "manual",         label: "Log event" },
+  { id: "finish",         label: "Finish session" },
+];
+
+const numberKeys = Object.fromEntries(
+  Array.from({ length: 9 }, (_, i) => [`zupt${i + 1}`, [String(i + 1)]])
+);
+
+export const BUILTIN_PROFILES = [
+  {
+    id: "keyboard",
+    name: "Keyboard",
+    bindings: {
+      toggleLap: ["Space"], stampNext: ["N"], quickPick: ["/"], ...numberKeys,
+      undo: ["Ctrl+Z"], abortCountdown: ["Escape"], manual: ["M"], finish: ["F"],
+    },
+  },
+  {
+    // USB foot pedals and presenter clickers mostly send paging, F5 and media keys
+    id: "pedal",
+    name: "Pedal",
+    bindings: {
+      toggleLap: ["PageUp", "MediaPlayPause"], stampNext: ["PageDown", "MediaTrackNext"],
+      undo: ["MediaTrackPrevious"], abortCountdown: ["Escape"], manual: ["F5"], finish: [],
+    },
+  },
+];
+
+export const DEFAULT_SHORTCUTS = { active: "keyboard", profiles: BUILTIN_PROFILES };
+
+/* ───────── combos ───────── */
+const MODIFIER_KEYS = new Set(["Control", "Alt", "Shift", "Meta", "AltGraph", "CapsLock"]);
+
+/**
+ * Normalised combo for a keydown, or null for a bare modifier press.
+ * Letters are upper-cased and Shift is only recorded for named keys
+ * (for printable characters it is already part of e.key).
+ */
+export const comboFromEvent = (e) => {
+  if (!e.key || MODIFIER_KEYS.has(e.key)) return null;
+  let key = e.key === " " ? "Space" : e.key;
+  if (key.length === 1) key = key.toUpperCase();
+  const mods = [
+    e.ctrlKey && "Ctrl",
+    e.altKey && "Alt",
+    e.metaKey && "Meta",
+    e.shiftKey && key.length > 1 && "Shift",
+  ].filter(Boolean);
+  return [...mods, key].join("+");
+};
+
+/** Display form of a combo. */
+export const comboLabel = (combo) => combo.replace(/^Media/, "Media ").replace(/\+/g, " + ");
+
+/** Action bound to `combo` in `bindings`, or null. */
+export const actionFor = (bindings, combo) =>
+  Object.keys(bindings || {}).find(a => bindings[a]?.includes(combo)) || null;
+
+/** Combos bound to more than one action: [{ combo, actions: [actionId, ...] }]. */
+export const findConflicts = (bindings) => {
+  const byCombo = new Map();
+  Object.entries(bindings || {}).forEach(([action, combos]) =>
+    (combos || []).forEach(c => byCombo.set(c, [...(byCombo.get(c) || []), action]))
+  );
+  return [...byCombo].filter(([, a]) => a.length > 1).map(([combo, actions]) => ({ combo, actions }));
+};
+
+/* ───────── profiles ───────── */
+/**
+ * Fill gaps so older or hand-edited settings always carry the built-in profiles,
+ * defaults for actions added since they were saved, and a valid active id.
+ */
+const normalise = (s) => {
+  const profiles = (Array.isArray(s?.profiles) && s.profiles.length ? s.profiles : BUILTIN_PROFILES)
+    .map(p => {
+      const builtin = BUILTIN_PROFILES.find(b => b.id === p.id);
+      return builtin ? { ...p, bindings: { ...builtin.bindings, ...p.bindings } } : p;
+    });
+  const withBuiltins = [
+    ...BUILTIN_PROFILES.filter(b => !profiles.some(p => p.id === b.id)),
+    ...profiles,
+  ];
+  const active = withBuiltins.some(p => p.id === s?.active) ? s.active : DEFAULT_SHORTCUTS.active;
+  return { active, profiles: withBuiltins };
+};
+
+/** Bindings of the active profile. */
+export const activeBindings = (settings) => {
+  const s = normalise(settings);
+  return s.profiles.find(p => p.id === s.active).bindings;
+};
+
+/* ───────── storage ───────── */
+export const loadShortcuts = (uid) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || "{}");
+    return normalise(all[uid]);
+  } catch { return DEFAULT_SHORTCUTS; }
+};
+
+const cacheShortcuts = (uid, settings) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || "{}");
+    all[uid] = settings;
+    localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(all));
+  } catch {}
+};
+
+/** Pull the user's settings from their profile doc into the local cache. Falls back to the cache offline. */
+export const fetchShortcuts = async (uid) => {
+  try {
+    const snap = await getDoc(doc(db, "users", uid));
+    const remote = snap.exists() ? snap.data().shortcuts : null;
+    if (remote) {
+      const s = normalise(remote);
+      cacheShortcuts(uid, s);
+      return s;
+    }
+  } catch {}
+  return loadShortcuts(uid);
+};
+
+/** Save locally first, then to the user's profile doc. */
+export const saveShortcuts = async (uid, settings) => {
+  const s = normalise(settings);
+  cacheShortcuts(uid, s);
+  await updateDoc(doc(db, "users", uid), { shortcuts: s });
+  return s;
+};
@@ -0,0 +1,102 @@
+// src/services/stampEdits.js
+// After-the-fact stamp corrections — insert, retime/re-assign and delete — with an audit log.
+//
+// The log lives on the session as `stampEdits`: one entry per change,
+// { op, at, by: { uid, name }, before, after }, where before/after are
+// { zuptId?, zuptName, time } snapshots with time in epoch ms (Firestore-safe).
+
+import { toMillis } from "./runnerHelpers";
+import { withLoops } from "./stampSchema";
+import { newStampId, stampKey } from "./liveSession";
+
+/* ───────── audit entries ───────── */
+/** Who made a change, from a Firebase user. */
+export const editorOf = (user) => ({
+  uid: user?.uid || "",
+  name: user?.displayName || user?.email || "",
+});
+
+const snap = (s) => ({
+  ...(s.zuptId ? { zuptId: s.zuptId } : {}),
+  zuptName: s.zuptName,
+  time: toMillis(s.time),
+});
+
+const entry = (op, before, after, by, at) => ({
+  op, at, by,
+  before: before ? snap(before) : null,
+  after: after ? snap(after) : null,
+});
+
+const byTime = (a, b) => toMillis(a.time) - toMillis(b.time);
+
+/* ───────── operations ───────── */
+// Each returns { stamps, edits }: stamps kept in time order with laps re-derived,
+// edits with the new entry appended. Stamps are addressed by stampKey(), not by
+// position, so a list that moved underneath (another operator's stamp) is still safe.
+
+/** Insert a missed stamp; it gets its own id like any recorded stamp. */
+export const insertStamp = (stamps, edits, stamp, by, at = Date.now()) => {
+  const added = { kind: "zupt", id: newStampId(), ...stamp, edited: true };
+  return {
+    stamps: withLoops([...stamps, added].sort(byTime)),
+    edits: [...(edits || []), entry("insert", null, added, by, at)],
+  };
+};
+
+/** Change a stamp's time and/or ZUPT. `patch` may carry time, zuptId and zuptName. */
+export const editStamp = (stamps, edits, key, patch, by, at = Date.now()) => {
+  const before = stamps.find(s => stampKey(s) === key);
+  if (!before) return { stamps, edits };
+  const { zuptId, ...rest } = { ...before, ...patch, edited: true };
+  const after = { ...rest, ...(zuptId ? { zuptId } : {}) };
+  const next = withLoops(stamps.map(s => (s === before ? after : s)).sort(byTime));
+  return { stamps: next, edits: [...(edits || []), entry("edit", before, after, by, at)] };
+};
+
+/** Remove any stamp; the log keeps what it was. */
+export const deleteStamp = (stamps, edits, key, by, at = Date.now()) => {
+  const before = stamps.find(s => stampKey(s) === key);
+  if (!before) return { stamps, edits };
+  return {
+    stamps: withLoops(stamps.filter(s => s !== before)),
+    edits: [...(edits || []), entry("delete", before, null, by, at)],
+  };
+};
+
+/* ───────── wall-clock time in a zone ───────── */
+const zoneParts = (d, iana) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: iana, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(d);
+  const get = (t) => +parts.find(p => p.type === t).value;
+  return { y: get("year"), mo: get("month"), d: get("day"), h: get("hour"), mi: get("minute"), s: get("second") };
+};
+
+/** "HH:MM:SS.sss" of `date` as seen in the IANA zone (milliseconds only when set). */
+export const timeOfDay = (date, iana = "UTC") => {
+  const p = zoneParts(date, iana);
+  const ms = date.getUTCMilliseconds();
+  return [p.h, p.mi, p.s].map(n => String(n).padStart(2, "0")).join(":")
+    + (ms ? `.${String(ms).padStart(3, "0")}` : "");
+};
+
+/**
+ * The instant whose wall-clock time in `iana` is `hms` ("HH:MM", "HH:MM:SS" or "HH:MM:SS.sss"),
+ * taking the day closest to `ref` so sessions that cross midnight still resolve.
+ * Returns null for malformed input.
+ */
+export const atTimeOfDay = (ref, hms, iana = "UTC") => {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/.exec(hms || "");
+  if (!m) return null;
+  const refMs = toMillis(ref);
+  const p = zoneParts(new Date(refMs), iana);
+  const offset = Date.UTC(p.y, p.mo - 1, p.d, p.h, p.mi, p.s) - Math.floor(refMs / 1000) * 1000;
+  let ms = Date.UTC(p.y, p.mo - 1, p.d, +m[1], +m[2], +(m[3] || 0), +(m[4] || "0").padEnd(3, "0")) - offset;
+  const DAY = 86_400_000;
+  if (ms - refMs > DAY / 2) ms -= DAY;
+  else if (refMs - ms > DAY / 2) ms += DAY;
+  return new Date(ms);
+};
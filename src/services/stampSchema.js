@@ -0,0 +1,63 @@
+// src/services/stampSchema.js
+// Typed stamps — what a stamp is, and which lap it belongs to, as explicit fields.
+//
+// Every stamp carries
+//   kind: "loop-start" | "loop-stop" | "zupt" | "skip" | "event"
+//   loop: the lap number (for markers, the lap they open or close; 0 = between laps)
+// zuptName stays a display label only. Data from before this schema encoded the
+// same in names ("L2 Start", "MANUAL: …"); migrateStamps() converts it, and
+// sessions carry stampSchema once their stamps are in this form.
+
+import { legacyNoteEvent } from "./eventTypes";
+
+/* ───────── constants ───────── */
+export const STAMP_SCHEMA = 2;
+export const STAMP_KINDS = ["loop-start", "loop-stop", "zupt", "skip", "event"];
+
+const LEGACY_LOOP = /^L(\d+)\s+(Start|Stop)$/i;
+const LEGACY_NOTE = /^MANUAL:\s*/i;
+
+/* ───────── helpers ───────── */
+export const isLoopMarker = (s) => s.kind === "loop-start" || s.kind === "loop-stop";
+
+/** Stamps that were taken at a plan ZUPT (captured or skipped). */
+export const isZuptStamp = (s) => s.kind === "zupt" || s.kind === "skip";
+
+/** Display label for a lap marker, e.g. "L2 Start". */
+export const loopMarkerName = (kind, loop) => `L${loop} ${kind === "loop-start" ? "Start" : "Stop"}`;
+
+/* ───────── migration ───────── */
+/** Kind (and, for old markers, lap number) of a stamp written before the typed schema. */
+const typed = (s) => {
+  if (STAMP_KINDS.includes(s.kind)) return s;
+  if (s.event) return { ...s, kind: "event" };
+  const name = s.zuptName || "";
+  const m = !s.zuptId && LEGACY_LOOP.exec(name);
+  if (m) return { ...s, kind: /start/i.test(m[2]) ? "loop-start" : "loop-stop", loop: +m[1] };
+  if (!s.zuptId && LEGACY_NOTE.test(name)) {
+    return { ...s, kind: "event", event: legacyNoteEvent(name.replace(LEGACY_NOTE, "")) };
+  }
+  return { ...s, kind: "zupt" };
+};
+
+/**
+ * Set `loop` on every stamp from the lap markers around it (list in time order).
+ * Run after anything that adds, moves or removes stamps so a retimed stamp
+ * lands in the right lap.
+ */
+export const withLoops = (list) => {
+  let cur = 0;
+  return list.map((s) => {
+    if (s.kind === "loop-start") { cur = s.loop; return s; }
+    if (s.kind === "loop-stop") { cur = 0; return s; }
+    return s.loop === cur ? s : { ...s, loop: cur };
+  });
+};
+
+/** Whether any stamp still needs migrating. */
+export const needsMigration = (list = []) =>
+  list.some(s => !STAMP_KINDS.includes(s.kind) || typeof s.loop !== "number");
+
+/** Typed copy of a stamp list; lists already in this form come back unchanged. */
+export const migrateStamps = (list = []) =>
+  needsMigration(list) ? withLoops(list.map(typed)) : list;
@@ -0,0 +1,152 @@
+// src/services/timeScales.js
+// Conversions from UTC instants to the time scales surveyors export in — UTC, TAI,
+// GPS, Galileo (GST), BeiDou (BDT) and GLONASS — backed by a leap-second table.
+//
+// GPS, GST and BDT are continuous (no leap seconds) and counted in weeks and seconds
+// of week from their own epochs; each is TAI minus a fixed offset. TAI−UTC changes at
+// every leap second, so converting an instant needs the table entry in force at that
+// instant, not today's. GLONASS follows UTC(SU), i.e. UTC + 3 h including leaps.
+//
+// The built-in table can be superseded by config/timeScales in Firestore
+// ({ leapSeconds: [{ from: "YYYY-MM-DD", taiUtc }], expires: "YYYY-MM-DD" }),
+// cached locally so a newly announced leap second reaches offline devices too.
+
+import { doc, getDoc } from "firebase/firestore";
+
+import { db } from "../firebase";
+
+/* ───────── constants ───────── */
+export const LEAP_TABLE_KEY = "leapSeconds_v1";
+export const SEC_WEEK = 604_800;
+
+/** Decimal places offered for exported seconds (0 = whole seconds … 3 = milliseconds). */
+export const TIME_DECIMALS = [0, 1, 2, 3];
+
+/** TAI−UTC (s) from each date on; IERS Bulletin C. */
+const BUILTIN_LEAPS = {
+  leapSeconds: [
+    ["1972-01-01", 10], ["1972-07-01", 11], ["1973-01-01", 12], ["1974-01-01", 13],
+    ["1975-01-01", 14], ["1976-01-01", 15], ["1977-01-01", 16], ["1978-01-01", 17],
+    ["1979-01-01", 18], ["1980-01-01", 19], ["1981-07-01", 20], ["1982-07-01", 21],
+    ["1983-07-01", 22], ["1985-07-01", 23], ["1988-01-01", 24], ["1990-01-01", 25],
+    ["1991-01-01", 26], ["1992-07-01", 27], ["1993-07-01", 28], ["1994-07-01", 29],
+    ["1996-01-01", 30], ["1997-07-01", 31], ["1999-01-01", 32], ["2006-01-01", 33],
+    ["2009-01-01", 34], ["2012-07-01", 35], ["2015-07-01", 36], ["2017-01-01", 37],
+  ].map(([from, taiUtc]) => ({ from, taiUtc })),
+  expires: "2026-06-28",
+};
+
+/**
+ * Scales offered for exports. Weekly scales are TAI − `taiOffset`, counted from
+ * `epoch` (midnight starting week 0, read on that scale's own clock).
+ */
+export const TIME_SCALES = [
+  { id: "UTC",     label: "UTC" },
+  { id: "GPS",     label: "GPS",     weekly: true, epoch: Date.UTC(1980, 0, 6),  taiOffset: 19 },
+  { id: "GST",     label: "Galileo", weekly: true, epoch: Date.UTC(1999, 7, 22), taiOffset: 19 },
+  { id: "BDT",     label: "BeiDou",  weekly: true, epoch: Date.UTC(2006, 0, 1),  taiOffset: 33 },
+  { id: "TAI",     label: "TAI" },
+  { id: "GLONASS", label: "GLONASS" },
+];
+
+const GLONASS_SHIFT_MS = 3 * 3600 * 1000;
+
+/* ───────── leap-second table ───────── */
+const compile = (t) => ({
+  expires: t.expires || null,
+  steps: [...t.leapSeconds]
+    .map(l => ({ at: Date.parse(`${l.from}T00:00:00Z`), taiUtc: +l.taiUtc }))
+    .filter(l => Number.isFinite(l.at) && Number.isFinite(l.taiUtc))
+    .sort((a, b) => a.at - b.at),
+});
+
+const cached = () => {
+  try {
+    const t = JSON.parse(localStorage.getItem(LEAP_TABLE_KEY) || "null");
+    return t?.leapSeconds?.length ? t : null;
+  } catch { return null; }
+};
+
+// the newer of two tables — the one that runs further, then the one valid for longer
+const newer = (a, b) => {
+  if (!b) return a;
+  const last = (t) => t.leapSeconds.reduce((m, l) => (l.from > m ? l.from : m), "");
+  return last(b) > last(a) || (last(b) === last(a) && (b.expires || "") > (a.expires || "")) ? b : a;
+};
+
+let source = newer(BUILTIN_LEAPS, cached());
+let table = compile(source);
+
+/** TAI−UTC in seconds at a UTC instant (ms); 10 for anything before 1972. */
+export const taiMinusUtc = (ms) => {
+  let v = table.steps[0].taiUtc;
+  for (const s of table.steps) { if (s.at <= ms) v = s.taiUtc; else break; }
+  return v;
+};
+
+/** Date after which the table may be missing an announced leap second. */
+export const leapTableExpires = () => table.expires;
+
+/** Pull the shared table; kept (and cached) only when newer than what this device has. */
+export const fetchLeapSeconds = async () => {
+  try {
+    const snap = await getDoc(doc(db, "config", "timeScales"));
+    const remote = snap.exists() ? snap.data() : null;
+    if (!remote?.leapSeconds?.length) return false;
+    const next = newer(source, remote);
+    if (next === source) return false;
+    source = next;
+    table = compile(source);
+    try { localStorage.setItem(LEAP_TABLE_KEY, JSON.stringify(source)); } catch {}
+    return true;
+  } catch { return false; }
+};
+
+/* ───────── conversions ───────── */
+export const scaleOf = (id) => TIME_SCALES.find(s => s.id === id) || TIME_SCALES[0];
+
+// sub-second digits are truncated, not rounded, so 59.9996 never reads as 60.000
+const frac = (ms, decimals) =>
+  (decimals > 0 ? `.${String(((ms % 1000) + 1000) % 1000).padStart(3, "0").slice(0, decimals)}` : "");
+
+const hhmmss = (ms, decimals = 0) => {
+  const d = new Date(ms);
+  return [d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()].map(n => String(n).padStart(2, "0")).join("")
+    + frac(ms, decimals);
+};
+
+/** Week number and seconds of week in a weekly scale for a UTC instant. */
+export const weekSow = (date, scaleId = "GPS") => {
+  const sc = scaleOf(scaleId);
+  const ms = date.getTime();
+  const s = Math.floor((ms - sc.epoch) / 1000) + taiMinusUtc(ms) - sc.taiOffset;
+  return { wn: Math.floor(s / SEC_WEEK), sow: ((s % SEC_WEEK) + SEC_WEEK) % SEC_WEEK };
+};
+
+/**
+ * A stamp time in `scaleId` with `decimals` digits of the second: { time, wn } —
+ * seconds of week plus week number for weekly scales, hhmmss(.sss) (wn null) for
+ * the others.
+ */
+export const scaleTime = (date, scaleId, decimals = 0) => {
+  const sc = scaleOf(scaleId);
+  const ms = date.getTime();
+  if (sc.weekly) {
+    const { wn, sow } = weekSow(date, sc.id);
+    return { time: decimals ? `${sow}${frac(ms, decimals)}` : sow, wn };
+  }
+  if (sc.id === "TAI") return { time: hhmmss(ms + taiMinusUtc(ms) * 1000, decimals), wn: null };
+  if (sc.id === "GLONASS") return { time: hhmmss(ms + GLONASS_SHIFT_MS, decimals), wn: null };
+  return { time: hhmmss(ms, decimals), wn: null };
+};
+
+/** Column heading for a scale's time, e.g. "GPS_SOW", "UTC_hhmmss.sss". */
+export const scaleColumn = (scaleId, decimals = 0) => {
+  const sc = scaleOf(scaleId);
+  const digits = decimals ? `.${"s".repeat(decimals)}` : "";
+  return sc.weekly ? `${sc.id}_SOW${digits}` : `${sc.id}_hhmmss${digits}`;
+};
+
+/** "1 s", "0.1 s", "0.01 s", "1 ms" */
+export const precisionLabel = (decimals) =>
+  (decimals === 3 ? "1 ms" : decimals ? `${(10 ** -decimals).toFixed(decimals)} s` : "1 s");
@@ -0,0 +1,118 @@
+// src/services/timeZones.js
+// Time zones for sessions and the runner clock — any IANA zone, labelled with the
+// abbreviation and offset in force at a given moment (so DST shows correctly), plus
+// the user's default zone.
+//
+// Sessions store their zone as an IANA name on `timezone`. Sessions from before
+// this stored one of nine abbreviations ("EST", "PDT", …); ianaOf() maps those to
+// the zone they stood for. The default zone is stored per user on
+// users/{uid}.defaultTimezone and cached locally for offline use.
+
+import { doc, getDoc, updateDoc } from "firebase/firestore";
+
+import { db } from "../firebase";
+
+/* ───────── constants ───────── */
+export const DEFAULT_TZ_KEY = "defaultTimezone_v1";
+export const CLOCK_MODE_KEY = "clockMode_v1";
+
+/** Header clock: the session zone, UTC beside it, or GPS week + seconds of week. */
+export const CLOCK_MODES = [
+  { id: "local", label: "Zone" },
+  { id: "dual",  label: "UTC + zone" },
+  { id: "gps",   label: "GPS time" },
+];
+
+const LEGACY_ZONES = {
+  UTC: "UTC", EST: "America/New_York", CST: "America/Chicago", MST: "America/Denver",
+  PDT: "America/Los_Angeles", GMT: "Etc/GMT", CET: "Europe/Paris",
+  IST: "Asia/Kolkata", JST: "Asia/Tokyo",
+};
+
+const isZone = (z) => {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: z }); return true; } catch { return false; }
+};
+
+/* ───────── zones ───────── */
+/** IANA name for a stored zone — legacy abbreviations mapped, unknown values as UTC. */
+export const ianaOf = (tz) => LEGACY_ZONES[tz] || (tz && isZone(tz) ? tz : "UTC");
+
+/** The device's own zone. */
+export const deviceZone = () => {
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"; } catch { return "UTC"; }
+};
+
+/** Every IANA zone this browser knows, UTC first. */
+export const allZones = (() => {
+  let list = [];
+  try { list = Intl.supportedValuesOf("timeZone"); } catch {}
+  if (!list.length) list = Object.values(LEGACY_ZONES);
+  return ["UTC", ...list.filter(z => z !== "UTC")];
+})();
+
+const zonePart = (tz, at, timeZoneName) => {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: ianaOf(tz), timeZoneName })
+      .formatToParts(at).find(p => p.type === "timeZoneName")?.value || "";
+  } catch { return ""; }
+};
+
+/** Abbreviation in force at `at` — "PDT" in summer, "PST" in winter; "GMT+5:30" where none exists. */
+export const zoneAbbr = (tz, at = new Date()) => zonePart(tz, at, "short");
+
+/** "America/Los_Angeles · PDT (GMT-7)" */
+export const zoneLabel = (tz, at = new Date()) => {
+  const abbr = zoneAbbr(tz, at);
+  const off = zonePart(tz, at, "shortOffset");
+  return `${ianaOf(tz)} · ${abbr}${off && off !== abbr ? ` (${off})` : ""}`;
+};
+
+/** "14:03:27" in `tz`; "14:03:27.412" with `decimals`. */
+export const timeIn = (d, tz, decimals = 0) =>
+  d.toLocaleTimeString("en-US", {
+    timeZone: ianaOf(tz), hour12: false, ...(decimals ? { fractionalSecondDigits: decimals } : {}),
+  });
+
+/** Date and time in `tz` with its abbreviation, for session start/end displays. */
+export const dateTimeIn = (d, tz, opts = {}) =>
+  d.toLocaleString(undefined, {
+    timeZone: ianaOf(tz), month: "short", day: "numeric", year: "numeric",
+    hour: "2-digit", minute: "2-digit", second: "2-digit", timeZoneName: "short", ...opts,
+  });
+
+/* ───────── default zone ───────── */
+export const loadDefaultZone = (uid) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(DEFAULT_TZ_KEY) || "{}");
+    return all[uid] ? ianaOf(all[uid]) : deviceZone();
+  } catch { return deviceZone(); }
+};
+
+const cacheDefaultZone = (uid, tz) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(DEFAULT_TZ_KEY) || "{}");
+    all[uid] = tz;
+    localStorage.setItem(DEFAULT_TZ_KEY, JSON.stringify(all));
+  } catch {}
+};
+
+/** Remote default if there is one, else the cached copy (or the device zone). */
+export const fetchDefaultZone = async (uid) => {
+  try {
+    const snap = await getDoc(doc(db, "users", uid));
+    const remote = snap.exists() ? snap.data().defaultTimezone : null;
+    if (remote) {
+      cacheDefaultZone(uid, remote);
+      return ianaOf(remote);
+    }
+  } catch {}
+  return loadDefaultZone(uid);
+};
+
+/** Save locally first, then to the user's profile doc. */
+export const saveDefaultZone = async (uid, tz) => {
+  const z = ianaOf(tz);
+  cacheDefaultZone(uid, z);
+  await updateDoc(doc(db, "users", uid), { defaultTimezone: z });
+  return z;
+};
@@ -0,0 +1,109 @@
+// src/services/titleTemplates.js
+// Session titles from a per-plan template, e.g. "{plan}_{date}_R{seq:2}" →
+// "Loop7_2026-10-19_R03", so sessions of a plan are named alike and sort in order.
+//
+// A plan stores { pattern, required } on `titleTemplate`. With `required` the runner
+// uses the rendered title as-is; only admins (the `admin` custom claim on the auth
+// token) can set or clear it. {seq} counts the operator's own sessions of the plan: the
+// next number is one past the highest `titleSeq` on their sessions of it in Firestore
+// (the local cache when offline) and the highest this device has handed out, so sessions
+// started offline keep counting. Numbering is per operator, not plan-wide: an account can
+// only query its own sessions (firestore.rules), so each operator counts their own. Two
+// devices of one operator starting offline at once can still draw the same number.
+
+import { collection, getDocs, query, where } from "firebase/firestore";
+
+import { db } from "../firebase";
+import { ianaOf, zoneAbbr } from "./timeZones";
+
+/* ───────── constants ───────── */
+export const TITLE_SEQ_KEY = "titleSeq_v1";
+
+export const TITLE_TOKENS = [
+  { token: "{plan}",     label: "Plan name" },
+  { token: "{date}",     label: "Date (YYYY-MM-DD)" },
+  { token: "{operator}", label: "Operator" },
+  { token: "{seq}",      label: "Session number" },
+  { token: "{seq:3}",    label: "Number, 3 digits" },
+  { token: "{tz}",       label: "Zone abbreviation" },
+];
+
+const TOKEN_RE = /\{(plan|date|operator|seq|tz)(?::(\d))?\}/g;
+
+/* ───────── templates ───────── */
+/** The plan's template, or null when it has none. */
+export const titleTemplateOf = (plan) =>
+  (plan?.titleTemplate?.pattern?.trim() ? plan.titleTemplate : null);
+
+/** Template as stored on the plan — null when the pattern is empty. */
+export const cleanTitleTemplate = (t) =>
+  (t?.pattern?.trim() ? { pattern: t.pattern.trim(), required: !!t.required } : null);
+
+export const usesSeq = (pattern = "") => /\{seq(?::\d)?\}/.test(pattern);
+
+/** Operator name for {operator}: display name, else the e-mail's local part. */
+export const operatorName = (user) =>
+  user?.displayName?.trim() || user?.email?.split("@")[0] || "operator";
+
+const dateIn = (at, tz) => {
+  try { return at.toLocaleDateString("en-CA", { timeZone: ianaOf(tz) }); }
+  catch { return at.toISOString().slice(0, 10); }
+};
+
+/** Fill a pattern's tokens; {seq:N} zero-pads to N digits. Unknown tokens are left alone. */
+export const renderTitle = (pattern, { plan = "", operator = "", seq = 1, tz = "UTC", at = new Date() }) =>
+  pattern.replace(TOKEN_RE, (_, name, pad) => {
+    if (name === "plan") return plan;
+    if (name === "date") return dateIn(at, tz);
+    if (name === "operator") return operator;
+    if (name === "tz") return zoneAbbr(tz, at) || ianaOf(tz);
+    return pad ? String(seq).padStart(+pad, "0") : String(seq);
+  }).trim();
+
+/**
+ * Key the duplicate check compares titles by: the plan and number for templated
+ * sessions, else the title reduced to its words and numbers ("Run 02" = "run2").
+ */
+export const titleKey = (s) => {
+  if (s.titleSeq != null) return `${s.planId}#${s.titleSeq}`;
+  const t = (s.sessionTitle || s.planName || "").toLowerCase();
+  return (t.match(/\p{L}+|\d+/gu) || []).map(w => w.replace(/^0+(?=\d)/, "")).join(" ");
+};
+
+/* ───────── numbering ───────── */
+const loadSeqs = () => {
+  try { return JSON.parse(localStorage.getItem(TITLE_SEQ_KEY) || "{}"); } catch { return {}; }
+};
+
+const localSeq = (uid, planId) => +loadSeqs()[uid]?.[planId] || 0;
+
+/** Record a number as used on this device. */
+export const claimSeq = (uid, planId, seq) => {
+  try {
+    const all = loadSeqs();
+    all[uid] = { ...all[uid], [planId]: Math.max(seq, +all[uid]?.[planId] || 0) };
+    localStorage.setItem(TITLE_SEQ_KEY, JSON.stringify(all));
+  } catch {}
+};
+
+/** Next number from what this device has handed out and `floor` (a number already known to be free). */
+export const nextSeq = (uid, planId, floor = 1) => Math.max(floor, localSeq(uid, planId) + 1);
+
+/** Next number for the operator's sessions of the plan, from Firestore (or the offline cache). */
+export const fetchNextSeq = async (uid, planId) => {
+  let top = 0;
+  try {
+    const snap = await getDocs(query(
+      collection(db, "sessions"), where("uid", "==", uid), where("planId", "==", planId)
+    ));
+    snap.forEach(d => { top = Math.max(top, +d.data().titleSeq || 0); });
+  } catch {}
+  return nextSeq(uid, planId, top + 1);
+};
+
+/* ───────── admin ───────── */
+/** True when the signed-in user carries the `admin` custom claim. */
+export const fetchIsAdmin = async (user) => {
+  if (!user) return false;
+  try { return (await user.getIdTokenResult()).claims.admin === true; } catch { return false; }
+};
@@ -0,0 +1,75 @@
+// src/services/voiceGuidance.js
+// Spoken runner announcements via the Web Speech API (speechSynthesis).
+// Settings are per device — installed voices differ between tablets — and
+// only on-device ("local") voices keep working without a connection.
+
+/* ───────── constants ───────── */
+export const VOICE_SETTINGS_KEY = "voiceGuidance_v1";
+
+export const VOICE_EVENTS = [
+  { key: "nextZupt",  label: "Next ZUPT",                          sample: "Next ZUPT, Z1" },
+  { key: "countdown", label: "Countdown milestones (10 s, 5 s, go)", sample: "10" },
+  { key: "loop",      label: "Lap start / stop",                   sample: "Lap 1 started" },
+  { key: "stamp",     label: "Stamp confirmations",                sample: "Z1 stamped" },
+];
+
+/** Seconds-left values that are spoken during a dwell ("go" is spoken at zero). */
+export const COUNTDOWN_MILESTONES = [10, 5];
+
+export const DEFAULT_VOICE_SETTINGS = {
+  enabled: false,
+  voiceURI: "",
+  rate: 1,
+  events: Object.fromEntries(VOICE_EVENTS.map(e => [e.key, true])),
+};
+
+/* ───────── settings ───────── */
+export const loadVoiceSettings = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(VOICE_SETTINGS_KEY) || "{}");
+    return {
+      ...DEFAULT_VOICE_SETTINGS, ...raw,
+      events: { ...DEFAULT_VOICE_SETTINGS.events, ...(raw.events || {}) },
+    };
+  } catch { return DEFAULT_VOICE_SETTINGS; }
+};
+export const saveVoiceSettings = (settings) => {
+  try { localStorage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(settings)); } catch {}
+};
+
+/* ───────── speech ───────── */
+export const speechSupported = () =>
+  typeof window !== "undefined" && "speechSynthesis" in window && "SpeechSynthesisUtterance" in window;
+
+/** Installed voices, on-device ones first (those work offline). */
+export const listVoices = () => {
+  if (!speechSupported()) return [];
+  return [...window.speechSynthesis.getVoices()]
+    .sort((a, b) => Number(b.localService) - Number(a.localService) || a.name.localeCompare(b.name));
+};
+
+/** Speak `text` with the given settings, regardless of which events are enabled. */
+export const speak = (text, settings = loadVoiceSettings()) => {
+  if (!speechSupported() || !text) return;
+  try {
+    const u = new SpeechSynthesisUtterance(text);
+    const voices = listVoices();
+    // Fall back to an on-device voice so guidance still works offline
+    const voice = voices.find(v => v.voiceURI === settings.voiceURI) || voices.find(v => v.localService);
+    if (voice) { u.voice = voice; u.lang = voice.lang; }
+    u.rate = settings.rate || 1;
+    window.speechSynthesis.speak(u);
+  } catch {}
+};
+
+/** Speak `text` if guidance is on and `event` (a VOICE_EVENTS key) is enabled. */
+export const announce = (event, text) => {
+  const settings = loadVoiceSettings();
+  if (!settings.enabled || !settings.events[event]) return;
+  speak(text, settings);
+};
+
+/** Drop anything still queued (e.g. when a session ends). */
+export const hushVoice = () => {
+  try { if (speechSupported()) window.speechSynthesis.cancel(); } catch {}
+};
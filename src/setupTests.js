@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Services import the app's Firebase handles; unit tests never reach the network.
+jest.mock('./firebase', () => ({ db: {}, auth: {}, functions: {}, storage: {}, analyticsPromise: Promise.resolve(null) }));
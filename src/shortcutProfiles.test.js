@@ -0,0 +1,39 @@
+import {
+  findConflicts, actionFor, comboFromEvent, activeBindings, BUILTIN_PROFILES,
+} from './services/shortcutProfiles';
+
+test('findConflicts lists combos bound to more than one action', () => {
+  const bindings = {
+    toggleLap: ['Space', 'PageUp'], stampNext: ['PageUp'], undo: ['Ctrl+Z'], finish: ['Space', 'F'], manual: undefined,
+  };
+  expect(findConflicts(bindings)).toEqual([
+    { combo: 'Space', actions: ['toggleLap', 'finish'] },
+    { combo: 'PageUp', actions: ['toggleLap', 'stampNext'] },
+  ]);
+});
+
+test('the built-in profiles are free of conflicts', () => {
+  BUILTIN_PROFILES.forEach(p => expect(findConflicts(p.bindings)).toEqual([]));
+  expect(findConflicts(null)).toEqual([]);
+});
+
+test('comboFromEvent normalises keys and modifiers', () => {
+  expect(comboFromEvent({ key: ' ' })).toBe('Space');
+  expect(comboFromEvent({ key: 'z', ctrlKey: true })).toBe('Ctrl+Z');
+  expect(comboFromEvent({ key: '?', shiftKey: true })).toBe('?');
+  expect(comboFromEvent({ key: 'PageDown', shiftKey: true })).toBe('Shift+PageDown');
+  expect(comboFromEvent({ key: 'Shift', shiftKey: true })).toBeNull();
+});
+
+test('actionFor finds the bound action', () => {
+  const bindings = activeBindings({ active: 'pedal' });
+  expect(actionFor(bindings, 'MediaTrackNext')).toBe('stampNext');
+  expect(actionFor(bindings, 'Q')).toBeNull();
+});
+
+test('saved profiles pick up actions added since', () => {
+  const bindings = activeBindings({ active: 'keyboard', profiles: [{ id: 'keyboard', name: 'Keyboard', bindings: { undo: ['U'] } }] });
+  expect(bindings.undo).toEqual(['U']);
+  expect(bindings.finish).toEqual(['F']);
+  expect(activeBindings({ active: 'gone' })).toEqual(BUILTIN_PROFILES[0].bindings);
+});
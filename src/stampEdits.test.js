@@ -0,0 +1,60 @@
+import { insertStamp, editStamp, deleteStamp, editorOf } from './services/stampEdits';
+import { stampKey } from './services/liveSession';
+import { at } from './testFixtures';
+
+const by = editorOf({ uid: 'u1', displayName: 'Ana' });
+
+const stamps = [
+  { id: 'a', kind: 'loop-start', loop: 1, zuptName: 'L1 Start', time: at(0) },
+  { id: 'b', kind: 'zupt', loop: 1, zuptId: 'z1', zuptName: 'Z1', time: at(10) },
+  { id: 'c', kind: 'loop-stop', loop: 1, zuptName: 'L1 Stop', time: at(20) },
+  { kind: 'zupt', loop: 0, zuptId: 'z2', zuptName: 'Z2', time: at(30) },
+];
+
+test('insertStamp adds a stamp with its own id, in time order and lap', () => {
+  const { stamps: out, edits } = insertStamp(stamps, [], { zuptId: 'z3', zuptName: 'Z3', time: at(15) }, by, 1000);
+  const added = out[2];
+  expect(added).toMatchObject({ kind: 'zupt', zuptName: 'Z3', loop: 1, edited: true });
+  expect(typeof added.id).toBe('string');
+  expect(added.id).not.toBe('');
+  expect(edits).toEqual([{
+    op: 'insert', at: 1000, by: { uid: 'u1', name: 'Ana' },
+    before: null, after: { zuptId: 'z3', zuptName: 'Z3', time: at(15).getTime() },
+  }]);
+});
+
+test('inserted stamps get distinct ids', () => {
+  const one = insertStamp(stamps, [], { zuptName: 'Z3', time: at(15) }, by).stamps;
+  const two = insertStamp(one, [], { zuptName: 'Z3', time: at(15) }, by).stamps;
+  expect(new Set(two.map(stampKey)).size).toBe(two.length);
+});
+
+test('editStamp retimes the stamp with that key and re-derives its lap', () => {
+  const { stamps: out, edits } = editStamp(stamps, [], 'b', { time: at(25) }, by, 2000);
+  expect(out.map(s => s.id || s.zuptName)).toEqual(['a', 'c', 'b', 'Z2']);
+  expect(out[2]).toMatchObject({ id: 'b', loop: 0, edited: true });
+  expect(edits[0]).toMatchObject({
+    op: 'edit', at: 2000,
+    before: { zuptId: 'z1', zuptName: 'Z1', time: at(10).getTime() },
+    after: { zuptId: 'z1', zuptName: 'Z1', time: at(25).getTime() },
+  });
+});
+
+test('editStamp finds stamps without an id by name and time', () => {
+  const { stamps: out } = editStamp(stamps, [], stampKey(stamps[3]), { zuptId: 'z1', zuptName: 'Z1' }, by);
+  expect(out[3]).toMatchObject({ zuptId: 'z1', zuptName: 'Z1', edited: true });
+});
+
+test('deleteStamp removes only the stamp with that key and logs it', () => {
+  const { stamps: out, edits } = deleteStamp(stamps, [{ op: 'insert' }], 'a', by, 3000);
+  expect(out.map(s => s.id || s.zuptName)).toEqual(['b', 'c', 'Z2']);
+  expect(out[0].loop).toBe(0);
+  expect(edits).toHaveLength(2);
+  expect(edits[1]).toMatchObject({ op: 'delete', before: { zuptName: 'L1 Start' }, after: null });
+});
+
+test('unknown keys leave the list and log alone', () => {
+  const edits = [];
+  expect(editStamp(stamps, edits, 'nope', { time: at(1) }, by)).toEqual({ stamps, edits });
+  expect(deleteStamp(stamps, edits, 'nope', by)).toEqual({ stamps, edits });
+});
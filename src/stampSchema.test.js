@@ -0,0 +1,62 @@
+import { migrateStamps, needsMigration, withLoops } from './services/stampSchema';
+import { at } from './testFixtures';
+
+test('converts legacy lap markers and assigns laps to the stamps between them', () => {
+  const out = migrateStamps([
+    { zuptName: 'L1 Start', time: at(0) },
+    { zuptId: 'z1', zuptName: 'Z1', time: at(10) },
+    { zuptName: 'L1 Stop', time: at(20) },
+    { zuptId: 'z2', zuptName: 'Z2', time: at(30) },
+    { zuptName: 'l2   start', time: at(40) },
+    { zuptId: 'z3', zuptName: 'Z3', time: at(50) },
+  ]);
+  expect(out.map(s => [s.kind, s.loop])).toEqual([
+    ['loop-start', 1],
+    ['zupt', 1],
+    ['loop-stop', 1],
+    ['zupt', 0],
+    ['loop-start', 2],
+    ['zupt', 2],
+  ]);
+});
+
+test('needs whitespace between lap number and Start/Stop', () => {
+  const [s] = migrateStamps([{ zuptName: 'L2Start', time: at(0) }]);
+  expect(s.kind).toBe('zupt');
+});
+
+test('a ZUPT named like a lap marker stays a ZUPT', () => {
+  const [s] = migrateStamps([{ zuptId: 'z9', zuptName: 'L1 Start', time: at(0) }]);
+  expect(s.kind).toBe('zupt');
+});
+
+test('turns MANUAL: notes into note events', () => {
+  const [s] = migrateStamps([{ zuptName: 'MANUAL: east portal', time: at(0) }]);
+  expect(s.kind).toBe('event');
+  expect(s.event.details).toEqual([{ label: 'Note', value: 'east portal' }]);
+});
+
+test('keeps stamps that already carry an event', () => {
+  const event = { type: 'custom', label: 'Note', details: [] };
+  const [s] = migrateStamps([{ zuptName: 'Note', event, time: at(0) }]);
+  expect(s).toMatchObject({ kind: 'event', event, loop: 0 });
+});
+
+test('returns typed lists unchanged', () => {
+  const list = [
+    { kind: 'loop-start', loop: 1, zuptName: 'L1 Start', time: at(0) },
+    { kind: 'zupt', loop: 1, zuptId: 'z1', zuptName: 'Z1', time: at(10) },
+  ];
+  expect(needsMigration(list)).toBe(false);
+  expect(migrateStamps(list)).toBe(list);
+  expect(migrateStamps()).toEqual([]);
+});
+
+test('withLoops moves a retimed stamp into the lap it now falls in', () => {
+  const list = withLoops([
+    { kind: 'zupt', loop: 2, zuptName: 'Z1', time: at(0) },
+    { kind: 'loop-start', loop: 2, zuptName: 'L2 Start', time: at(10) },
+    { kind: 'zupt', loop: 0, zuptName: 'Z2', time: at(20) },
+  ]);
+  expect(list.map(s => s.loop)).toEqual([0, 2, 2]);
+});
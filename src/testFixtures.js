@@ -0,0 +1,7 @@
+// Shared fixtures for the unit tests.
+
+/** 2024-05-01 09:00:00 UTC, the start of every test session. */
+export const T0 = Date.UTC(2024, 4, 1, 9, 0, 0);
+
+/** The moment `s` seconds into the test session. */
+export const at = (s) => new Date(T0 + s * 1000);
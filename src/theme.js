@@ -84,6 +84,36 @@ export const createAppTheme = (mode = "light") =>
     },
   });
 
+/* ---------- runner field mode ---------- */
+// Black on white with deep, saturated accents and heavy outlines — stays
+// readable in direct sunlight, where the indigo-on-grey palette washes out.
+export const createFieldTheme = () => {
+  const base = createAppTheme("light");
+  const tone = (main, contrastText) => base.palette.augmentColor({ color: { main, contrastText } });
+  return createTheme(base, {
+    palette: {
+      primary: tone("#0030b8", "#ffffff"),
+      error:   tone("#b00000", "#ffffff"),
+      success: tone("#005c1a", "#ffffff"),
+      warning: tone("#ffd600", "#000000"),
+      background: { default: "#ffffff", paper: "#ffffff" },
+      text: { primary: "#000000", secondary: "#000000" },
+      divider: "#000000",
+    },
+    components: {
+      MuiButton: {
+        styleOverrides: {
+          root: {
+            border: "3px solid #000000",
+            fontWeight: 800,
+            "&.Mui-disabled": { color: "#000000", borderColor: "#000000", opacity: 0.45 },
+          },
+        },
+      },
+    },
+  });
+};
+
 // Backward-compatible default export
 const theme = createAppTheme("light");
 export default theme;
@@ -0,0 +1,49 @@
+import { taiMinusUtc, weekSow, scaleTime, scaleColumn } from './services/timeScales';
+
+// the leap second at the end of 2016: TAI−UTC went from 36 to 37
+const before = new Date(Date.UTC(2016, 11, 31, 23, 59, 59));
+const after = new Date(Date.UTC(2017, 0, 1, 0, 0, 0));
+
+test('TAI−UTC steps at the leap second', () => {
+  expect(taiMinusUtc(before.getTime())).toBe(36);
+  expect(taiMinusUtc(after.getTime())).toBe(37);
+  expect(taiMinusUtc(Date.UTC(1970, 0, 1))).toBe(10);
+});
+
+test('GPS week and seconds of week across the leap second', () => {
+  // GPS−UTC is 17 s before and 18 s after; week 1930 starts 2017-01-01 00:00 GPS
+  expect(weekSow(before, 'GPS')).toEqual({ wn: 1930, sow: 16 });
+  expect(weekSow(after, 'GPS')).toEqual({ wn: 1930, sow: 18 });
+});
+
+test('Galileo counts the same seconds as GPS from its own epoch', () => {
+  expect(weekSow(before, 'GST')).toEqual({ wn: 906, sow: 16 });
+  expect(weekSow(after, 'GST')).toEqual({ wn: 906, sow: 18 });
+});
+
+test('BeiDou runs 14 s behind GPS', () => {
+  expect(weekSow(before, 'BDT')).toEqual({ wn: 574, sow: 2 });
+  expect(weekSow(after, 'BDT')).toEqual({ wn: 574, sow: 4 });
+});
+
+test('seconds of week stay within the week and roll the week number', () => {
+  // one second before GPS week 1930 begins
+  const end = new Date(Date.UTC(2016, 11, 31, 23, 59, 42));
+  expect(weekSow(end, 'GPS')).toEqual({ wn: 1929, sow: 604_799 });
+});
+
+test('scaleTime formats weekly and clock scales', () => {
+  const ms = new Date(after.getTime() + 250);
+  expect(scaleTime(after, 'GPS')).toEqual({ time: 18, wn: 1930 });
+  expect(scaleTime(ms, 'GPS', 3)).toEqual({ time: '18.250', wn: 1930 });
+  expect(scaleTime(ms, 'BDT', 1)).toEqual({ time: '4.2', wn: 574 });
+  expect(scaleTime(after, 'TAI')).toEqual({ time: '000037', wn: null });
+  expect(scaleTime(before, 'TAI')).toEqual({ time: '000035', wn: null });
+  expect(scaleTime(ms, 'UTC', 2)).toEqual({ time: '000000.25', wn: null });
+  expect(scaleTime(after, 'GLONASS')).toEqual({ time: '030000', wn: null });
+});
+
+test('column headings', () => {
+  expect(scaleColumn('GPS')).toBe('GPS_SOW');
+  expect(scaleColumn('UTC', 3)).toBe('UTC_hhmmss.sss');
+});
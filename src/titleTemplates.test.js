@@ -0,0 +1,54 @@
+import { renderTitle, usesSeq, titleKey, nextSeq, claimSeq, cleanTitleTemplate } from './services/titleTemplates';
+import { at } from './testFixtures';
+
+beforeEach(() => localStorage.clear());
+
+test('renderTitle fills tokens and pads {seq}', () => {
+  const vars = { plan: 'Loop7', operator: 'ana', seq: 3, tz: 'UTC', at: at(0) };
+  expect(renderTitle('{plan}_{date}_R{seq:2}', vars)).toBe('Loop7_2024-05-01_R03');
+  expect(renderTitle('{operator} #{seq}', vars)).toBe('ana #3');
+  expect(renderTitle('R{seq:3}', { ...vars, seq: 1234 })).toBe('R1234');
+  expect(renderTitle(' {plan} {nope} ', vars)).toBe('Loop7 {nope}');
+});
+
+test('{date} is the date in the session zone', () => {
+  const late = new Date(Date.UTC(2024, 4, 1, 23, 30));
+  expect(renderTitle('{date}', { tz: 'Asia/Tokyo', at: late })).toBe('2024-05-02');
+  expect(renderTitle('{date}', { tz: 'UTC', at: late })).toBe('2024-05-01');
+});
+
+test('usesSeq and cleanTitleTemplate', () => {
+  expect(usesSeq('R{seq:2}')).toBe(true);
+  expect(usesSeq('{plan}')).toBe(false);
+  expect(cleanTitleTemplate({ pattern: '  {plan} ', required: 1 })).toEqual({ pattern: '{plan}', required: true });
+  expect(cleanTitleTemplate({ pattern: ' ' })).toBeNull();
+});
+
+// titleKey decides which sessions SessionsPage purges as duplicates — a false match deletes a session
+test('titleKey keeps numbered sessions of a plan apart', () => {
+  const run = (planId, titleSeq) => ({ planId, titleSeq, sessionTitle: 'Loop7_2024-05-01' });
+  expect(titleKey(run('p1', 2))).not.toBe(titleKey(run('p1', 3)));
+  expect(titleKey(run('p1', 2))).not.toBe(titleKey(run('p2', 2)));
+  expect(titleKey(run('p1', 2))).toBe(titleKey({ ...run('p1', 2), sessionTitle: 'renamed' }));
+  // a seq of 0 is still a number
+  expect(titleKey(run('p1', 0))).toBe('p1#0');
+});
+
+test('titleKey compares free titles by words and numbers', () => {
+  expect(titleKey({ sessionTitle: 'Run 02' })).toBe(titleKey({ sessionTitle: 'run-2' }));
+  expect(titleKey({ sessionTitle: 'Run 2' })).not.toBe(titleKey({ sessionTitle: 'Run 3' }));
+  expect(titleKey({ sessionTitle: 'Run 10' })).not.toBe(titleKey({ sessionTitle: 'Run 1' }));
+  expect(titleKey({ sessionTitle: 'Run 1 0' })).not.toBe(titleKey({ sessionTitle: 'Run 10' }));
+  expect(titleKey({ sessionTitle: 'Průzkum 1' })).not.toBe(titleKey({ sessionTitle: 'Pr zkum 1' }));
+  expect(titleKey({ planName: 'Loop 7' })).toBe('loop 7');
+});
+
+test('numbering continues from this device and what Firestore knows', () => {
+  expect(nextSeq('u1', 'p1')).toBe(1);
+  claimSeq('u1', 'p1', 4);
+  claimSeq('u1', 'p1', 2);
+  expect(nextSeq('u1', 'p1')).toBe(5);
+  expect(nextSeq('u1', 'p1', 9)).toBe(9);
+  expect(nextSeq('u2', 'p1')).toBe(1);
+  expect(nextSeq('u1', 'p2')).toBe(1);
+});